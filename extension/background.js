@@ -1,30 +1,29 @@
 // Service Worker for HideThis - Refactored Version
 
+importScripts(
+  'utils/message-protocol.js',
+  'utils/rule-model.js',
+  'utils/domain-model.js',
+  'utils/storage-migrations.js',
+  'utils/storage-manager.js',
+  'utils/sync-storage.js'
+);
+
 /**
  * Message controller for background script
  * Acts as intermediary between popup and content scripts
+ * Popup messages name their tab in tabId; content script messages are tied to sender.tab.
+ * Routing comes from MessageProtocol: content script actions are forwarded to the
+ * message's tab, and content script notifications are handled here
  */
 class BackgroundMessageController {
-  constructor() {
-    this.validActions = [
-      'ping',
-      'test', 
-      'toggleSelector',
-      'getSelectorState',
-      'toggleVisibility',
-      'clearAll',
-      'getHiddenCount',
-      'elementHidden',
-      'elementsCleared',
-      'contentScriptLoaded',
-      'contentScriptReady',
-      'getHiddenElementsList',
-      'removeHiddenElement',
-      'removeElements',
-      'removeBlurFilter',
-      'clearRemovedElements',
-      'getRemovedElementsCount'
-    ];
+  /**
+   * @param {BackgroundBadgeController} badgeController - Receives the counts content scripts report
+   * @param {BackgroundHistoryController} historyController - Keeps the undo/redo stacks of content scripts
+   */
+  constructor(badgeController, historyController) {
+    this.badgeController = badgeController;
+    this.historyController = historyController;
     
     this.setupMessageListener();
   }
@@ -33,258 +32,129 @@ class BackgroundMessageController {
    * Sets up main message listener
    */
   setupMessageListener() {
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      try {
-        // Validate action exists
-        if (!request.action) {
-          sendResponse({ success: false, error: 'Action not specified' });
-          return false;
-        }
-
-        // Log action for debugging
-        console.log(`🔄 Background received action: ${request.action}`);
+    const notify = (request, respond, sender) => this.handleContentScriptNotification(request, respond, sender);
+    const status = (request, respond) => this.handleContentScriptStatus(request, respond);
+    const history = (request, respond, sender) => this.handleHistoryStacks(request, respond, sender);
 
-        // Delegate to appropriate method
-        const result = this.handleMessage(request, sender, sendResponse);
-        
-        // If result is true, indicates async response
-        return result === true;
-      } catch (error) {
-        console.error('Error in background message handler:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-        return false;
-      }
-    });
+    chrome.runtime.onMessage.addListener(MessageProtocol.createListener(
+      MessageProtocol.HANDLERS.BACKGROUND,
+      {
+        elementHidden: notify,
+        elementsCleared: notify,
+        elementsRemoved: notify,
+        contentScriptLoaded: status,
+        contentScriptReady: status,
+        getHistoryStacks: history,
+        saveHistoryStacks: history
+      },
+      { forward: (request, respond) => this.forwardCommand(request, respond) }
+    ));
   }
 
   /**
-   * Handles incoming messages and delegates to specific methods
-   * @param {Object} request - Received message
-   * @param {Object} sender - Sender information
-   * @param {Function} sendResponse - Function to send response
-   * @returns {boolean} True if response will be async
+   * Forwards a content script action to the message's tab
+   * @param {Object} request - Validated message
+   * @param {Function} respond - Response function
    */
-  handleMessage(request, sender, sendResponse) {
+  forwardCommand(request, respond) {
     const { action } = request;
-    console.log(`🔍 Background handleMessage called with action: "${action}"`);
-
-    // Connection verification messages
-    if (action === 'ping' || action === 'test') {
-      console.log(`🔍 Handling connection test: ${action}`);
-      return this.handleConnectionTest(action, sendResponse);
-    }
-
-    // Selector control messages
-    if (['toggleSelector', 'getSelectorState', 'toggleVisibility', 'clearAll', 'getHiddenCount'].includes(action)) {
-      console.log(`🔍 Handling content script command: ${action}`);
-      return this.handleContentScriptCommand(action, request, sendResponse);
-    }
-
-    // List management messages
-    if (['getHiddenElementsList', 'removeHiddenElement', 'removeElements'].includes(action)) {
-      console.log(`🔍 Handling list management command: ${action}`);
-      return this.handleListManagementCommand(action, request, sendResponse);
-    }
+    console.log(`🔄 Background forwarding command: ${action}`);
 
-    // Class removal messages
-    const classRemovalActions = ['removeBlurFilter', 'clearRemovedElements', 'getRemovedElementsCount'];
-    console.log(`🔍 Checking if "${action}" is in class removal actions:`, classRemovalActions);
-    if (classRemovalActions.includes(action)) {
-      console.log(`🔍 YES - Handling class removal command: ${action}`);
-      return this.handleClassRemovalCommand(action, request, sendResponse);
-    }
-
-    // Content script notification messages
-    if (['elementHidden', 'elementsCleared'].includes(action)) {
-      console.log(`🔍 Handling content script notification: ${action}`);
-      return this.handleContentScriptNotification(action, request);
-    }
-
-    // Content script status messages
-    if (['contentScriptLoaded', 'contentScriptReady'].includes(action)) {
-      console.log(`🔍 Handling content script status: ${action}`);
-      return this.handleContentScriptStatus(action, request);
-    }
-
-    // Unrecognized action
-    console.log(`❌ Unrecognized action: ${action}`);
-    sendResponse({ 
-      success: false, 
-      error: `Unrecognized action: ${action}` 
-    });
-    return false;
-  }
-
-  /**
-   * Handles connection test messages
-   * @param {string} action - Test action
-   * @param {Function} sendResponse - Response function
-   * @returns {boolean} True for async response
-   */
-  handleConnectionTest(action, sendResponse) {
-    this.forwardToActiveTab(action, {}, (response, error) => {
+    this.forwardToTab(action, request, (response, error) => {
       if (error) {
-        sendResponse({ 
-          success: false, 
-          error: error.message,
-          details: `Connection test failed: ${action}`
-        });
+        console.error(`❌ Background command error for ${action}:`, error);
+        respond(MessageProtocol.error(MessageProtocol.ERROR_TYPES.COMMUNICATION, action, error.message));
       } else {
-        sendResponse(response || { 
-          success: true, 
-          message: `${action} successful`,
-          timestamp: new Date().toISOString()
-        });
+        console.log(`✅ Background command success for ${action}:`, response);
+        respond(response || { success: true });
       }
     });
-    return true;
-  }
-
-  /**
-   * Handles commands directed to content script
-   * @param {string} action - Action to execute
-   * @param {Object} request - Complete message
-   * @param {Function} sendResponse - Response function
-   * @returns {boolean} True for async response
-   */
-  handleContentScriptCommand(action, request, sendResponse) {
-    this.forwardToActiveTab(action, request, (response, error) => {
-      if (error) {
-        sendResponse({ 
-          success: false, 
-          error: error.message,
-          action: action
-        });
-      } else {
-        sendResponse(response || { success: true });
-      }
-    });
-    return true;
-  }
-
-  /**
-   * Handles list management commands
-   * @param {string} action - List management action
-   * @param {Object} request - Complete message
-   * @param {Function} sendResponse - Response function
-   * @returns {boolean} True for async response
-   */
-  handleListManagementCommand(action, request, sendResponse) {
-    console.log(`🔄 Background forwarding list command: ${action}`);
-    this.forwardToActiveTab(action, request, (response, error) => {
-      if (error) {
-        console.error(`❌ Background list command error for ${action}:`, error);
-        sendResponse({ 
-          success: false, 
-          error: error.message,
-          action: action
-        });
-      } else {
-        console.log(`✅ Background list command success for ${action}:`, response);
-        sendResponse(response || { success: true });
-      }
-    });
-    return true;
-  }
-
-  /**
-   * Handles class removal commands
-   * @param {string} action - Class removal action
-   * @param {Object} request - Complete message
-   * @param {Function} sendResponse - Response function
-   * @returns {boolean} True for async response
-   */
-  handleClassRemovalCommand(action, request, sendResponse) {
-    console.log(`🔄 Background forwarding class removal command: ${action}`);
-    console.log(`📦 Request data:`, { action, className: request.className });
-    
-    this.forwardToActiveTab(action, request, (response, error) => {
-      if (error) {
-        console.error(`❌ Background class removal command error for ${action}:`, error);
-        console.error(`📋 Error details:`, {
-          message: error.message,
-          stack: error.stack,
-          action: action,
-          className: request.className
-        });
-        
-        sendResponse({ 
-          success: false, 
-          error: error.message,
-          action: action,
-          details: 'Background script could not communicate with content script'
-        });
-      } else {
-        console.log(`✅ Background class removal command success for ${action}:`, response);
-        sendResponse(response || { success: true });
-      }
-    });
-    return true;
   }
 
   /**
    * Handles content script notifications
-   * @param {string} action - Notification type
-   * @param {Object} request - Notification data
-   * @returns {boolean} False for sync response
+   * @param {Object} request - Notification, with its type in action
+   * @param {Function} respond - Response function
+   * @param {Object} sender - Sender information, with the tab the notification comes from
    */
-  handleContentScriptNotification(action, request) {
-    // Forward notification to popup if open
-    try {
-      chrome.runtime.sendMessage({
-        action: 'updateCount',
-        count: request.count || 0,
-        source: action
-      });
-    } catch (error) {
-      // Popup might not be open, this is normal
-      console.log(`Info: Could not notify popup: ${error.message}`);
+  handleContentScriptNotification(request, respond, sender) {
+    const { action } = request;
+    
+    // Keep the tab's toolbar badge current
+    if (sender.tab && this.badgeController) {
+      const count = request.count || 0;
+      this.badgeController.setCounts(sender.tab.id, action === MessageProtocol.ACTIONS.ELEMENTS_REMOVED ? { removed: count } : { hidden: count });
     }
     
-    return false; // No response needed
+    // Forward notification to popup if open; popups of other tabs ignore it by tabId
+    chrome.runtime.sendMessage({
+      action: MessageProtocol.ACTIONS.UPDATE_COUNT,
+      count: request.count || 0,
+      source: action,
+      tabId: sender.tab ? sender.tab.id : null
+    }).catch(() => {
+      // Popup might not be open, this is normal
+    });
+    
+    respond({ success: true });
   }
 
   /**
    * Handles content script status messages
-   * @param {string} action - Status type
-   * @param {Object} request - Status data
-   * @returns {boolean} False for sync response
+   * @param {Object} request - Status, with its type in action
+   * @param {Function} respond - Response function
    */
-  handleContentScriptStatus(action, request) {
+  handleContentScriptStatus(request, respond) {
     const statusMessages = {
       contentScriptLoaded: 'Content script loaded',
       contentScriptReady: '⭐️ Content script ready'
     };
 
-    const message = statusMessages[action] || `📡 Status: ${action}`;
-    console.log(`${message} on:`, request.url || 'Unknown URL');
-    
-    return false; // No response needed
+    console.log(`${statusMessages[request.action]} on:`, request.url || 'Unknown URL');
+    respond({ success: true });
   }
 
   /**
-   * Forwards a message to active tab
+   * Reads or stores the undo/redo stacks of the sending page's domain
+   * @param {Object} request - getHistoryStacks, or saveHistoryStacks with the stacks
+   * @param {Function} respond - Response function
+   * @param {Object} sender - Sender information, with the URL of the sending frame
+   */
+  async handleHistoryStacks(request, respond, sender) {
+    try {
+      if (request.action === MessageProtocol.ACTIONS.SAVE_HISTORY_STACKS) {
+        await this.historyController.saveStacks(sender.url, { undo: request.undo, redo: request.redo });
+        respond({ success: true });
+      } else {
+        respond({ success: true, ...await this.historyController.getStacks(sender.url) });
+      }
+    } catch (error) {
+      console.error(`❌ Error handling ${request.action}:`, error);
+      respond(MessageProtocol.error(MessageProtocol.ERROR_TYPES.HANDLER, request.action, error.message));
+    }
+  }
+
+  /**
+   * Forwards a message to the tab it names
    * @param {string} action - Action to forward
-   * @param {Object} data - Additional data
+   * @param {Object} data - Additional data, with the target tab in tabId
    * @param {Function} callback - Callback with (response, error)
    */
-  forwardToActiveTab(action, data, callback) {
-    console.log(`📤 Forwarding to active tab:`, { action, data });
+  forwardToTab(action, data, callback) {
+    console.log(`📤 Forwarding to tab:`, { action, data });
+    const { tabId, ...rest } = data;
     
-    this.getActiveTab((tab, error) => {
+    this.getTargetTab(tabId, (tab, error) => {
       if (error) {
-        console.error(`❌ Failed to get active tab:`, error);
+        console.error(`❌ Failed to get target tab:`, error);
         callback(null, error);
         return;
       }
 
-      console.log(`📋 Active tab found:`, { id: tab.id, url: tab.url });
+      console.log(`📋 Target tab found:`, { id: tab.id, url: tab.url });
 
       try {
-        const message = { action, ...data };
+        const message = { ...rest, action };
         console.log(`📨 Sending message to tab ${tab.id}:`, message);
         
         chrome.tabs.sendMessage(tab.id, message, (response) => {
@@ -303,12 +173,36 @@ class BackgroundMessageController {
           }
         });
       } catch (error) {
-        console.error(`❌ Exception in forwardToActiveTab:`, error);
+        console.error(`❌ Exception in forwardToTab:`, error);
         callback(null, error);
       }
     });
   }
 
+  /**
+   * Gets the tab a message is meant for
+   * Messages without a tabId fall back to the active tab of the last focused window,
+   * which is only right while a single window is in use
+   * @param {number|undefined} tabId - Tab named by the message
+   * @param {Function} callback - Callback with (tab, error)
+   */
+  getTargetTab(tabId, callback) {
+    if (!Number.isInteger(tabId)) {
+      console.warn('⚠️ Message without a tabId, using the active tab');
+      this.getActiveTab(callback);
+      return;
+    }
+
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError) {
+        callback(null, new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      callback(tab, null);
+    });
+  }
+
   /**
    * Gets active tab safely
    * @param {Function} callback - Callback with (tab, error)
@@ -334,11 +228,459 @@ class BackgroundMessageController {
   }
 }
 
+/**
+ * Sync controller for background script
+ * Runs SyncStorageBackend when sync is enabled in settings and local or remote rules change
+ */
+class BackgroundSyncController {
+  constructor() {
+    this.storageManager = new StorageManager();
+    this.backend = new SyncStorageBackend(this.storageManager);
+    this.enabled = false;
+
+    this.setupStorageListener();
+    this.start();
+  }
+
+  /**
+   * Reads the sync setting and runs an initial sync if enabled
+   */
+  async start() {
+    try {
+      const settings = await this.storageManager.getSettings();
+      this.enabled = settings.syncEnabled;
+      if (this.enabled) {
+        await this.backend.sync();
+      }
+    } catch (error) {
+      console.error('❌ Error starting sync:', error);
+    }
+  }
+
+  /**
+   * Listens for settings, local rule and remote rule changes
+   */
+  setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageManager.SETTINGS_KEY]) {
+        const settings = changes[this.storageManager.SETTINGS_KEY].newValue || {};
+        const enabled = !!settings.syncEnabled;
+        if (enabled !== this.enabled) {
+          this.enabled = enabled;
+          console.log(`☁️ Sync ${enabled ? 'enabled' : 'disabled'}`);
+          if (enabled) {
+            this.backend.sync();
+          } else {
+            this.backend.disable();
+          }
+        }
+      }
+
+      if (!this.enabled) return;
+
+      const localRulesChanged = areaName === 'local' && changes[SyncStorageBackend.DATA_KEY];
+      const remoteRulesChanged = areaName === 'sync' &&
+        Object.keys(changes).some(key => key.startsWith(SyncStorageBackend.CHUNK_PREFIX));
+      if (localRulesChanged || remoteRulesChanged) {
+        this.backend.schedulePush();
+      }
+    });
+  }
+}
+
+/**
+ * Badge controller for background script
+ * Shows on the toolbar icon how many elements are hidden and removed in each tab,
+ * or that HideThis is paused for the tab's page (see StorageManager.isPausedFor).
+ * The content scripts report the counts; they are kept in chrome.storage.session
+ * so they survive service worker restarts
+ */
+class BackgroundBadgeController {
+  static STORAGE_KEY = 'hidethis_badge_counts';
+
+  // Badge colors per state; the count of mixed pages is hidden plus removed
+  static STYLES = {
+    hidden: { color: '#3b82f6' },
+    removed: { color: '#ef4444' },
+    mixed: { color: '#8b5cf6' },
+    paused: { text: 'OFF', color: '#6b7280' }
+  };
+
+  constructor() {
+    this.storageManager = new StorageManager();
+    this.counts = {}; // tabId -> { hidden, removed }
+    this.ready = this.loadCounts();
+
+    this.setupListeners();
+    this.refreshAllTabs();
+  }
+
+  /**
+   * Loads the counts kept from before the service worker restarted
+   */
+  async loadCounts() {
+    try {
+      const result = await chrome.storage.session.get([BackgroundBadgeController.STORAGE_KEY]);
+      this.counts = result[BackgroundBadgeController.STORAGE_KEY] || {};
+    } catch (error) {
+      console.warn('⚠️ Could not load badge counts:', error.message);
+    }
+  }
+
+  /**
+   * Persists the counts to session storage
+   */
+  async saveCounts() {
+    try {
+      await chrome.storage.session.set({ [BackgroundBadgeController.STORAGE_KEY]: this.counts });
+    } catch (error) {
+      console.warn('⚠️ Could not save badge counts:', error.message);
+    }
+  }
+
+  /**
+   * Updates the counts of a tab and its badge
+   * @param {number} tabId - Tab the counts come from
+   * @param {{hidden?: number, removed?: number}} counts - Counts that changed
+   */
+  async setCounts(tabId, counts) {
+    await this.ready;
+    this.counts[tabId] = { hidden: 0, removed: 0, ...this.counts[tabId], ...counts };
+    await this.saveCounts();
+
+    try {
+      await this.refreshTab(await chrome.tabs.get(tabId));
+    } catch (error) {
+      // The tab may have been closed meanwhile
+      console.log(`Info: Could not update badge of tab ${tabId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forgets the counts of a tab
+   * @param {number} tabId - Tab id
+   */
+  async clearCounts(tabId) {
+    await this.ready;
+    if (!(tabId in this.counts)) return;
+
+    delete this.counts[tabId];
+    await this.saveCounts();
+  }
+
+  /**
+   * Updates the badge when the pause settings change or a tab navigates, and
+   * drops the counts of closed tabs
+   */
+  setupListeners() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageManager.SETTINGS_KEY]) {
+        this.refreshAllTabs();
+      }
+    });
+
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      if (changeInfo.status === 'loading') {
+        // A new page starts at zero; its content script reports its own counts
+        await this.clearCounts(tabId);
+        this.refreshTab(tab);
+      } else if (changeInfo.url) {
+        this.refreshTab(tab);
+      }
+    });
+
+    chrome.tabs.onRemoved.addListener(tabId => this.clearCounts(tabId));
+  }
+
+  /**
+   * Updates the badge of every open tab
+   */
+  async refreshAllTabs() {
+    try {
+      await this.ready;
+      const settings = await this.storageManager.getSettings();
+      const tabs = await chrome.tabs.query({});
+      await Promise.all(tabs.map(tab => this.updateBadge(tab, settings)));
+    } catch (error) {
+      console.error('❌ Error updating badges:', error);
+    }
+  }
+
+  /**
+   * Updates the badge of one tab
+   * @param {Object} tab - Chrome tab
+   */
+  async refreshTab(tab) {
+    try {
+      await this.ready;
+      await this.updateBadge(tab, await this.storageManager.getSettings());
+    } catch (error) {
+      console.error('❌ Error updating badge:', error);
+    }
+  }
+
+  /**
+   * Shows a tab's counts, or its paused state, on its badge and tooltip
+   * Pages HideThis can't run on (no http(s) URL) get no badge
+   * @param {Object} tab - Chrome tab
+   * @param {Object} settings - Settings merged over the defaults
+   */
+  async updateBadge(tab, settings) {
+    if (!tab || tab.id === undefined) return;
+
+    const hostname = /^https?:/.test(tab.url || '') ? this.storageManager.getCurrentDomain(tab.url) : null;
+    const { hidden, removed } = (hostname && this.counts[tab.id]) || { hidden: 0, removed: 0 };
+    const { STYLES } = BackgroundBadgeController;
+    let text = '';
+    let color = STYLES.hidden.color;
+    let title = 'HideThis';
+
+    if (hostname && StorageManager.isPausedFor(settings, hostname)) {
+      ({ text, color } = STYLES.paused);
+      title = 'HideThis (en pausa)';
+    } else if (hidden + removed > 0) {
+      const total = hidden + removed;
+      text = total > 99 ? '99+' : String(total);
+      color = (hidden > 0 && removed > 0 ? STYLES.mixed : hidden > 0 ? STYLES.hidden : STYLES.removed).color;
+      title = `HideThis: ${hidden} oculto${hidden === 1 ? '' : 's'}, ${removed} eliminado${removed === 1 ? '' : 's'}`;
+    }
+
+    await chrome.action.setBadgeText({ tabId: tab.id, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color });
+    await chrome.action.setTitle({ tabId: tab.id, title });
+  }
+}
+
+/**
+ * History controller for background script
+ * Keeps the undo/redo stacks of ActionHistory per domain in chrome.storage.session,
+ * which stays closed to content scripts: each one only reaches the stacks of its own
+ * page's domain, through getHistoryStacks and saveHistoryStacks messages
+ */
+class BackgroundHistoryController {
+  static STORAGE_PREFIX = 'hidethis_history:';
+
+  constructor() {
+    this.storageManager = new StorageManager();
+  }
+
+  /**
+   * Gets the session storage key of a page's domain
+   * @param {string} url - URL of the page
+   * @returns {string} Storage key
+   */
+  getStorageKey(url) {
+    if (!/^https?:/.test(url || '')) {
+      throw new Error('History is only kept for web pages');
+    }
+    return `${BackgroundHistoryController.STORAGE_PREFIX}${this.storageManager.getCurrentDomain(url)}`;
+  }
+
+  /**
+   * Reads the stacks of a page's domain
+   * @param {string} url - URL of the page
+   * @returns {Promise<{undo: Array, redo: Array}>} Stacks, empty if none were kept
+   */
+  async getStacks(url) {
+    const key = this.getStorageKey(url);
+    const result = await chrome.storage.session.get([key]);
+    const stored = result[key] || {};
+    return { undo: stored.undo || [], redo: stored.redo || [] };
+  }
+
+  /**
+   * Stores the stacks of a page's domain
+   * @param {string} url - URL of the page
+   * @param {{undo: Array, redo: Array}} stacks - Stacks to keep
+   */
+  async saveStacks(url, { undo, redo }) {
+    await chrome.storage.session.set({ [this.getStorageKey(url)]: { undo, redo } });
+  }
+}
+
+/**
+ * Context menu controller for background script
+ * Adds "hide" and "remove" entries to the page context menu; the content script
+ * acts on the element it saw right-clicked last (see ElementSelector.handleContextMenuAction)
+ */
+class BackgroundContextMenuController {
+  static MENU_ITEMS = [
+    { id: 'hidethis-hide', title: 'Ocultar este elemento', action: MessageProtocol.ACTIONS.HIDE_CONTEXT_MENU_TARGET },
+    { id: 'hidethis-remove', title: 'Eliminar este elemento', action: MessageProtocol.ACTIONS.REMOVE_CONTEXT_MENU_TARGET }
+  ];
+
+  // Iframes are left out, the content scripts only run in the top frame
+  static CONTEXTS = ['page', 'selection', 'link', 'image', 'video', 'audio', 'editable'];
+
+  constructor() {
+    this.menuUpdate = Promise.resolve();
+    this.setupListeners();
+
+    // The worker starts with the browser and after being stopped when idle; entries
+    // usually survive both, but are recreated here if they didn't
+    this.queueMenuUpdate(() => this.ensureMenus());
+  }
+
+  /**
+   * Creates the entries on install and update, and handles clicks on them
+   */
+  setupListeners() {
+    chrome.runtime.onInstalled.addListener(() => this.queueMenuUpdate(() => this.createMenus()));
+    chrome.contextMenus.onClicked.addListener((info, tab) => this.handleClick(info, tab));
+  }
+
+  /**
+   * Runs menu updates one after another, so a recreation never interleaves with another
+   * @param {Function} update - Async function updating the entries
+   * @returns {Promise} Resolves once the update has run
+   */
+  queueMenuUpdate(update) {
+    this.menuUpdate = this.menuUpdate
+      .then(update)
+      .catch(error => console.error('❌ Error updating context menu:', error));
+    return this.menuUpdate;
+  }
+
+  /**
+   * Recreates the context menu entries if any of them is missing
+   */
+  async ensureMenus() {
+    const missing = await Promise.all(BackgroundContextMenuController.MENU_ITEMS.map(({ id }) => new Promise(resolve => {
+      // Updating an entry that doesn't exist is the only way to detect it
+      chrome.contextMenus.update(id, {}, () => resolve(!!chrome.runtime.lastError));
+    })));
+
+    if (missing.some(Boolean)) {
+      console.log('📋 Context menu entries missing, recreating them');
+      await this.createMenus();
+    }
+  }
+
+  /**
+   * Creates the context menu entries, replacing the ones of a previous version
+   * @returns {Promise} Resolves once every entry was created
+   */
+  createMenus() {
+    return new Promise(resolve => {
+      chrome.contextMenus.removeAll(() => {
+        const created = BackgroundContextMenuController.MENU_ITEMS.map(({ id, title }) => new Promise(done => {
+          chrome.contextMenus.create({
+            id,
+            title,
+            contexts: BackgroundContextMenuController.CONTEXTS,
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          }, () => {
+            if (chrome.runtime.lastError) {
+              console.warn(`⚠️ Could not create context menu entry ${id}:`, chrome.runtime.lastError.message);
+            }
+            done();
+          });
+        }));
+        Promise.all(created).then(resolve);
+      });
+    });
+  }
+
+  /**
+   * Sends the clicked entry's action to the tab's content script
+   * @param {Object} info - Clicked entry and frame
+   * @param {Object} tab - Tab the menu was opened in
+   */
+  handleClick(info, tab) {
+    const item = BackgroundContextMenuController.MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+    if (!item || !tab || tab.id === undefined) return;
+
+    if (info.frameId) {
+      console.warn('⚠️ Context menu used inside an iframe, which HideThis does not run in');
+      return;
+    }
+
+    chrome.tabs.sendMessage(tab.id, { action: item.action }, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`⚠️ Could not run ${item.action}:`, chrome.runtime.lastError.message);
+      } else if (!response?.success) {
+        console.warn(`⚠️ ${item.action} failed:`, response?.error);
+      }
+    });
+  }
+}
+
+/**
+ * Command controller for background script
+ * Routes the keyboard shortcuts declared in the manifest "commands" to the tab
+ * they were pressed in; users can change the keys in chrome://extensions/shortcuts
+ */
+class BackgroundCommandController {
+  // Commands handled by the content script, by name
+  static CONTENT_SCRIPT_COMMANDS = {
+    'toggle-selector': MessageProtocol.ACTIONS.TOGGLE_SELECTOR,
+    'toggle-visibility': MessageProtocol.ACTIONS.TOGGLE_VISIBILITY,
+    'undo': MessageProtocol.ACTIONS.UNDO
+  };
+
+  constructor() {
+    this.storageManager = new StorageManager();
+
+    chrome.commands.onCommand.addListener((command, tab) => this.handleCommand(command, tab));
+  }
+
+  /**
+   * Runs a keyboard shortcut on the tab it was pressed in
+   * @param {string} command - Command name from the manifest
+   * @param {Object} tab - Active tab when the shortcut was pressed
+   */
+  async handleCommand(command, tab) {
+    console.log(`⌨️ Command received: ${command}`);
+    if (!tab || tab.id === undefined) return;
+
+    try {
+      if (command === 'toggle-site-pause') {
+        await this.toggleSitePause(tab);
+        return;
+      }
+
+      const action = BackgroundCommandController.CONTENT_SCRIPT_COMMANDS[command];
+      if (!action) {
+        console.warn(`⚠️ Unknown command: ${command}`);
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, { action }, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.warn(`⚠️ Could not run ${command}:`, chrome.runtime.lastError.message);
+        } else if (!response?.success) {
+          console.warn(`⚠️ ${command} failed:`, response?.error);
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error running command ${command}:`, error);
+    }
+  }
+
+  /**
+   * Pauses or resumes HideThis on the tab's site
+   * Written straight to the settings, so it works before the content script has loaded;
+   * open pages and the badge follow through their storage listeners
+   * @param {Object} tab - Chrome tab
+   */
+  async toggleSitePause(tab) {
+    if (!/^https?:/.test(tab.url || '')) return;
+
+    const paused = await this.storageManager.isSitePaused(tab.url);
+    await this.storageManager.setSitePaused(!paused, tab.url);
+  }
+}
+
 /**
  * Initialize message controller when service worker loads
  */
 try {
-  const messageController = new BackgroundMessageController();
+  const badgeController = new BackgroundBadgeController();
+  const historyController = new BackgroundHistoryController();
+  const messageController = new BackgroundMessageController(badgeController, historyController);
+  const syncController = new BackgroundSyncController();
+  const contextMenuController = new BackgroundContextMenuController();
+  const commandController = new BackgroundCommandController();
   console.log('✅ Background script initialized');
 } catch (error) {
   console.error('Error initializing background script:', error);
@@ -1,6 +1,9 @@
 /**
  * DomAttrsRemover - Clean element removal functionality
  * Handles classes, IDs, and complex selectors removal from DOM elements
+ * Every removal is recorded in a RemovalJournal, so rules can be undone without a reload.
+ * Elements matched by an exception rule are never removed, and everything is put
+ * back while HideThis is paused
  */
 class DomAttrsRemover {
   constructor() {
@@ -9,6 +12,13 @@ class DomAttrsRemover {
     this.initialized = false;
     this.mutationObserver = null;
     this.intersectionObserver = null;
+    this.exceptionSelectors = []; // Selectors of the exception rules applying to the page
+    this.journal = new RemovalJournal(
+      element => ExceptionRules.matches(element, this.exceptionSelectors),
+      () => this.scheduleCountNotification()
+    ); // Detached nodes and stripped classes of this page load
+    this.countNotificationTimer = null;
+    this.paused = false; // HideThis is paused here, see StorageManager.isPaused
     
     // Initialize and cache references
     this.init();
@@ -27,11 +37,19 @@ class DomAttrsRemover {
         
         console.log('[DomAttrsRemover] ✅ Initialized successfully for domain:', this.domain);
         
-        // Setup dynamic element detection
-        this.setupDynamicDetection();
+        // While paused no stored removals are applied; manual removals from the picker still work
+        this.paused = await this.storageManager.isPaused();
+        if (this.paused) {
+          console.log('[DomAttrsRemover] ⏸️ HideThis is paused, skipping stored removals');
+        } else {
+          await this.applyStoredRemovals();
+        }
+        
+        // Apply removal rules added in other tabs without a reload
+        this.storageManager.subscribe(change => this.handleRulesChanged(change));
         
-        // Auto-restore removed elements on page load
-        await this.restoreRemovedElements();
+        // Pausing and resuming from the popup apply right away
+        await this.storageManager.subscribePause(paused => this.setPaused(paused));
       }
     } catch (error) {
       console.error('[DomAttrsRemover] ❌ Initialization failed:', error);
@@ -39,12 +57,46 @@ class DomAttrsRemover {
     }
   }
 
+  /**
+   * Starts watching the page and applies the stored removal rules
+   */
+  async applyStoredRemovals() {
+    this.exceptionSelectors = this.getExceptionSelectors();
+    
+    // Setup dynamic element detection
+    this.setupDynamicDetection();
+    
+    // Auto-restore removed elements on page load
+    await this.restoreRemovedElements();
+  }
+
+  /**
+   * Pauses or resumes removals without a reload
+   * Pausing puts back everything removed on this page load and stops the observers
+   * @param {boolean} paused - New paused state
+   */
+  async setPaused(paused) {
+    if (paused === this.paused) return;
+    this.paused = paused;
+    
+    if (paused) {
+      this.cleanup();
+      const restoredCount = this.journal.restoreAll();
+      console.log(`[DomAttrsRemover] ⏸️ Paused, restored ${restoredCount} removals`);
+    } else {
+      await this.applyStoredRemovals();
+      console.log('[DomAttrsRemover] ▶️ Resumed, stored removals re-applied');
+    }
+  }
+
   /**
    * Enhanced element removal that detects selector type automatically
    * @param {string} selector - The selector to remove (.class, #id, or complex)
+   * @param {Object|null|undefined} scope - UrlScope of the rule, undefined to keep an existing rule's scope
+   * @param {string|null} target - Domain target storing the rule, null for the current host
    * @returns {Object} Result with count and success status
    */
-  async removeElements(selector) {
+  async removeElements(selector, scope = undefined, target = null) {
     if (!this.initialized) {
       throw new Error('DomAttrsRemover not initialized');
     }
@@ -57,54 +109,19 @@ class DomAttrsRemover {
     console.log(`[DomAttrsRemover] 🎯 Removing elements: "${cleanSelector}"`);
     
     try {
-      let elements = [];
-      let removalType = 'unknown';
-      
-      // Auto-detect selector type and find elements
-      if (cleanSelector.startsWith('.')) {
-        // Class selector
-        removalType = 'class';
-        const className = cleanSelector.substring(1);
-        elements = this.getElementsByClass(className);
-        
-        // Remove class from elements instead of hiding them
-        elements.forEach(element => {
-          element.classList.remove(className);
-        });
-        
-      } else if (cleanSelector.startsWith('#')) {
-        // ID selector
-        removalType = 'id';
-        const element = document.getElementById(cleanSelector.substring(1));
-        if (element) {
-          elements = [element];
-          element.remove(); // Remove ID elements completely
-        }
-        
-      } else {
-        // Complex selector or attribute
-        removalType = 'complex';
-        try {
-          elements = Array.from(document.querySelectorAll(cleanSelector));
-          elements.forEach(element => element.remove());
-        } catch (selectorError) {
-          console.warn('[DomAttrsRemover] Invalid selector:', cleanSelector);
-          throw new Error(`Invalid CSS selector: ${cleanSelector}`);
-        }
-      }
-      
-      const count = elements.length;
-      console.log(`[DomAttrsRemover] ✅ Removed ${count} elements (${removalType})`);
+      // Exception selectors are not loaded while paused, so read them before removing
+      this.exceptionSelectors = this.getExceptionSelectors();
+      const result = this.applyRemoval(cleanSelector);
       
       // Store removal data for persistence (even if count is 0, for future elements)
-      await this.storeRemovedElement(cleanSelector, removalType, count);
+      await this.storeRemovedElement(cleanSelector, result.type, result.count, scope, target);
       
       return {
         success: true,
-        count: count,
+        count: result.count,
         selector: cleanSelector,
-        type: removalType,
-        elements: elements.length
+        type: result.type,
+        elements: result.count
       };
       
     } catch (error) {
@@ -114,6 +131,62 @@ class DomAttrsRemover {
     }
   }
 
+  /**
+   * Applies a removal to the current page without storing it
+   * @param {string} cleanSelector - Trimmed selector (.class, #id, or complex)
+   * @returns {{count: number, type: string}} Affected elements and removal type
+   */
+  applyRemoval(cleanSelector) {
+    let elements = [];
+    let removalType = 'unknown';
+    
+    // Auto-detect selector type and find elements
+    if (cleanSelector.startsWith('.')) {
+      // Class selector
+      removalType = 'class';
+      // Remove class from elements instead of hiding them
+      elements = this.removeClassFromElements(cleanSelector, cleanSelector.substring(1));
+      
+    } else if (this.isPageWideSelector(cleanSelector)) {
+      // Removing these would wipe out the whole page on every load
+      throw new Error(`Selector matches the whole page: ${cleanSelector}`);
+      
+    } else if (cleanSelector.startsWith('#')) {
+      // ID selector
+      removalType = 'id';
+      const element = document.getElementById(cleanSelector.substring(1));
+      if (element && this.journal.removeNode(cleanSelector, element)) {
+        elements = [element]; // Remove ID elements completely
+      }
+      
+    } else {
+      // Complex selector or attribute
+      removalType = 'complex';
+      try {
+        elements = Array.from(document.querySelectorAll(cleanSelector))
+          .filter(element => this.journal.removeNode(cleanSelector, element));
+      } catch (selectorError) {
+        console.warn('[DomAttrsRemover] Invalid selector:', cleanSelector);
+        throw new Error(`Invalid CSS selector: ${cleanSelector}`);
+      }
+    }
+    
+    const count = elements.length;
+    console.log(`[DomAttrsRemover] ✅ Removed ${count} elements (${removalType})`);
+    
+    return { count, type: removalType };
+  }
+
+  /**
+   * Checks if removing elements matched by a selector would affect the whole page
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if selector is page-wide
+   */
+  isPageWideSelector(selector) {
+    if (typeof SelectorGenerator === 'undefined') return false;
+    return SelectorGenerator.isPageWideSelector(selector);
+  }
+
   /**
    * Quick blur filter removal - targets common blur class
    * @returns {Object} Result with removed elements count
@@ -134,33 +207,15 @@ class DomAttrsRemover {
   }
   
   /**
-   * Get elements by class name with dynamic detection
+   * Strips a class from every element of the page carrying it
+   * Elements added later are handled by dynamic detection
+   * @param {string} cleanSelector - Class selector of the removal rule
    * @param {string} className - Class name without dot
-   * @returns {Array} Array of elements
+   * @returns {Array} Elements the class was removed from
    */
-  getElementsByClass(className) {
-    // Find existing elements
-    const existing = Array.from(document.getElementsByClassName(className));
-    
-    // Also process newly added elements
-    this.processNewElements(className);
-    
-    return existing;
-  }
-  
-  /**
-   * Process newly added elements for a specific class
-   * @param {string} className - Class to remove from new elements
-   */
-  processNewElements(className) {
-    // This will be called by MutationObserver when new elements are added
-    const newElements = Array.from(document.getElementsByClassName(className));
-    newElements.forEach(element => {
-      if (!element.hasAttribute('data-hidethis-processed')) {
-        element.classList.remove(className);
-        element.setAttribute('data-hidethis-processed', 'true');
-      }
-    });
+  removeClassFromElements(cleanSelector, className) {
+    return Array.from(document.getElementsByClassName(className))
+      .filter(element => this.journal.removeClass(cleanSelector, element, className));
   }
   
   /**
@@ -241,14 +296,14 @@ class DomAttrsRemover {
   async processVisibleElement(element) {
     try {
       // Apply any stored removals to this element
-      const removedElements = await this.getRemovedElements();
+      const removedElements = await this.getActiveRemovedElements();
       
       removedElements.forEach(removal => {
         if (removal.type === 'class') {
           const className = removal.selector.substring(1); // Remove the dot
           if (element.classList.contains(className)) {
             console.log(`[DomAttrsRemover] 🎯 Removing class "${className}" from visible element`);
-            element.classList.remove(className);
+            this.journal.removeClass(removal.selector, element, className);
           }
         }
       });
@@ -263,36 +318,16 @@ class DomAttrsRemover {
    * @param {string} selector - The selector that was removed
    * @param {string} type - Type of removal (class, id, complex)
    * @param {number} count - Number of elements affected
+   * @param {Object|null|undefined} scope - UrlScope of the rule
+   * @param {string|null} target - Domain target storing the rule
    */
-  async storeRemovedElement(selector, type, count) {
+  async storeRemovedElement(selector, type, count, scope = undefined, target = null) {
     if (!this.storageManager) return;
     
     try {
-      const currentData = await this.storageManager.getDomainData(this.domain);
-      const removedElements = currentData.removedElements || [];
-      
-      // Check if this selector already exists
-      const existingIndex = removedElements.findIndex(item => item.selector === selector);
-      
-      const removalData = {
-        selector: selector,
-        type: type,
-        count: count,
-        timestamp: Date.now()
-      };
-      
-      if (existingIndex !== -1) {
-        // Update existing entry
-        removedElements[existingIndex] = removalData;
-      } else {
-        // Add new entry
-        removedElements.push(removalData);
-      }
-      
-      currentData.removedElements = removedElements;
-      await this.storageManager.saveDomainData(this.domain, currentData);
-      
-      console.log('[DomAttrsRemover] 💾 Stored removal data:', removalData);
+      // Upserts by selector, so re-applying a stored removal keeps its rule id
+      const rule = await this.storageManager.addRemovalRule(selector, type, count, window.location.href, scope, target);
+      console.log('[DomAttrsRemover] 💾 Stored removal rule:', rule);
       
     } catch (error) {
       console.error('[DomAttrsRemover] ❌ Error storing removal data:', error);
@@ -300,21 +335,30 @@ class DomAttrsRemover {
   }
 
   /**
-   * Get all removed elements for current domain
-   * @returns {Array} Array of removal data
+   * Get all removal rules for current domain
+   * @returns {Array} Array of removal rules
    */
   async getRemovedElements() {
     if (!this.storageManager) return [];
     
     try {
-      const domainData = await this.storageManager.getDomainData(this.domain);
-      return domainData.removedElements || [];
+      return await this.storageManager.getRemovalRules(window.location.href);
     } catch (error) {
       console.error('[DomAttrsRemover] ❌ Error getting removed elements:', error);
       return [];
     }
   }
   
+  /**
+   * Get the enabled removal rules whose scope matches the current URL
+   * Used by restoration and the observers, so disabled rules are never re-applied
+   * @returns {Array} Array of removal rules
+   */
+  async getActiveRemovedElements() {
+    const rules = await this.getRemovedElements();
+    return UrlScope.filterRules(this.storageManager ? this.storageManager.filterActiveRules(rules) : rules);
+  }
+  
   /**
    * Get count of stored removal rules for current domain
    * @returns {number} Count of removal rules
@@ -333,6 +377,55 @@ class DomAttrsRemover {
     }
   }
 
+  /**
+   * Get removal rules for the popup list, with how many removals each can undo on this page
+   * Shared rules switched off here are included with globalDisabled set
+   * @returns {Array<Object>} { ruleId, selector, type, count, enabled, restorable, scope, inScope, domain, globalDisabled }
+   */
+  async getRemovedElementsList() {
+    const rules = await this.getRemovedElements();
+    const disabledGlobalRules = this.storageManager ? await this.storageManager.getDisabledGlobalRules('removedElements') : [];
+    const disabledIds = new Set(disabledGlobalRules.map(rule => rule.id));
+    return Promise.all([...rules, ...disabledGlobalRules].map(async rule => ({
+      ruleId: rule.id,
+      selector: rule.selector,
+      type: rule.type,
+      count: rule.count,
+      enabled: RuleModel.isEnabled(rule),
+      restorable: this.journal.count(rule.selector),
+      scope: rule.scope || null,
+      inScope: UrlScope.matchesRule(rule),
+      domain: await this.storageManager.getRuleDomain(rule.id),
+      globalDisabled: disabledIds.has(rule.id)
+    })));
+  }
+
+  /**
+   * Delete one removal rule and put back what it removed from this page
+   * @param {string} ruleId - Removal rule id
+   * @returns {Object} Result with the number of restored nodes and classes
+   */
+  async restoreRemovedElement(ruleId) {
+    if (!this.storageManager) {
+      throw new Error('Storage manager not available');
+    }
+    
+    // The rule goes first so processVisibleElement doesn't strip restored classes again
+    const rule = await this.storageManager.removeRemovalRule(ruleId, window.location.href);
+    if (!rule) {
+      throw new Error(`Removal rule not found: ${ruleId}`);
+    }
+    
+    const restoredCount = this.journal.restore(rule.selector);
+    console.log(`[DomAttrsRemover] ♻️ Restored ${restoredCount} removals of ${rule.selector}`);
+    
+    return {
+      success: true,
+      selector: rule.selector,
+      restoredCount
+    };
+  }
+
   /**
    * Clear all removal rules and restore page
    * @returns {Object} Result with success status
@@ -343,21 +436,19 @@ class DomAttrsRemover {
     }
     
     try {
-      const currentData = await this.storageManager.getDomainData(this.domain);
-      const rulesCount = (currentData.removedElements || []).length;
-      
       // Clear the removal rules data
-      currentData.removedElements = [];
-      await this.storageManager.saveDomainData(this.domain, currentData);
+      const rulesCount = await this.storageManager.clearRemovalRules(window.location.href);
       
       console.log(`[DomAttrsRemover] 🧹 Cleared ${rulesCount} removal rules`);
       
-      // Reload page to restore everything
-      window.location.reload();
+      // Put removed nodes and classes back in place
+      const restoredCount = this.journal.restoreAll();
+      console.log(`[DomAttrsRemover] ♻️ Restored ${restoredCount} removals`);
       
       return {
         success: true,
-        clearedCount: rulesCount
+        clearedCount: rulesCount,
+        restoredCount
       };
       
     } catch (error) {
@@ -372,7 +463,7 @@ class DomAttrsRemover {
    */
   async restoreRemovedElements() {
     try {
-      const removedElements = await this.getRemovedElements();
+      const removedElements = await this.getActiveRemovedElements();
       
       if (removedElements.length === 0) {
         console.log('[DomAttrsRemover] 📄 No stored removals to restore');
@@ -383,12 +474,11 @@ class DomAttrsRemover {
       
       let totalRestored = 0;
       
+      // Re-applied without storing, so page loads don't rewrite the rules
       for (const removal of removedElements) {
         try {
-          const result = await this.removeElements(removal.selector);
-          if (result.success) {
-            totalRestored += result.count;
-          }
+          const result = this.applyRemoval(removal.selector);
+          totalRestored += result.count;
         } catch (error) {
           console.warn(`[DomAttrsRemover] ⚠️ Could not restore removal: ${removal.selector}`, error.message);
         }
@@ -401,6 +491,114 @@ class DomAttrsRemover {
     }
   }
   
+  /**
+   * Get the selectors of the exception rules applying to the page
+   * Reads the cache, which subscribers find already updated
+   * @returns {Array<string>} Selectors
+   */
+  getExceptionSelectors() {
+    return ExceptionRules.getSelectors(this.storageManager.getApplicableRules('exceptions', window.location.href));
+  }
+
+  /**
+   * Reloads the exception selectors, puts back what they now cover and
+   * re-applies the removals that a dropped exception was holding back
+   */
+  refreshExceptions() {
+    this.exceptionSelectors = this.getExceptionSelectors();
+    const restoredCount = this.journal.restoreExempt();
+    if (restoredCount > 0) {
+      console.log(`[DomAttrsRemover] 🛡️ Restored ${restoredCount} elements covered by exception rules`);
+    }
+    this.restoreRemovedElements();
+  }
+
+  /**
+   * Applies removal rules added in another tab, the popup or by sync
+   * @param {Object} change - Domain change from StorageManager.subscribe
+   */
+  handleRulesChanged(change) {
+    // Resuming reads every rule again, so changes made while paused aren't lost
+    if (this.paused || !this.storageManager.appliesTo(change.domain)) return;
+    
+    const exceptions = change.exceptions;
+    if (exceptions.added.length + exceptions.removed.length + exceptions.updated.length > 0) {
+      this.refreshExceptions();
+    }
+    
+    const { added, removed, updated } = change.removedElements;
+    const activeRules = this.storageManager.filterActiveRules([...added, ...updated]);
+    
+    [...added, ...updated].forEach(rule => {
+      // An updated rule may have been disabled or scoped away from this page, or be a shared rule switched off here
+      if (!UrlScope.matchesRule(rule) || !activeRules.includes(rule)) {
+        this.journal.restore(rule.selector);
+        return;
+      }
+      
+      try {
+        this.applyRemoval(rule.selector);
+      } catch (error) {
+        console.warn(`[DomAttrsRemover] ⚠️ Could not apply synced removal: ${rule.selector}`, error.message);
+      }
+    });
+    
+    removed.forEach(rule => {
+      const restoredCount = this.journal.restore(rule.selector);
+      console.log(`[DomAttrsRemover] 🔔 Removal rule deleted elsewhere, restored ${restoredCount}: ${rule.selector}`);
+    });
+  }
+
+  /**
+   * Re-evaluates rule scopes after an in-page (SPA) navigation
+   * Rules that no longer match the URL put back what they removed, rules that
+   * now match are applied to the new content
+   */
+  async handleUrlChange() {
+    if (this.paused) return;
+    
+    // Scoped exception rules may start or stop covering elements too
+    this.exceptionSelectors = this.getExceptionSelectors();
+    this.journal.restoreExempt();
+    
+    const rules = await this.getRemovedElements();
+    let applied = 0;
+    let restored = 0;
+    
+    const activeRules = this.storageManager.filterActiveRules(rules);
+    rules.forEach(rule => {
+      if (!UrlScope.matchesRule(rule) || !activeRules.includes(rule)) {
+        restored += this.journal.restore(rule.selector);
+        return;
+      }
+      
+      try {
+        applied += this.applyRemoval(rule.selector).count;
+      } catch (error) {
+        console.warn(`[DomAttrsRemover] ⚠️ Could not apply removal after navigation: ${rule.selector}`, error.message);
+      }
+    });
+    
+    console.log(`[DomAttrsRemover] 🧭 URL changed: applied ${applied}, restored ${restored}`);
+    
+    // The badge count is reset when the tab navigates, in-page navigations included
+    this.scheduleCountNotification();
+  }
+
+  /**
+   * Reports how many removals the page has to the background service worker, for the toolbar badge
+   * Batched, since dynamic detection can remove many elements in a row
+   */
+  scheduleCountNotification() {
+    clearTimeout(this.countNotificationTimer);
+    this.countNotificationTimer = setTimeout(() => {
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENTS_REMOVED,
+        count: this.journal.size()
+      });
+    }, Constants.CONFIG.DEBOUNCE_DELAY);
+  }
+
   /**
    * Cleanup resources
    */
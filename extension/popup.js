@@ -6,6 +6,7 @@ class PopupController {
     this.uiElements = {};
     this.messageCleanup = null;
     this.currentListType = null;
+    this.pendingImport = null; // Parsed bundle waiting for confirmation
     // Don't call init() here - will be called externally with await
   }
 
@@ -86,6 +87,16 @@ class PopupController {
     // Element removal event listeners
     this.setupElementRemovalListeners();
     
+    // Undo/redo event listeners
+    this.setupHistoryListeners();
+    
+    // Exception rules and per-site pause event listeners
+    this.setupExceptionListeners();
+    
+    // Export/import event listeners
+    this.setupRulesBundleListeners();
+    this.setupFilterListListeners();
+    
     console.log('✅ All event listeners set up successfully');
   }
 
@@ -121,10 +132,7 @@ class PopupController {
     }
 
     if (removedElementsCountBtn) {
-      removedElementsCountBtn.addEventListener('click', () => {
-        console.log('📊 Show removed elements list (future feature)');
-        // TODO: Show list of removed elements
-      });
+      removedElementsCountBtn.addEventListener('click', () => this.showRemovedElementsList());
     }
 
     // Allow Enter key in selector input
@@ -137,19 +145,87 @@ class PopupController {
     }
   }
 
+  /**
+   * Setup undo/redo event listeners
+   */
+  setupHistoryListeners() {
+    const undoBtn = document.getElementById('undoAction');
+    const redoBtn = document.getElementById('redoAction');
+
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => this.handleHistoryStep(MessageProtocol.ACTIONS.UNDO));
+    }
+
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => this.handleHistoryStep(MessageProtocol.ACTIONS.REDO));
+    }
+  }
+
+  /**
+   * Handle undo and redo button clicks
+   * @param {string} step - MessageProtocol.ACTIONS.UNDO or REDO
+   */
+  async handleHistoryStep(step) {
+    try {
+      const response = await this.sendMessage({ action: step });
+
+      if (response?.success) {
+        if (response.label) {
+          showSuccess(`${step === MessageProtocol.ACTIONS.UNDO ? 'Deshecho' : 'Rehecho'}: ${response.label}`);
+        } else {
+          showInfo(step === MessageProtocol.ACTIONS.UNDO ? 'No hay nada que deshacer' : 'No hay nada que rehacer');
+        }
+        await this.updateCounts();
+      } else {
+        showError(response?.error || 'Error en el historial');
+      }
+
+    } catch (error) {
+      console.error(`Error in handleHistoryStep (${step}):`, error);
+      showError('Error en el historial: ' + error.message);
+    }
+  }
+
+  /**
+   * Enable the undo/redo buttons and show what they would do
+   */
+  async updateHistoryState() {
+    const undoBtn = document.getElementById('undoAction');
+    const redoBtn = document.getElementById('redoAction');
+    if (!undoBtn || !redoBtn) return;
+
+    try {
+      const response = await this.sendMessage({ action: MessageProtocol.ACTIONS.GET_HISTORY_STATE });
+      const state = response?.success ? response.state : {};
+
+      if (state.canUndo) this.enableButton(undoBtn); else this.disableButton(undoBtn);
+      if (state.canRedo) this.enableButton(redoBtn); else this.disableButton(redoBtn);
+      undoBtn.title = state.undoLabel ? `Deshacer: ${state.undoLabel}` : '';
+      redoBtn.title = state.redoLabel ? `Rehacer: ${state.redoLabel}` : '';
+    } catch (error) {
+      console.error('❌ Error updating history state:', error);
+    }
+  }
+
   /**
    * Setup message listener for background script communication
    */
   setupMessageListener() {
-    this.messageCleanup = MessageHandler.setupMessageListener((message) => {
-      if (message.type === 'selectorModeChanged') {
-        this.updateSelectorButtonState();
-      } else if (message.action === 'updateCount') {
+    // The popup also hears content script notifications meant for the background; those are ignored
+    this.messageCleanup = MessageHandler.setupMessageListener(MessageProtocol.HANDLERS.POPUP, {
+      updateCount: (message, respond) => {
+        respond({ success: true });
+        
+        // Counts of pages in other tabs are not ours to show
+        if (Number.isInteger(message.tabId) && message.tabId !== MessageHandler.targetTabId) return;
+        
         console.log('🔄 Received count update:', message);
-        this.updateHiddenElementsCount(message.count);
+        if (message.source !== MessageProtocol.ACTIONS.ELEMENTS_REMOVED) {
+          this.updateHiddenElementsCount(message.count);
+        }
         this.updateCounts(); // Update all counts
       }
-    });
+    }, { ignoreOthers: true });
   }
 
   /**
@@ -158,7 +234,7 @@ class PopupController {
   async loadInitialState() {
     try {
       console.log('🔍 Loading initial state...');
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.GET_HIDDEN_COUNT);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_HIDDEN_COUNT);
       console.log('📋 Initial state response:', response);
       
       if (response?.success) {
@@ -181,7 +257,7 @@ class PopupController {
   async handleToggleSelector() {
     try {
       console.log('🔍 Toggling selector...');
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.TOGGLE_SELECTOR);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.TOGGLE_SELECTOR);
       console.log('📋 Toggle selector response:', response);
       
       if (!response?.success) {
@@ -215,7 +291,7 @@ class PopupController {
     try {
       console.log('🌀 Removing blur filters');
       
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.REMOVE_BLUR_FILTER);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.REMOVE_BLUR_FILTER);
 
       if (response.success) {
         const patterns = response.patterns || [];
@@ -289,7 +365,7 @@ class PopupController {
    */
   async pingContentScript() {
     try {
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.PING_CONTENT_SCRIPT);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.PING);
       return response?.success === true;
     } catch (error) {
       return false;
@@ -343,7 +419,7 @@ class PopupController {
    */
   async handleToggleVisibility() {
     try {
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.TOGGLE_VISIBILITY);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.TOGGLE_VISIBILITY);
       
       if (response?.success) {
         this.showTemporaryFeedback(response.visible ? 'Elementos mostrados' : 'Elementos ocultos');
@@ -360,7 +436,7 @@ class PopupController {
    */
   async handleClearAll() {
     try {
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.CLEAR_ALL);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.CLEAR_ALL);
       
       if (response?.success) {
         this.updateHiddenElementsCount(0);
@@ -378,7 +454,7 @@ class PopupController {
    */
   async refreshHiddenElementsCount() {
     try {
-      const response = await MessageHandler.sendToBackground(Constants.ACTIONS.GET_HIDDEN_COUNT);
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_HIDDEN_COUNT);
       
       if (response?.success) {
         this.updateHiddenElementsCount(response.count);
@@ -393,7 +469,7 @@ class PopupController {
    */
   updateSelectorButtonState() {
     console.log('🔍 Updating selector button state...');
-    MessageHandler.sendToBackground(Constants.ACTIONS.GET_SELECTOR_STATE)
+    MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_SELECTOR_STATE)
       .then(response => {
         console.log('📋 Selector state response:', response);
         if (response?.success) {
@@ -490,6 +566,140 @@ class PopupController {
     button.classList.add('opacity-50', 'cursor-not-allowed');
   }
 
+  /**
+   * Setup exception rule and pause event listeners
+   */
+  setupExceptionListeners() {
+    const addExceptionBtn = document.getElementById('addException');
+    const exceptionsCountBtn = document.getElementById('exceptionsCount');
+    const exceptionInput = document.getElementById('exceptionSelector');
+    const pauseToggle = document.getElementById('pauseSite');
+    const pauseAllToggle = document.getElementById('pauseAll');
+
+    if (addExceptionBtn) {
+      addExceptionBtn.addEventListener('click', () => this.handleAddException());
+    }
+
+    if (exceptionsCountBtn) {
+      exceptionsCountBtn.addEventListener('click', () => this.showExceptionsList());
+    }
+
+    // Allow Enter key in selector input
+    if (exceptionInput) {
+      exceptionInput.addEventListener('keypress', async (e) => {
+        if (e.key === 'Enter') {
+          await this.handleAddException();
+        }
+      });
+    }
+
+    if (pauseToggle) {
+      pauseToggle.addEventListener('change', () => this.handleTogglePause(pauseToggle.checked));
+    }
+
+    if (pauseAllToggle) {
+      pauseAllToggle.addEventListener('change', () => this.handleTogglePauseAll(pauseAllToggle.checked));
+    }
+
+    this.loadPauseState();
+  }
+
+  /**
+   * Adds an exception rule for the selector typed in the popup
+   */
+  async handleAddException() {
+    const input = document.getElementById('exceptionSelector');
+    const selector = input ? input.value.trim() : '';
+    if (!selector) {
+      showError('Por favor ingresa un selector');
+      return;
+    }
+
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.ADD_EXCEPTION, { selector });
+      if (response?.success) {
+        input.value = '';
+        showSuccess(`Los elementos "${selector}" ya no se ocultarán`);
+        await this.updateCounts();
+      } else {
+        showError('Error: ' + (response?.error || 'No se pudo añadir la excepción'));
+      }
+    } catch (error) {
+      console.error('❌ Error adding exception:', error);
+      showError('Error de conexión: ' + error.message);
+    }
+  }
+
+  /**
+   * Show the global pause setting and the one of the current site
+   * The global one is read from storage, so it shows on pages without the content script too
+   */
+  async loadPauseState() {
+    try {
+      const storageManager = new StorageManager();
+      const settings = await storageManager.getSettings();
+      document.getElementById('pauseAll').checked = settings.paused;
+
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_SITE_PAUSED);
+      if (response?.success) {
+        document.getElementById('pauseSite').checked = response.paused;
+      }
+    } catch (error) {
+      console.error('❌ Error loading pause state:', error);
+    }
+    this.renderPauseStatus();
+  }
+
+  /**
+   * Render the pause status line from the two pause toggles
+   */
+  renderPauseStatus() {
+    const statusElement = document.getElementById('pauseStatus');
+    if (!statusElement) return;
+
+    if (document.getElementById('pauseAll').checked) {
+      statusElement.textContent = 'HideThis está en pausa en todos los sitios';
+    } else {
+      statusElement.textContent = document.getElementById('pauseSite').checked ? 'Las reglas de este sitio no se aplican' : '';
+    }
+  }
+
+  /**
+   * Pause or resume HideThis on the current site
+   * @param {boolean} paused - New setting
+   */
+  async handleTogglePause(paused) {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.SET_SITE_PAUSED, { paused });
+      if (response?.success) {
+        this.renderPauseStatus();
+        showSuccess(paused ? 'HideThis pausado en este sitio' : 'HideThis reanudado en este sitio');
+      } else {
+        showError('Error: ' + (response?.error || 'No se pudo cambiar la pausa'));
+      }
+    } catch (error) {
+      console.error('❌ Error toggling pause:', error);
+      showError('Error cambiando la pausa: ' + error.message);
+    }
+  }
+
+  /**
+   * Pause or resume HideThis on every site
+   * Open pages and the toolbar badge follow the setting through their storage listeners
+   * @param {boolean} paused - New setting
+   */
+  async handleTogglePauseAll(paused) {
+    try {
+      const storageManager = new StorageManager();
+      await storageManager.updateSettings({ paused });
+      this.renderPauseStatus();
+      showSuccess(paused ? 'HideThis pausado en todos los sitios' : 'HideThis reanudado');
+    } catch (error) {
+      console.error('❌ Error toggling global pause:', error);
+      showError('Error cambiando la pausa: ' + error.message);
+    }
+  }
+
   // === LIST VIEW METHODS ===
 
   /**
@@ -498,7 +708,7 @@ class PopupController {
   async showHiddenElementsList() {
     try {
       console.log('🔍 Requesting hidden elements list...');
-      const response = await MessageHandler.sendToBackground('getHiddenElementsList');
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_HIDDEN_ELEMENTS_LIST);
       
       console.log('📋 Hidden elements response:', response);
       
@@ -515,6 +725,42 @@ class PopupController {
 
 
 
+  /**
+   * Show removal rules list
+   */
+  async showRemovedElementsList() {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_REMOVED_ELEMENTS_LIST);
+      
+      if (response?.success) {
+        this.showListView('Elementos Eliminados', 'removed', response.elements, response.elements.length);
+      } else {
+        this.showTemporaryFeedback('Error al obtener lista de elementos eliminados');
+      }
+    } catch (error) {
+      console.error('❌ Error getting removed elements list:', error);
+      this.showTemporaryFeedback('Error al obtener lista de elementos eliminados');
+    }
+  }
+
+  /**
+   * Show exception rules list
+   */
+  async showExceptionsList() {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_EXCEPTIONS_LIST);
+      
+      if (response?.success) {
+        this.showListView('Excepciones', 'exceptions', response.elements, response.elements.length);
+      } else {
+        this.showTemporaryFeedback('Error al obtener lista de excepciones');
+      }
+    } catch (error) {
+      console.error('❌ Error getting exceptions list:', error);
+      this.showTemporaryFeedback('Error al obtener lista de excepciones');
+    }
+  }
+
   /**
    * Show list view with data
    */
@@ -526,6 +772,9 @@ class PopupController {
     this.uiElements.listTitle.textContent = title;
     this.uiElements.listCount.textContent = `${count} elemento${count !== 1 ? 's' : ''}`;
     
+    // Exception rules are deleted one by one
+    this.uiElements.clearAllList.classList.toggle('hidden', type === 'exceptions');
+    
     // Generate list content
     if (items.length === 0) {
       this.uiElements.listContent.innerHTML = `
@@ -573,24 +822,55 @@ class PopupController {
    * Generates HTML for a list item
    */
   generateListItem(item, index, type) {
-    if (type === 'hidden') {
+    if (type === 'exceptions') {
+      return `
+        <div class="flex items-center justify-between p-3 bg-gray-50 rounded-lg mb-2 group hover:bg-gray-100 transition-colors">
+          <div class="flex-1 min-w-0">
+            <div class="font-medium text-sm text-gray-900 font-mono truncate">
+              ${this.escapeHtml(item.selector)}
+            </div>
+            <div class="text-xs text-gray-500">
+              ${item.matched > 0 ? `${item.matched} en esta página` : 'No encontrado en la página'}
+            </div>
+            ${this.generateTargetLine(item)}
+            ${this.generateScopeLine(item)}
+          </div>
+          <button 
+            class="opacity-0 group-hover:opacity-100 transition-opacity bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs"
+            data-type="exceptions"
+            data-index="${index}"
+            data-rule-id="${this.escapeHtml(item.ruleId)}"
+            title="Quitar excepción"
+          >
+            Quitar
+          </button>
+        </div>
+      `;
+    } else if (type === 'hidden') {
       return `
         <div class="flex items-center justify-between p-3 bg-gray-50 rounded-lg mb-2 group hover:bg-gray-100 transition-colors">
           <div class="flex-1 min-w-0">
             <div class="font-medium text-sm text-gray-900 truncate">
-              ${item.tagName || 'elemento'}${item.id ? `#${item.id}` : ''}
+              ${this.escapeHtml(item.tagName || 'elemento')}${item.id ? `#${this.escapeHtml(item.id)}` : ''}
             </div>
             <div class="text-xs text-gray-500 truncate">
-              ${item.classes ? `.${item.classes.join('.')}` : 'Sin clases'}
+              ${item.classes ? `.${this.escapeHtml(item.classes.join('.'))}` : 'Sin clases'}
             </div>
             <div class="text-xs text-gray-400">
-              ${item.size ? `${item.size.width}×${item.size.height}px` : ''}
+              ${item.size ? `${item.size.width}×${item.size.height}px` : 'No encontrado en la página'}
+              ${Constants.HIDE_MODE_LABELS[item.mode] ? ` · ${Constants.HIDE_MODE_LABELS[item.mode]}` : ''}
             </div>
+            ${this.generateTargetLine(item)}
+            ${this.generateScopeLine(item)}
+            ${this.generateDisabledLine(item)}
           </div>
+          ${this.generateEnabledToggleButton(item)}
+          ${this.generateGlobalToggleButton(item)}
           <button 
             class="opacity-0 group-hover:opacity-100 transition-opacity bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs"
             data-type="hidden"
             data-index="${index}"
+            data-rule-id="${this.escapeHtml(item.ruleId)}"
             title="Mostrar elemento"
           >
             Mostrar
@@ -601,18 +881,25 @@ class PopupController {
       return `
         <div class="flex items-center justify-between p-3 bg-orange-50 rounded-lg mb-2 group hover:bg-orange-100 transition-colors">
           <div class="flex-1 min-w-0">
-            <div class="font-medium text-sm text-gray-900 font-mono">
-              ${item.selector}
+            <div class="font-medium text-sm text-gray-900 font-mono truncate">
+              ${this.escapeHtml(item.selector)}
             </div>
             <div class="text-xs text-gray-500">
-              ${item.type === 'class' ? 'Clase CSS' : item.type === 'id' ? 'ID' : 'Atributo'}
+              ${item.type === 'class' ? 'Clase CSS' : item.type === 'id' ? 'ID' : 'Selector'}
+              · ${item.restorable > 0 ? `${item.restorable} en esta página` : 'Nada que restaurar en esta página'}
             </div>
+            ${this.generateTargetLine(item)}
+            ${this.generateScopeLine(item)}
+            ${this.generateDisabledLine(item)}
           </div>
+          ${this.generateEnabledToggleButton(item)}
+          ${this.generateGlobalToggleButton(item)}
           <button 
             class="opacity-0 group-hover:opacity-100 transition-opacity bg-red-500 hover:bg-red-600 text-white px-2 py-1 rounded text-xs"
-            data-type="invalidated"
+            data-type="removed"
             data-index="${index}"
-            title="Restaurar CSS"
+            data-rule-id="${this.escapeHtml(item.ruleId)}"
+            title="Eliminar regla y restaurar elementos"
           >
             Restaurar
           </button>
@@ -621,6 +908,106 @@ class PopupController {
     }
   }
 
+  /**
+   * Generates the domain target line of a list item, omitted for rules of the current host only
+   * @param {Object} item - List item with the domain target the rule is stored under
+   * @returns {string} HTML
+   */
+  generateTargetLine(item) {
+    if (!item.domain || !DomainModel.isSharedTarget(item.domain)) return '';
+
+    const color = item.globalDisabled ? 'text-gray-400' : (DomainModel.isGlobalTarget(item.domain) ? 'text-primary-600' : 'text-gray-500');
+    return `
+      <div class="text-xs ${color} truncate">
+        🌐 ${this.escapeHtml(DomainModel.describeTarget(item.domain))}${item.globalDisabled ? ' · desactivada en este sitio' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generates the button switching a shared (global, wildcard or group) rule off or back on for the current site
+   * @param {Object} item - List item
+   * @returns {string} HTML, empty for rules of the current host only
+   */
+  generateGlobalToggleButton(item) {
+    if (!item.domain || !DomainModel.isSharedTarget(item.domain)) return '';
+
+    return `
+      <button 
+        class="opacity-0 group-hover:opacity-100 transition-opacity bg-primary-100 hover:bg-primary-200 text-gray-700 px-2 py-1 rounded text-xs mr-2"
+        data-global-toggle="true"
+        data-rule-id="${this.escapeHtml(item.ruleId)}"
+        data-disabled="${!item.globalDisabled}"
+        title="${item.globalDisabled ? 'Volver a aplicar la regla en este sitio' : 'Mantener la regla en los demás sitios'}"
+      >
+        ${item.globalDisabled ? 'Activar aquí' : 'No aquí'}
+      </button>
+    `;
+  }
+
+  /**
+   * Generates the line marking a disabled rule, omitted for enabled rules
+   * @param {Object} item - List item with enabled
+   * @returns {string} HTML
+   */
+  generateDisabledLine(item) {
+    if (item.enabled !== false) return '';
+
+    return `
+      <div class="text-xs text-gray-400 truncate">
+        ⏸️ Desactivada · no se aplica
+      </div>
+    `;
+  }
+
+  /**
+   * Generates the button switching a rule off or back on without deleting it
+   * @param {Object} item - List item
+   * @returns {string} HTML
+   */
+  generateEnabledToggleButton(item) {
+    const enabled = item.enabled !== false;
+
+    return `
+      <button 
+        class="opacity-0 group-hover:opacity-100 transition-opacity bg-gray-200 hover:bg-gray-300 text-gray-700 px-2 py-1 rounded text-xs mr-2"
+        data-enabled-toggle="true"
+        data-rule-id="${this.escapeHtml(item.ruleId)}"
+        data-enabled="${!enabled}"
+        title="${enabled ? 'Dejar de aplicar la regla sin borrarla' : 'Volver a aplicar la regla'}"
+      >
+        ${enabled ? 'Desactivar' : 'Activar'}
+      </button>
+    `;
+  }
+
+  /**
+   * Generates the scope line of a list item, omitted for whole-domain rules
+   * @param {Object} item - List item with scope and inScope
+   * @returns {string} HTML
+   */
+  generateScopeLine(item) {
+    if (!item.scope) return '';
+
+    return `
+      <div class="text-xs ${item.inScope ? 'text-primary-600' : 'text-gray-400'} truncate">
+        ${this.escapeHtml(UrlScope.describe(item.scope))}${item.inScope ? '' : ' · no aplica aquí'}
+      </div>
+    `;
+  }
+
+  /**
+   * Escapes text for use inside list item HTML
+   * Selectors come from pages and imported files, so they may contain markup
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   /**
    * Sets up event listeners for list items
    */
@@ -629,31 +1016,101 @@ class PopupController {
     
     deleteButtons.forEach(button => {
       button.addEventListener('click', async (event) => {
-        const index = parseInt(event.target.dataset.index);
-        await this.handleDeleteListItem(type, index);
+        await this.handleDeleteListItem(type, event.target.dataset.ruleId);
+      });
+    });
+
+    const globalToggleButtons = this.uiElements.listContent.querySelectorAll('[data-global-toggle]');
+    globalToggleButtons.forEach(button => {
+      button.addEventListener('click', async (event) => {
+        const { ruleId, disabled } = event.target.dataset;
+        await this.handleToggleGlobalRule(type, ruleId, disabled === 'true');
       });
     });
+
+    const enabledToggleButtons = this.uiElements.listContent.querySelectorAll('[data-enabled-toggle]');
+    enabledToggleButtons.forEach(button => {
+      button.addEventListener('click', async (event) => {
+        const { ruleId, enabled } = event.target.dataset;
+        await this.handleToggleRuleEnabled(type, ruleId, enabled === 'true');
+      });
+    });
+  }
+
+  /**
+   * Switches a rule off or back on and refreshes the list
+   * @param {string} type - List type ('hidden' or 'removed')
+   * @param {string} ruleId - Rule id
+   * @param {boolean} enabled - True to switch the rule on
+   */
+  async handleToggleRuleEnabled(type, ruleId, enabled) {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.SET_RULE_ENABLED, { ruleId, enabled });
+      if (!response?.success) {
+        showError('No se pudo cambiar la regla');
+        return;
+      }
+
+      if (type === 'hidden') {
+        await this.showHiddenElementsList();
+      } else {
+        await this.showRemovedElementsList();
+      }
+    } catch (error) {
+      console.error('Error switching rule:', error);
+      showError('No se pudo cambiar la regla');
+    }
+  }
+
+  /**
+   * Switches a shared rule off or back on for the current site and refreshes the list
+   * @param {string} type - List type ('hidden' or 'removed')
+   * @param {string} ruleId - Shared rule id
+   * @param {boolean} disabled - True to switch the rule off
+   */
+  async handleToggleGlobalRule(type, ruleId, disabled) {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.SET_GLOBAL_RULE_DISABLED, { ruleId, disabled });
+      if (!response?.success) {
+        showError('No se pudo cambiar la regla compartida');
+        return;
+      }
+
+      if (type === 'hidden') {
+        await this.showHiddenElementsList();
+      } else {
+        await this.showRemovedElementsList();
+      }
+    } catch (error) {
+      console.error('Error switching shared rule:', error);
+      showError('No se pudo cambiar la regla compartida');
+    }
   }
 
   /**
    * Handles deletion of a single list item
    */
-  async handleDeleteListItem(type, index) {
+  async handleDeleteListItem(type, key) {
     try {
       let response;
       
-      if (type === 'hidden') {
-        response = await MessageHandler.sendToBackground('removeHiddenElement', { index });
+      // All lists are addressed by rule id
+      if (type === 'exceptions') {
+        response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.REMOVE_EXCEPTION, { ruleId: key });
+      } else if (type === 'hidden') {
+        response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.REMOVE_HIDDEN_ELEMENT, { ruleId: key });
       } else {
-        response = await MessageHandler.sendToBackground('removeInvalidatedSelector', { index });
+        response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.RESTORE_REMOVED_ELEMENT, { ruleId: key });
       }
       
       if (response?.success) {
         // Refresh the list content
-        if (type === 'hidden') {
+        if (type === 'exceptions') {
+          await this.showExceptionsList();
+        } else if (type === 'hidden') {
           await this.showHiddenElementsList();
         } else {
-          await this.showInvalidatedCSSList();
+          await this.showRemovedElementsList();
         }
         
         // Update counters in background - this will be reflected when user returns to main view
@@ -672,9 +1129,9 @@ class PopupController {
       let response;
       
       if (this.currentListType === 'hidden') {
-        response = await MessageHandler.sendToBackground(Constants.ACTIONS.CLEAR_ALL);
+        response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.CLEAR_ALL);
       } else {
-        response = await MessageHandler.sendToBackground(Constants.ACTIONS.CLEAR_INVALIDATED_CSS);
+        response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.CLEAR_REMOVED_ELEMENTS);
       }
       
       if (response?.success) {
@@ -695,6 +1152,370 @@ class PopupController {
     }
   }
 
+  // === EXPORT / IMPORT METHODS ===
+
+  /**
+   * Setup export/import event listeners
+   */
+  setupRulesBundleListeners() {
+    const exportBtn = document.getElementById('exportRules');
+    const importBtn = document.getElementById('importRules');
+    const fileInput = document.getElementById('importRulesFile');
+    const confirmBtn = document.getElementById('confirmImport');
+    const cancelBtn = document.getElementById('cancelImport');
+    const syncToggle = document.getElementById('syncEnabled');
+
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.handleExportRules());
+    }
+
+    document.querySelectorAll('[data-export-format]').forEach(button => {
+      button.addEventListener('click', () => this.handleExportFormat(button.dataset.exportFormat));
+    });
+
+    if (importBtn && fileInput) {
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow picking the same file again
+        if (file) {
+          await this.handleImportFile(file);
+        }
+      });
+    }
+
+    if (confirmBtn) {
+      confirmBtn.addEventListener('click', () => this.handleConfirmImport());
+    }
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.hideImportPreview());
+    }
+
+    if (syncToggle) {
+      syncToggle.addEventListener('change', () => this.handleToggleSync(syncToggle.checked));
+      this.loadSyncState();
+    }
+  }
+
+  /**
+   * Show the sync setting and the result of the last sync
+   */
+  async loadSyncState() {
+    try {
+      const storageManager = new StorageManager();
+      const settings = await storageManager.getSettings();
+      const result = await chrome.storage.local.get([SyncStorageBackend.STATUS_KEY]);
+
+      document.getElementById('syncEnabled').checked = settings.syncEnabled;
+      this.renderSyncStatus(settings.syncEnabled ? result[SyncStorageBackend.STATUS_KEY] : null);
+    } catch (error) {
+      console.error('❌ Error loading sync state:', error);
+    }
+  }
+
+  /**
+   * Render the sync status line
+   * @param {Object|null} status - Status stored by SyncStorageBackend
+   */
+  renderSyncStatus(status) {
+    const statusElement = document.getElementById('syncStatus');
+    if (!statusElement) return;
+
+    const { OK, PARTIAL, ERROR } = SyncStorageBackend.STATUS;
+    if (!status || ![OK, PARTIAL, ERROR].includes(status.state)) {
+      statusElement.textContent = '';
+      return;
+    }
+
+    const time = new Date(status.updatedAt).toLocaleTimeString();
+    if (status.state === OK) {
+      statusElement.textContent = `Sincronizado a las ${time}`;
+    } else if (status.state === PARTIAL) {
+      statusElement.textContent = `Espacio de sincronización lleno: ${status.omitted.length} dominio(s) solo en este equipo`;
+    } else {
+      statusElement.textContent = `Error al sincronizar (${time}). Las reglas siguen guardadas en este equipo.`;
+    }
+  }
+
+  /**
+   * Enable or disable sync; the background service worker does the actual syncing
+   * @param {boolean} enabled - New sync setting
+   */
+  async handleToggleSync(enabled) {
+    try {
+      const storageManager = new StorageManager();
+      await storageManager.updateSettings({ syncEnabled: enabled });
+      this.renderSyncStatus(null);
+      showSuccess(enabled ? 'Sincronización activada' : 'Sincronización desactivada');
+    } catch (error) {
+      console.error('❌ Error toggling sync:', error);
+      showError('Error cambiando la sincronización: ' + error.message);
+    }
+  }
+
+  /**
+   * Get a freshly loaded StorageManager
+   * A new instance each time, so the popup sees rules added since it opened
+   * @returns {StorageManager} Initialized storage manager
+   */
+  async getStorageManager() {
+    const storageManager = new StorageManager();
+    await storageManager.init();
+    return storageManager;
+  }
+
+  /**
+   * Export every domain's rules as a downloadable JSON file
+   */
+  async handleExportRules() {
+    try {
+      const storageManager = await this.getStorageManager();
+      const domains = await storageManager.getAllDomainData();
+      const bundle = RulesBundle.create(domains, {
+        extensionVersion: chrome.runtime.getManifest().version
+      });
+
+      this.downloadFile(
+        RulesBundle.stringify(bundle),
+        `hidethis-reglas-${bundle.exportedAt.slice(0, 10)}.json`,
+        'application/json'
+      );
+
+      const domainCount = Object.keys(bundle.domains).length;
+      showSuccess(`Exportadas las reglas de ${domainCount} dominio${domainCount !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('❌ Error exporting rules:', error);
+      showError('Error exportando reglas: ' + error.message);
+    }
+  }
+
+  /**
+   * Export every domain's rules as a uBlock filter list, user CSS or userscript
+   * @param {string} formatId - One of RuleExporters.FORMATS[*].id
+   */
+  async handleExportFormat(formatId) {
+    try {
+      const storageManager = await this.getStorageManager();
+      const domains = await storageManager.getAllDomainData();
+      if (RuleExporters.collect(domains).length === 0) {
+        showError('No hay reglas para exportar');
+        return;
+      }
+
+      const file = RuleExporters.export(formatId, domains, {
+        extensionVersion: chrome.runtime.getManifest().version
+      });
+      this.downloadFile(file.content, file.filename, file.mimeType);
+      showSuccess(`Exportado ${file.filename}`);
+    } catch (error) {
+      console.error('❌ Error exporting rules:', error);
+      showError('Error exportando reglas: ' + error.message);
+    }
+  }
+
+  /**
+   * Trigger a download of generated text
+   * @param {string} content - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type
+   */
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Read and validate an import file, then show the preview
+   * @param {File} file - Selected JSON file
+   */
+  async handleImportFile(file) {
+    try {
+      const bundle = RulesBundle.parse(await file.text());
+      const storageManager = await this.getStorageManager();
+      const currentDomains = await storageManager.getAllDomainData();
+      const preview = RulesBundle.preview(bundle, currentDomains);
+
+      if (preview.length === 0) {
+        showError('El archivo no contiene reglas');
+        return;
+      }
+
+      this.pendingImport = bundle;
+      this.showImportPreview(preview);
+    } catch (error) {
+      console.error('❌ Error reading import file:', error);
+      showError('No se pudo importar: ' + error.message);
+    }
+  }
+
+  /**
+   * Render the per-domain import preview with a strategy selector each
+   * @param {Array<Object>} preview - Output of RulesBundle.preview
+   */
+  showImportPreview(preview) {
+    const container = document.getElementById('importPreview');
+    const list = document.getElementById('importPreviewList');
+    if (!container || !list) return;
+
+    const { MERGE, REPLACE, SKIP_EXISTING, IGNORE } = RulesBundle.STRATEGIES;
+
+    // Domains were validated as domain targets (hostnames, *. and commas) by RulesBundle.parse
+    list.innerHTML = preview.map(item => `
+      <div class="p-3 bg-gray-50 rounded-lg">
+        <div class="font-medium text-sm text-gray-900 truncate">${item.domain}</div>
+        <div class="text-xs text-gray-500 mb-2">
+          ${item.exists ? `${item.current} actuales · ` : 'Dominio nuevo · '}${item.added} nuevas · ${item.updated} actualizadas · ${item.unchanged} sin cambios
+        </div>
+        <select data-domain="${item.domain}" class="w-full px-3 py-1 border border-gray-300 rounded-md text-xs">
+          <option value="${MERGE}">Combinar</option>
+          <option value="${REPLACE}">Reemplazar</option>
+          <option value="${SKIP_EXISTING}">Solo añadir nuevas</option>
+          <option value="${IGNORE}">No importar</option>
+        </select>
+      </div>
+    `).join('');
+
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the import preview and forget the pending bundle
+   */
+  hideImportPreview() {
+    this.pendingImport = null;
+    const container = document.getElementById('importPreview');
+    const list = document.getElementById('importPreviewList');
+    if (list) list.innerHTML = '';
+    if (container) container.classList.add('hidden');
+  }
+
+  /**
+   * Apply the pending bundle with the strategies chosen in the preview
+   */
+  async handleConfirmImport() {
+    if (!this.pendingImport) return;
+
+    try {
+      const strategies = {};
+      document.querySelectorAll('#importPreviewList select[data-domain]').forEach(select => {
+        strategies[select.dataset.domain] = select.value;
+      });
+
+      const storageManager = await this.getStorageManager();
+      const currentDomains = await storageManager.getAllDomainData();
+      const changed = RulesBundle.apply(this.pendingImport, currentDomains, strategies);
+      await storageManager.setDomainsData(changed);
+
+      const domainCount = Object.keys(changed).length;
+      this.hideImportPreview();
+      showSuccess(`Importadas las reglas de ${domainCount} dominio${domainCount !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('❌ Error importing rules:', error);
+      showError('Error importando reglas: ' + error.message);
+    }
+  }
+
+  // === FILTER LIST IMPORT METHODS ===
+
+  /**
+   * Setup cosmetic filter list import event listeners
+   */
+  setupFilterListListeners() {
+    const importBtn = document.getElementById('importFilterList');
+    const openFileBtn = document.getElementById('loadFilterListFile');
+    const fileInput = document.getElementById('filterListFile');
+    const textarea = document.getElementById('filterListInput');
+
+    if (importBtn && textarea) {
+      importBtn.addEventListener('click', () => this.handleImportFilterList(textarea.value));
+    }
+
+    if (openFileBtn && fileInput && textarea) {
+      openFileBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow picking the same file again
+        if (file) {
+          textarea.value = await file.text();
+        }
+      });
+    }
+  }
+
+  /**
+   * Parse pasted filters and store them as hide rules
+   * @param {string} text - Filter list contents
+   */
+  async handleImportFilterList(text) {
+    if (!text.trim()) {
+      showError('Pega una lista de filtros primero');
+      return;
+    }
+
+    try {
+      const { filters, skipped } = CosmeticFilterParser.parse(text);
+      const { domains, exclusions, generic, cancelled } = CosmeticFilterParser.toDomainSelectors(filters);
+
+      const storageManager = await this.getStorageManager();
+      const { added, existing } = await storageManager.addHiddenRules(domains);
+      const excluded = await storageManager.addGlobalRuleExceptions(exclusions);
+
+      const notes = [];
+      if (existing > 0) notes.push(`${existing} ya existían`);
+      if (cancelled > 0) notes.push(`${cancelled} anuladas por excepciones`);
+      if (generic > 0) notes.push(`${generic} genéricas para todos los sitios`);
+      if (excluded > 0) notes.push(`${excluded} desactivadas en sitios concretos`);
+      if (skipped.length > 0) notes.push(`${skipped.length} líneas no soportadas`);
+
+      const domainCount = Object.keys(domains).length;
+      const summary = `Añadidas ${added} reglas en ${domainCount} dominio${domainCount !== 1 ? 's' : ''}` +
+        (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+
+      this.showFilterListReport(summary, skipped);
+      if (added > 0) {
+        showSuccess(`Añadidas ${added} reglas desde la lista de filtros`);
+        await this.updateCounts();
+      }
+    } catch (error) {
+      console.error('❌ Error importing filter list:', error);
+      showError('Error importando filtros: ' + error.message);
+    }
+  }
+
+  /**
+   * Render the filter list import result with the skipped lines
+   * @param {string} summary - Summary line
+   * @param {Array<Object>} skipped - Skipped lines from CosmeticFilterParser.parse
+   */
+  showFilterListReport(summary, skipped) {
+    const container = document.getElementById('filterListReport');
+    const summaryElement = document.getElementById('filterListSummary');
+    const list = document.getElementById('filterListSkipped');
+    if (!container || !summaryElement || !list) return;
+
+    summaryElement.textContent = summary;
+
+    // Lines come from user input, so build the list with textContent
+    list.innerHTML = '';
+    skipped.forEach(({ line, lineNumber, reason }) => {
+      const item = document.createElement('li');
+      item.className = 'truncate';
+      item.title = line;
+      item.textContent = `Línea ${lineNumber}: ${reason} — ${line}`;
+      list.appendChild(item);
+    });
+
+    container.classList.remove('hidden');
+  }
+
   /**
    * Handle remove elements action
    */
@@ -711,7 +1532,7 @@ class PopupController {
       console.log(`🎯 Removing elements with selector: "${selector}"`);
       
       const response = await this.sendMessage({
-        action: 'removeElements',
+        action: MessageProtocol.ACTIONS.REMOVE_ELEMENTS,
         selector: selector
       });
 
@@ -737,12 +1558,12 @@ class PopupController {
       console.log('🧹 Clearing all removed elements');
       
       const response = await this.sendMessage({
-        action: 'clearRemovedElements'
+        action: MessageProtocol.ACTIONS.CLEAR_REMOVED_ELEMENTS
       });
 
       if (response.success) {
-        showSuccess(`Restaurados ${response.clearedCount || 0} elementos (recargando página)`);
-        // Page will reload automatically from content script
+        showSuccess(`Eliminadas ${response.clearedCount || 0} reglas, restaurados ${response.restoredCount || 0} elementos`);
+        await this.updateCounts();
       } else {
         showError(response.error || 'Error restaurando elementos');
       }
@@ -760,11 +1581,12 @@ class PopupController {
     try {
       console.log('📊 Updating counts...');
       
-      const response = await this.sendMessage({ action: 'getHiddenCount' });
+      const response = await this.sendMessage({ action: MessageProtocol.ACTIONS.GET_HIDDEN_COUNT });
       
       if (response?.success) {
         const hiddenCount = response.count || 0;
         const removedElementsCount = response.removedElementsCount || 0;
+        const exceptionsCount = response.exceptionsCount || 0;
         
         // Update hidden elements count
         if (this.uiElements.hiddenCount) {
@@ -777,8 +1599,17 @@ class PopupController {
           removedElementsCountElement.textContent = `${removedElementsCount} elementos`;
         }
         
+        // Update exception rules count
+        const exceptionsCountElement = document.getElementById('exceptionsCount');
+        if (exceptionsCountElement) {
+          exceptionsCountElement.textContent = `${exceptionsCount} excepci${exceptionsCount === 1 ? 'ón' : 'ones'}`;
+        }
+        
         console.log(`📊 Updated counts - Hidden: ${hiddenCount}, Removed: ${removedElementsCount}`);
         
+        // Every count change comes from an action that may have been recorded
+        await this.updateHistoryState();
+        
       } else {
         console.warn('⚠️ Failed to get counts:', response);
       }
@@ -829,9 +1660,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     const activeTab = tabs[0];
     console.log('📋 Active tab:', activeTab.url);
     
+    // Every message of this popup is about this tab, even if another window gets focus
+    MessageHandler.setTargetTab(activeTab.id);
+    
     // Try to ping the content script
     try {
-      const pingResponse = await chrome.tabs.sendMessage(activeTab.id, { action: 'ping' });
+      const pingResponse = await MessageHandler.sendToContentScript(MessageProtocol.ACTIONS.PING);
       console.log('✅ Content script connection successful:', pingResponse);
     } catch (connectionError) {
       console.error('❌ Content script connection failed:', connectionError);
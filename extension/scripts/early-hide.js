@@ -0,0 +1,31 @@
+// HideThis early hiding
+// Runs at document_start, before the page is painted, and hides the current
+// domain's stored rules with a stylesheet, minus what its exception rules cover.
+// Nothing is hidden while HideThis is paused. ElementSelector takes the stylesheet over once
+// the page has loaded (see window.hideThisStylesheet)
+(async function () {
+  if (window.hideThisStylesheet) return;
+
+  const stylesheet = new HideStylesheet();
+  stylesheet.attach();
+  window.hideThisStylesheet = stylesheet;
+
+  try {
+    const storageManager = new StorageManager();
+    await storageManager.init();
+    if (await storageManager.isPaused()) {
+      console.log('[EarlyHide] ⏸️ HideThis is paused, skipping stored rules');
+      return;
+    }
+    
+    stylesheet.setExceptions(ExceptionRules.getSelectors(await storageManager.getExceptionRules()));
+    const rules = UrlScope.filterRules(storageManager.filterActiveRules(await storageManager.getHiddenRules()));
+    stylesheet.setRules(rules);
+    
+    if (rules.length > 0) {
+      console.log(`[EarlyHide] 🎨 Hiding ${rules.length} rules before first paint`);
+    }
+  } catch (error) {
+    console.error('[EarlyHide] ❌ Error loading hide rules:', error);
+  }
+})();
@@ -8,7 +8,14 @@ class ElementSelector {
     this.selectedElement = null;
     this.highlightedElement = null;
     this.pendingSelection = new Set();
+    this.contextMenuTarget = null; // Last right-clicked element, for the context menu entries
     this.hiddenElements = new Set();
+    this.hideStylesheet = null; // Stylesheet hiding stored rules, see HideStylesheet
+    this.exceptionSelectors = []; // Selectors of exception rules, whose elements are never hidden
+    this.paused = false; // HideThis is paused here, globally or for this site, see StorageManager.isPaused
+    this.placeholders = new Map(); // Hidden element -> click-to-show bar (placeholder mode)
+    this.rebindQueue = []; // Stale rules waiting for the user to re-bind them
+    this.ignoredRebinds = new Set(); // Ids of stale rules dismissed for this page load
     this.overlay = null;
     this.instructions = null;
     this.elementInfo = null;
@@ -19,6 +26,10 @@ class ElementSelector {
     // CSS invalidation functionality removed - now using DomAttrsRemover
     this.storageManager = null; // Persistent storage manager
     this.domAttrsRemover = null; // DomAttrsRemover instance
+    this.history = null; // Undo/redo history, see ActionHistory
+    this.historyToast = null;
+    this.historyToastTimer = null;
+    this.lastUrl = window.location.href; // For detecting in-page (SPA) navigation
     
     // Initialize async
     this.initializeAsync();
@@ -62,10 +73,19 @@ class ElementSelector {
       await this.setupDomAttrsRemover();
       console.log('✅ DomAttrsRemover setup completed');
       
+      // Report the restored count for the toolbar badge (DomAttrsRemover reports its own)
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+        count: this.hiddenElements.size
+      });
+      
       // Set up initial message listener
       this.setupInitialMessageListener();
       console.log('✅ Message listener setup completed');
       
+      // Remember right-clicked elements for the "Ocultar/Eliminar este elemento" menu entries
+      this.setupContextMenuTracking();
+      
       console.log('[Selector] ✅ All components initialized successfully');
       this.isFullyInitialized = true;
       
@@ -74,7 +94,7 @@ class ElementSelector {
         try {
           console.log('💓 Sending heartbeat to background script...');
           chrome.runtime.sendMessage({ 
-            action: 'contentScriptReady', 
+            action: MessageProtocol.ACTIONS.CONTENT_SCRIPT_READY, 
             url: window.location.href,
             hostname: window.location.hostname,
             timestamp: new Date().toISOString()
@@ -86,10 +106,8 @@ class ElementSelector {
             }
           });
           
-          // Special handling for YouTube and other SPAs
-          if (window.location.hostname.includes('youtube.com')) {
-            this.setupSPANavigationListener();
-          }
+          // Rule scopes depend on the URL, which SPAs change without a reload
+          this.setupSPANavigationListener();
         } catch (error) {
           console.error('💥 Error sending heartbeat:', error);
         }
@@ -118,8 +136,28 @@ class ElementSelector {
         await this.storageManager.init();
         console.log('✅ Storage Manager initialized successfully');
         
-        // Restore hidden elements and removed elements for current domain
-        await this.restorePersistedData();
+        // Take over the stylesheet injected at document_start by early-hide.js
+        this.hideStylesheet = window.hideThisStylesheet || new HideStylesheet();
+        this.hideStylesheet.attach();
+        
+        // While paused no stored rules are applied; the picker still works
+        this.paused = await this.storageManager.isPaused();
+        if (this.paused) {
+          console.log('[Selector] ⏸️ HideThis is paused, skipping stored rules');
+        } else {
+          // Restore hidden elements and removed elements for current domain
+          await this.restorePersistedData();
+        }
+        
+        // Apply rules added or deleted in other tabs without a reload
+        this.storageManager.subscribe(change => this.handleRulesChanged(change));
+        
+        // Pausing and resuming from the popup apply right away
+        await this.storageManager.subscribePause(paused => this.setPaused(paused));
+        
+        // Undo and redo write through their own StorageManager, so the subscription above applies them
+        this.history = new ActionHistory();
+        await this.history.init();
       } else {
         console.warn('StorageManager not available, persistence features disabled');
       }
@@ -135,21 +173,20 @@ class ElementSelector {
     try {
       if (!this.storageManager) return;
       
-      // Restore hidden elements
-      const hiddenSelectors = await this.storageManager.getHiddenElements();
+      this.loadExceptionSelectors();
+      
+      // Restore enabled hidden elements whose scope matches this URL
+      const hiddenRules = UrlScope.filterRules(this.storageManager.filterActiveRules(await this.storageManager.getHiddenRules()));
+      this.updateHideStylesheet(hiddenRules);
       let restoredHidden = 0;
+      const staleRules = [];
       
-      hiddenSelectors.forEach(selector => {
-        try {
-          const elements = document.querySelectorAll(selector);
-          elements.forEach(element => {
-            if (!this.hiddenElements.has(element)) {
-              this.hideElementDirectly(element);
-              restoredHidden++;
-            }
-          });
-        } catch (error) {
-          console.warn('Error restoring hidden element with selector:', selector, error);
+      hiddenRules.forEach(rule => {
+        const result = this.applyHiddenRule(rule);
+        restoredHidden += result.hidden;
+        // Global rules are meant to match nothing on most sites, so they are never re-bound
+        if (result.matched === 0 && this.isPersistableSelector(rule.selector) && !this.storageManager.isGlobalRule(rule.id)) {
+          staleRules.push(rule);
         }
       });
       
@@ -158,11 +195,336 @@ class ElementSelector {
       if (restoredHidden > 0) {
         console.log(`🔄 Restored ${restoredHidden} hidden elements for ${window.location.hostname}`);
       }
+      
+      if (staleRules.length > 0) {
+        this.scheduleStaleRuleRematch(staleRules);
+      }
     } catch (error) {
       console.error('Error restoring persisted data:', error);
     }
   }
 
+  /**
+   * Hides the elements currently matched by a stored hide rule
+   * Elements covered by an exception rule still count as matched, so the rule isn't treated as stale
+   * @param {Object} rule - Hide rule
+   * @returns {{matched: number, hidden: number}} Matched elements and newly hidden ones
+   */
+  applyHiddenRule(rule) {
+    // Never re-apply selectors that would hide the whole page
+    if (!this.isPersistableSelector(rule.selector)) {
+      console.warn('Skipping page-wide hidden selector:', rule.selector);
+      return { matched: 0, hidden: 0 };
+    }
+    
+    try {
+      const elements = document.querySelectorAll(rule.selector);
+      let hidden = 0;
+      elements.forEach(element => {
+        if (!this.hiddenElements.has(element) && !ExceptionRules.matches(element, this.exceptionSelectors)) {
+          this.hideElementDirectly(element, rule.id, rule.mode);
+          hidden++;
+        }
+      });
+      return { matched: elements.length, hidden };
+    } catch (error) {
+      console.warn('Error restoring hidden element with selector:', rule.selector, error);
+      return { matched: 0, hidden: 0 };
+    }
+  }
+
+  /**
+   * Pauses or resumes HideThis on this page without a reload
+   * Pausing shows every hidden element, resuming restores the stored rules
+   * (DomAttrsRemover follows the same setting on its own)
+   * @param {boolean} paused - New paused state
+   */
+  async setPaused(paused) {
+    if (paused === this.paused) return;
+    this.paused = paused;
+    
+    if (paused) {
+      Array.from(this.hiddenElements).forEach(element => this.showElement(element));
+      if (this.hideStylesheet) {
+        this.hideStylesheet.setRules([]);
+      }
+      console.log('[Selector] ⏸️ HideThis paused, showing every hidden element');
+    } else {
+      await this.restorePersistedData();
+      console.log('[Selector] ▶️ HideThis resumed, stored rules re-applied');
+    }
+    
+    chrome.runtime.sendMessage({
+      action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+      count: this.hiddenElements.size
+    });
+  }
+
+  /**
+   * Reads the exception rules applying to this URL and excludes them from the stylesheet
+   */
+  loadExceptionSelectors() {
+    this.exceptionSelectors = ExceptionRules.getSelectors(
+      this.storageManager.getApplicableRules('exceptions', window.location.href)
+    );
+    if (this.hideStylesheet) {
+      this.hideStylesheet.setExceptions(this.exceptionSelectors);
+    }
+  }
+
+  /**
+   * Applies a change of exception rules to the page
+   * Elements now covered are shown, and hide rules are re-applied for elements
+   * whose exception was dropped (except while paused)
+   */
+  refreshExceptions() {
+    this.loadExceptionSelectors();
+    
+    Array.from(this.hiddenElements)
+      .filter(element => ExceptionRules.matches(element, this.exceptionSelectors))
+      .forEach(element => this.showElement(element));
+    
+    if (this.paused) return;
+    UrlScope.filterRules(this.storageManager.filterActiveRules(this.storageManager.getApplicableRules('hidden', window.location.href)))
+      .forEach(rule => this.applyHiddenRule(rule));
+  }
+
+  /**
+   * Applies hide and exception rules changed in another tab, the popup or by sync
+   * @param {Object} change - Domain change from StorageManager.subscribe
+   */
+  handleRulesChanged(change) {
+    // Resuming reads every rule again, so changes made while paused aren't lost
+    if (this.paused || !this.storageManager.appliesTo(change.domain)) return;
+    
+    const { added, removed, updated } = change.hidden;
+    const exceptionChanges = change.exceptions.added.length + change.exceptions.removed.length + change.exceptions.updated.length;
+    if (added.length + removed.length + updated.length + exceptionChanges === 0) return;
+    
+    if (exceptionChanges > 0) {
+      this.refreshExceptions();
+    }
+    
+    // Updated rules may point to a different selector or scope now, so re-apply them from scratch
+    [...removed, ...updated].forEach(rule => {
+      this.getRuleElements(rule.id).forEach(element => this.showElement(element));
+    });
+    // Shared rules switched off for this site come through too, since shared buckets apply to other sites
+    UrlScope.filterRules(this.storageManager.filterActiveRules([...added, ...updated])).forEach(rule => this.applyHiddenRule(rule));
+    this.refreshHideStylesheet();
+    
+    console.log(`[Selector] 🔔 Synced hide rules: +${added.length} -${removed.length} ~${updated.length}`);
+    
+    chrome.runtime.sendMessage({
+      action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+      count: this.hiddenElements.size
+    });
+  }
+
+  /**
+   * Hides the selectors of stored rules with the stylesheet
+   * Callers pass active rules only (see StorageManager.filterActiveRules).
+   * Page-wide selectors can only be detected once the page exists, so they
+   * are dropped here even if early-hide.js applied them. Rules scoped to
+   * other pages of the domain are left out, and so is every rule while paused
+   * @param {Array<Object>} rules - Hide rules of the current domain
+   */
+  updateHideStylesheet(rules) {
+    if (!this.hideStylesheet || this.paused) return;
+    
+    this.hideStylesheet.setRules(rules.filter(rule =>
+      this.isPersistableSelector(rule.selector) && UrlScope.matchesRule(rule)
+    ));
+  }
+
+  /**
+   * Reloads the current domain's rules into the stylesheet after they change
+   */
+  async refreshHideStylesheet() {
+    if (!this.storageManager) return;
+    
+    try {
+      this.updateHideStylesheet(this.storageManager.filterActiveRules(await this.storageManager.getHiddenRules()));
+    } catch (error) {
+      console.error('[Selector] ❌ Error refreshing hide stylesheet:', error);
+    }
+  }
+
+  /**
+   * Waits for late-rendered content, then looks for elements matching the
+   * fingerprints of rules whose selector found nothing
+   * @param {Array<Object>} rules - Hide rules that matched no elements
+   */
+  scheduleStaleRuleRematch(rules) {
+    setTimeout(async () => {
+      for (const rule of rules) {
+        try {
+          // The element may have shown up since restoration ran
+          const elements = document.querySelectorAll(rule.selector);
+          if (elements.length > 0) {
+            elements.forEach(element => {
+              if (!this.hiddenElements.has(element) && !ExceptionRules.matches(element, this.exceptionSelectors)) {
+                this.hideElementDirectly(element, rule.id, rule.mode);
+              }
+            });
+            continue;
+          }
+          
+          await this.rematchStaleRule(rule);
+        } catch (error) {
+          console.warn('[Selector] ⚠️ Error re-matching stale rule:', rule.selector, error);
+        }
+      }
+    }, Constants.CONFIG.REMATCH_DELAY);
+  }
+
+  /**
+   * Finds the best candidate for a stale rule and queues a re-bind prompt
+   * @param {Object} rule - Hide rule whose selector no longer matches
+   */
+  async rematchStaleRule(rule) {
+    if (this.ignoredRebinds.has(rule.id)) return;
+    
+    const { selector, fingerprint } = rule;
+    if (!fingerprint) {
+      console.log('[Selector] 🔍 Stale rule has no fingerprint to re-match:', selector);
+      return;
+    }
+    
+    const match = ElementFingerprint.findBestMatch(fingerprint, {
+      exclude: element => this.hiddenElements.has(element) || Constants.isSystemElement(element)
+    });
+    
+    if (!match) {
+      console.log('[Selector] 🔍 No similar element found for stale rule:', selector);
+      return;
+    }
+    
+    console.log(`[Selector] 🔍 Found candidate for stale rule "${selector}" (similarity ${match.score.toFixed(2)})`);
+    this.rebindQueue.push({ rule, element: match.element, score: match.score });
+    
+    if (!document.getElementById('hidethis-rebind-prompt')) {
+      this.showNextRebindPrompt();
+    }
+  }
+
+  /**
+   * Shows the re-bind prompt for the next queued stale rule
+   */
+  showNextRebindPrompt() {
+    const next = this.rebindQueue.shift();
+    if (!next) return;
+    
+    const { rule, element, score } = next;
+    
+    // Skip candidates that were removed from the page meanwhile
+    if (!element.isConnected) {
+      this.showNextRebindPrompt();
+      return;
+    }
+    
+    element.style.outline = '2px dashed #f59e0b';
+    element.style.outlineOffset = '2px';
+    
+    const prompt = document.createElement('div');
+    prompt.id = 'hidethis-rebind-prompt';
+    prompt.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: #1f2937;
+      color: white;
+      padding: 14px 16px;
+      border-radius: 8px;
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+      z-index: 1000010;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      max-width: 320px;
+    `;
+    
+    prompt.innerHTML = `
+      <div style="font-weight: bold; margin-bottom: 6px;">🔗 Una regla ya no coincide</div>
+      <code id="hidethis-rebind-selector" style="display: block; font-size: 11px; color: #fbbf24; margin-bottom: 6px; word-break: break-all;"></code>
+      <div style="font-size: 12px; line-height: 1.4; opacity: 0.85; margin-bottom: 10px;">
+        El selector guardado no encuentra ningún elemento. Hemos marcado uno parecido
+        (${Math.round(score * 100)}% de similitud). ¿Ocultarlo en su lugar?
+      </div>
+      <div style="display: flex; gap: 8px; justify-content: flex-end;">
+        <button id="hidethis-rebind-accept" style="
+          background: #10b981;
+          color: white;
+          border: none;
+          padding: 6px 12px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 12px;
+        ">Volver a vincular</button>
+        <button id="hidethis-rebind-ignore" style="
+          background: #6b7280;
+          color: white;
+          border: none;
+          padding: 6px 12px;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 12px;
+        ">Ignorar</button>
+      </div>
+    `;
+    // Selector is set as text, it may contain markup-like characters
+    prompt.querySelector('#hidethis-rebind-selector').textContent = rule.selector;
+    
+    document.body.appendChild(prompt);
+    
+    const closePrompt = () => {
+      element.style.outline = '';
+      element.style.outlineOffset = '';
+      prompt.remove();
+      this.showNextRebindPrompt();
+    };
+    
+    prompt.querySelector('#hidethis-rebind-accept').addEventListener('click', async () => {
+      await this.rebindStaleRule(rule, element);
+      closePrompt();
+    });
+    
+    prompt.querySelector('#hidethis-rebind-ignore').addEventListener('click', () => {
+      this.ignoredRebinds.add(rule.id);
+      closePrompt();
+    });
+  }
+
+  /**
+   * Re-binds a stale rule to a newly matched element and hides it
+   * @param {Object} rule - Hide rule whose selector no longer matches
+   * @param {Element} element - Element chosen as replacement
+   */
+  async rebindStaleRule(rule, element) {
+    try {
+      const newSelector = this.generateElementSelector(element);
+      if (!this.isPersistableSelector(newSelector)) {
+        console.warn('[Selector] ⚠️ Cannot re-bind, no unique selector for candidate:', newSelector);
+        return;
+      }
+      
+      // Fingerprint must be captured while the element is still visible
+      const fingerprint = ElementFingerprint.capture(element);
+      element.style.outline = '';
+      element.style.outlineOffset = '';
+      
+      await this.storageManager.rebindHiddenRule(rule.id, newSelector, fingerprint);
+      this.hideElementDirectly(element, rule.id, rule.mode);
+      await this.refreshHideStylesheet();
+      
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+        count: this.hiddenElements.size
+      });
+    } catch (error) {
+      console.error('[Selector] ❌ Error re-binding stale rule:', error);
+    }
+  }
+
   /**
    * Get count of hidden elements and removed elements
    * @returns {Object} Counts object with hidden and removedElements
@@ -180,18 +542,22 @@ class ElementSelector {
         }
       }
       
-      console.log(`[Selector] 📊 Counts - Hidden: ${hiddenCount}, Removed: ${removedElementsCount}`);
+      const exceptionsCount = (await this.storageManager.getExceptionRules()).length;
+      
+      console.log(`[Selector] 📊 Counts - Hidden: ${hiddenCount}, Removed: ${removedElementsCount}, Exceptions: ${exceptionsCount}`);
       
       return {
         hidden: hiddenCount,
-        removedElements: removedElementsCount
+        removedElements: removedElementsCount,
+        exceptions: exceptionsCount
       };
       
     } catch (error) {
       console.error('[Selector] ❌ Error getting counts:', error);
       return {
         hidden: 0,
-        removedElements: 0
+        removedElements: 0,
+        exceptions: 0
       };
     }
   }
@@ -356,6 +722,8 @@ class ElementSelector {
     if (event.target.closest('#hidethis-instructions') ||
         event.target.closest('#hidethis-element-info') ||
         event.target.closest('#hidethis-selection-controls') ||
+        event.target.closest('#hidethis-history-toast') ||
+        event.target.closest('#hidethis-action-dialog') ||
         (event.target.id && event.target.id.startsWith('hidethis-'))) {
       return;
     }
@@ -400,6 +768,20 @@ class ElementSelector {
   handleKeyDown(event) {
     if (!this.isActive) return;
     
+    // Keys typed into the action dialog belong to its fields
+    if (event.target.closest && event.target.closest('#hidethis-action-dialog')) return;
+    
+    // Undo with Ctrl+Z, redo with Ctrl+Shift+Z (Cmd on macOS)
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redoLastAction();
+      } else {
+        this.undoLastAction();
+      }
+      return;
+    }
+    
     if (event.key === 'Escape') {
       this.cancelSelection();
     }
@@ -685,6 +1067,9 @@ class ElementSelector {
       text-align: center;
     `;
 
+    const hostname = window.location.hostname;
+    const siteTarget = DomainModel.siteTarget(hostname);
+
     dialog.innerHTML = `
       <h3 style="margin: 0 0 16px 0; color: #3b82f6;">
         🎯 Acción para ${this.pendingSelection.size} elemento${this.pendingSelection.size !== 1 ? 's' : ''}
@@ -692,6 +1077,66 @@ class ElementSelector {
       <p style="margin: 0 0 20px 0; color: #ccc; font-size: 14px;">
         Elige qué hacer con los elementos seleccionados:
       </p>
+      <label style="display: block; margin: 0 0 16px 0; color: #ccc; font-size: 13px;">
+        Modo al ocultar:
+        <select id="hidethis-hide-mode" style="
+          margin-left: 6px;
+          padding: 4px 6px;
+          border-radius: 4px;
+          font-size: 13px;
+        ">
+          ${Object.entries(Constants.HIDE_MODE_LABELS).map(([mode, label]) =>
+            `<option value="${mode}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label style="display: block; margin: 0 0 8px 0; color: #ccc; font-size: 13px;">
+        Alcance:
+        <select id="hidethis-scope-type" style="
+          margin-left: 6px;
+          padding: 4px 6px;
+          border-radius: 4px;
+          font-size: 13px;
+        ">
+          ${Object.entries(Constants.SCOPE_LABELS).map(([type, label]) =>
+            `<option value="${type}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <input id="hidethis-scope-value" type="text" style="
+        display: none;
+        width: 100%;
+        box-sizing: border-box;
+        margin: 0 0 16px 0;
+        padding: 4px 6px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 13px;
+      " />
+      <label style="display: block; margin: 0 0 8px 0; color: #ccc; font-size: 13px;">
+        Sitio:
+        <select id="hidethis-target-type" style="
+          margin-left: 6px;
+          padding: 4px 6px;
+          border-radius: 4px;
+          font-size: 13px;
+        ">
+          <option value="${hostname}">${DomainModel.describeTarget(hostname)}</option>
+          ${siteTarget !== hostname ? `<option value="${siteTarget}">${DomainModel.describeTarget(siteTarget)}</option>` : ''}
+          <option value="group">Grupo de dominios…</option>
+          <option value="${DomainModel.GLOBAL_TARGET}">${DomainModel.describeTarget(DomainModel.GLOBAL_TARGET)}</option>
+        </select>
+      </label>
+      <input id="hidethis-target-value" type="text" placeholder="*.example.com, example.org" style="
+        display: none;
+        width: 100%;
+        box-sizing: border-box;
+        margin: 0 0 16px 0;
+        padding: 4px 6px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 13px;
+      " />
       <div style="display: flex; gap: 12px; justify-content: center;">
         <button id="hidethis-action-hide" style="
           background: #3b82f6;
@@ -717,6 +1162,18 @@ class ElementSelector {
         ">
           🗑️ Eliminar
         </button>
+        <button id="hidethis-action-allow" style="
+          background: #10b981;
+          color: white;
+          border: none;
+          padding: 10px 16px;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 500;
+        ">
+          ✅ Nunca ocultar
+        </button>
         <button id="hidethis-action-cancel" style="
           background: #6b7280;
           color: white;
@@ -737,16 +1194,56 @@ class ElementSelector {
     // Add event listeners
     const hideBtn = dialog.querySelector('#hidethis-action-hide');
     const removeBtn = dialog.querySelector('#hidethis-action-remove');
+    const allowBtn = dialog.querySelector('#hidethis-action-allow');
     const cancelBtn = dialog.querySelector('#hidethis-action-cancel');
 
+    const scopeType = dialog.querySelector('#hidethis-scope-type');
+    const scopeValue = dialog.querySelector('#hidethis-scope-value');
+
+    // Prefill the path or pattern from the current URL for the chosen scope type
+    scopeType.addEventListener('change', () => {
+      const isDomain = scopeType.value === UrlScope.TYPES.DOMAIN;
+      scopeValue.style.display = isDomain ? 'none' : 'block';
+      scopeValue.style.borderColor = '#555';
+      scopeValue.value = UrlScope.suggestValue(scopeType.value);
+    });
+
+    const targetType = dialog.querySelector('#hidethis-target-type');
+    const targetValue = dialog.querySelector('#hidethis-target-value');
+
+    // A group starts from the site target, so the user only adds the other domains
+    targetType.addEventListener('change', () => {
+      const isGroup = targetType.value === 'group';
+      targetValue.style.display = isGroup ? 'block' : 'none';
+      targetValue.style.borderColor = '#555';
+      targetValue.value = isGroup ? siteTarget : '';
+    });
+
+    // Generated selectors only fit this page, so shared targets get the selectors confirmed first
+    const runAction = (execute) => {
+      const scope = this.readDialogScope(scopeType, scopeValue);
+      const target = this.readDialogTarget(targetType, targetValue);
+      if (scope === undefined || target === undefined) return;
+
+      if (DomainModel.isSharedTarget(target)) {
+        this.showSharedSelectorConfirmation(dialog, target, selectors => execute(scope, target, selectors));
+      } else {
+        execute(scope, target, null);
+        dialog.remove();
+      }
+    };
+
     hideBtn.addEventListener('click', () => {
-      this.executeHideAction();
-      dialog.remove();
+      const mode = dialog.querySelector('#hidethis-hide-mode').value;
+      runAction((scope, target, selectors) => this.executeHideAction(mode, scope, target, selectors));
     });
 
     removeBtn.addEventListener('click', () => {
-      this.executeRemoveAction();
-      dialog.remove();
+      runAction((scope, target, selectors) => this.executeRemoveAction(scope, target, selectors));
+    });
+
+    allowBtn.addEventListener('click', () => {
+      runAction((scope, target, selectors) => this.executeAllowAction(scope, target, selectors));
     });
 
     cancelBtn.addEventListener('click', () => {
@@ -764,40 +1261,212 @@ class ElementSelector {
   }
 
   /**
-   * Execute hide action on selected elements
+   * Replaces the action dialog with one selector input per selected element, so rules
+   * shared across sites only store selectors the user has typed or confirmed
+   * Generated :nth-of-type paths are not prefilled, since they only fit this page
+   * @param {HTMLElement} dialog - Action dialog
+   * @param {string} target - Shared domain target (see DomainModel.isSharedTarget)
+   * @param {Function} onConfirm - Called with a Map of each selected element to its selector
    */
-  async executeHideAction() {
-    console.log('[Selector] 👁️ Executing hide action');
-    
-    try {
-    // Hide all selected elements
-      for (const element of this.pendingSelection) {
-      // Clear selection styling before hiding
-      element.style.backgroundColor = '';
-      element.style.border = '';
-      
-      // Hide the element
-        await this.hideElement(element);
+  showSharedSelectorConfirmation(dialog, target, onConfirm) {
+    const elements = Array.from(this.pendingSelection);
+
+    dialog.innerHTML = `
+      <h3 id="hidethis-shared-title" style="margin: 0 0 16px 0; color: #3b82f6;"></h3>
+      <p style="margin: 0 0 16px 0; color: #ccc; font-size: 14px; max-width: 420px;">
+        Estos selectores se aplicarán en todos los sitios de la regla. Revísalos o escríbelos;
+        las rutas con :nth-of-type solo sirven para esta página.
+      </p>
+      ${elements.map(() => `<input class="hidethis-shared-selector" type="text" placeholder="Selector CSS, p. ej. .ad-banner" style="
+        display: block;
+        width: 100%;
+        box-sizing: border-box;
+        margin: 0 0 8px 0;
+        padding: 4px 6px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 13px;
+      " />`).join('')}
+      <p id="hidethis-shared-error" style="display: none; margin: 0 0 8px 0; color: #fca5a5; font-size: 13px;"></p>
+      <div style="display: flex; gap: 12px; justify-content: center; margin-top: 16px;">
+        <button id="hidethis-shared-confirm" style="
+          background: #3b82f6;
+          color: white;
+          border: none;
+          padding: 10px 16px;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 500;
+        ">
+          ✅ Guardar regla compartida
+        </button>
+        <button id="hidethis-shared-cancel" style="
+          background: #6b7280;
+          color: white;
+          border: none;
+          padding: 10px 16px;
+          border-radius: 6px;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 500;
+        ">
+          ❌ Cancelar
+        </button>
+      </div>
+    `;
+
+    // Page-controlled values are set as text, never as markup
+    dialog.querySelector('#hidethis-shared-title').textContent = `🌐 Regla compartida: ${DomainModel.describeTarget(target)}`;
+    const inputs = Array.from(dialog.querySelectorAll('.hidethis-shared-selector'));
+    inputs.forEach((input, index) => {
+      const selector = this.generateElementSelector(elements[index]);
+      input.value = selector && !SelectorGenerator.isStructuralSelector(selector) ? selector : '';
+    });
+    const errorText = dialog.querySelector('#hidethis-shared-error');
+
+    dialog.querySelector('#hidethis-shared-confirm').addEventListener('click', () => {
+      const selectors = new Map();
+      let firstInvalid = null;
+
+      inputs.forEach((input, index) => {
+        const selector = input.value.trim();
+        const problem = this.describeSharedSelectorProblem(selector);
+        input.style.borderColor = problem ? '#ef4444' : '#555';
+        input.title = problem || '';
+        if (problem && !firstInvalid) {
+          firstInvalid = { input, problem };
+        }
+        selectors.set(elements[index], selector);
+      });
+
+      if (firstInvalid) {
+        errorText.textContent = firstInvalid.problem;
+        errorText.style.display = 'block';
+        firstInvalid.input.focus();
+        return;
       }
-      
-      console.log(`[Selector] ✅ Hidden ${this.pendingSelection.size} elements`);
-      
-      // Clear pending elements
-      this.pendingSelection.clear();
-      
-      // Deactivate selector
-      this.deactivateSelector();
-      
-    } catch (error) {
-      console.error('[Selector] ❌ Error hiding elements:', error);
+
+      onConfirm(selectors);
+      dialog.remove();
+    });
+
+    dialog.querySelector('#hidethis-shared-cancel').addEventListener('click', () => {
+      dialog.remove();
+    });
+
+    if (inputs.length > 0) {
+      inputs[0].focus();
     }
   }
 
   /**
-   * Execute remove action on selected elements
+   * Checks a selector typed for a rule shared across sites
+   * @param {string} selector - Selector to check
+   * @returns {string|null} User-facing (Spanish) problem, or null if the selector can be shared
    */
-  async executeRemoveAction() {
-    console.log('[Selector] 🗑️ Executing remove action');
+  describeSharedSelectorProblem(selector) {
+    if (!selector) {
+      return 'Escribe un selector para cada elemento';
+    }
+
+    try {
+      document.querySelector(selector);
+    } catch (error) {
+      return `Selector no válido: ${selector}`;
+    }
+
+    if (SelectorGenerator.isStructuralSelector(selector)) {
+      return `Las rutas con :nth-of-type solo sirven para esta página: ${selector}`;
+    }
+    if (!this.isPersistableSelector(selector)) {
+      return `El selector afecta a toda la página: ${selector}`;
+    }
+    return null;
+  }
+
+  /**
+   * Reads the scope chosen in the action dialog
+   * @param {HTMLSelectElement} typeSelect - Scope type select
+   * @param {HTMLInputElement} valueInput - Path or pattern input
+   * @returns {Object|null|undefined} Scope, null for the whole domain, undefined if the input is invalid
+   */
+  readDialogScope(typeSelect, valueInput) {
+    try {
+      return UrlScope.create(typeSelect.value, valueInput.value);
+    } catch (error) {
+      valueInput.style.borderColor = '#ef4444';
+      valueInput.title = error.message;
+      valueInput.focus();
+      return undefined;
+    }
+  }
+
+  /**
+   * Reads the domain target chosen in the action dialog
+   * @param {HTMLSelectElement} typeSelect - Target select
+   * @param {HTMLInputElement} valueInput - Domain group input
+   * @returns {string|undefined} Domain target, undefined if the group is invalid
+   */
+  readDialogTarget(typeSelect, valueInput) {
+    if (typeSelect.value !== 'group') return typeSelect.value;
+
+    try {
+      return DomainModel.normalizeTarget(valueInput.value);
+    } catch (error) {
+      valueInput.style.borderColor = '#ef4444';
+      valueInput.title = error.message;
+      valueInput.focus();
+      return undefined;
+    }
+  }
+
+  /**
+   * Execute hide action on selected elements
+   * @param {string} mode - One of RuleModel.HIDE_MODES
+   * @param {Object|null} scope - UrlScope of the new rules, null for the whole domain
+   * @param {string|null} target - Domain target storing the new rules, null for the current host
+   * @param {Map<Element, string>|null} selectors - Confirmed selector per element, null to generate them
+   */
+  async executeHideAction(mode = RuleModel.DEFAULT_HIDE_MODE, scope = null, target = null, selectors = null) {
+    console.log('[Selector] 👁️ Executing hide action');
+    
+    try {
+      const count = this.pendingSelection.size;
+      await this.recordHistory(`Ocultar ${count} elemento${count === 1 ? '' : 's'}`, async () => {
+        // Hide all selected elements
+        for (const element of this.pendingSelection) {
+          // Clear selection styling before hiding
+          element.style.backgroundColor = '';
+          element.style.border = '';
+          
+          // Hide the element
+          await this.hideElement(element, mode, scope, target, selectors ? selectors.get(element) : null);
+        }
+      });
+      
+      console.log(`[Selector] ✅ Hidden ${count} elements`);
+      
+      // Clear pending elements
+      this.pendingSelection.clear();
+      
+      // Deactivate selector
+      this.deactivateSelector();
+      
+    } catch (error) {
+      console.error('[Selector] ❌ Error hiding elements:', error);
+    }
+  }
+
+  /**
+   * Execute remove action on selected elements
+   * @param {Object|null} scope - UrlScope of the new rules, null for the whole domain
+   * @param {string|null} target - Domain target storing the new rules, null for the current host
+   * @param {Map<Element, string>|null} selectors - Confirmed selector per element, null to generate them
+   */
+  async executeRemoveAction(scope = null, target = null, selectors = null) {
+    console.log('[Selector] 🗑️ Executing remove action');
     
     try {
       if (!this.domAttrsRemover) {
@@ -805,26 +1474,33 @@ class ElementSelector {
       }
 
       let totalRemoved = 0;
+      const count = this.pendingSelection.size;
       
-      // Remove each selected element
-      for (const element of this.pendingSelection) {
-        // Clear selection styling
-        element.style.backgroundColor = '';
-        element.style.border = '';
-        
-        // Generate selector for this element
-        const selector = this.generateElementSelector(element);
-        console.log(`[Selector] 🎯 Removing element with selector: ${selector}`);
-        
-        try {
-          const result = await this.domAttrsRemover.removeElements(selector);
-          if (result.success) {
-            totalRemoved += result.count;
+      await this.recordHistory(`Eliminar ${count} elemento${count === 1 ? '' : 's'}`, async () => {
+        // Remove each selected element
+        for (const element of this.pendingSelection) {
+          // Clear selection styling
+          element.style.backgroundColor = '';
+          element.style.border = '';
+          
+          // Generate selector for this element, unless the user confirmed one
+          const selector = selectors ? selectors.get(element) : this.generateElementSelector(element);
+          if (!this.isPersistableSelector(selector)) {
+            console.warn('[Selector] ⚠️ Skipping element, no unique selector found:', selector);
+            continue;
+          }
+          console.log(`[Selector] 🎯 Removing element with selector: ${selector}`);
+          
+          try {
+            const result = await this.domAttrsRemover.removeElements(selector, scope, target);
+            if (result.success) {
+              totalRemoved += result.count;
+            }
+          } catch (error) {
+            console.warn(`[Selector] ⚠️ Could not remove element: ${selector}`, error.message);
           }
-        } catch (error) {
-          console.warn(`[Selector] ⚠️ Could not remove element: ${selector}`, error.message);
         }
-      }
+      });
       
       console.log(`[Selector] ✅ Removed ${totalRemoved} elements via visual selection`);
       
@@ -839,6 +1515,51 @@ class ElementSelector {
     }
   }
 
+  /**
+   * Execute allow action on selected elements: store exception rules so they are never hidden or removed
+   * @param {Object|null} scope - UrlScope of the new rules, null for the whole domain
+   * @param {string|null} target - Domain target storing the new rules, null for the current host
+   * @param {Map<Element, string>|null} selectors - Confirmed selector per element, null to generate them
+   */
+  async executeAllowAction(scope = null, target = null, selectors = null) {
+    console.log('[Selector] ✅ Executing allow action');
+    
+    try {
+      if (!this.storageManager) {
+        throw new Error('StorageManager not initialized');
+      }
+
+      const count = this.pendingSelection.size;
+      await this.recordHistory(`Nunca ocultar ${count} elemento${count === 1 ? '' : 's'}`, async () => {
+        for (const element of this.pendingSelection) {
+          // Clear selection styling
+          element.style.backgroundColor = '';
+          element.style.border = '';
+          
+          const selector = selectors ? selectors.get(element) : this.generateElementSelector(element);
+          if (!this.isPersistableSelector(selector)) {
+            console.warn('[Selector] ⚠️ Skipping element, no unique selector found:', selector);
+            continue;
+          }
+          await this.storageManager.addExceptionRule(selector, window.location.href, scope, target);
+        }
+      });
+      
+      // DomAttrsRemover picks the new rules up through its own subscription
+      this.refreshExceptions();
+      console.log(`[Selector] ✅ Added exception rules for ${count} elements`);
+      
+      // Clear pending elements
+      this.pendingSelection.clear();
+      
+      // Deactivate selector
+      this.deactivateSelector();
+      
+    } catch (error) {
+      console.error('[Selector] ❌ Error adding exception rules:', error);
+    }
+  }
+
   /**
    * Invalidates CSS for selected elements
    */
@@ -874,12 +1595,6 @@ class ElementSelector {
     // Show feedback
     if (invalidatedCount > 0) {
       this.showInvalidationFeedback(invalidatedCount, processedSelectors.size);
-      
-      // Notify popup of count update
-      chrome.runtime.sendMessage({
-        action: 'updateInvalidatedCount',
-        count: this.cssInvalidator.getInvalidatedCount()
-      });
     } else {
       alert('No se pudo invalidar CSS para los elementos seleccionados');
     }
@@ -892,6 +1607,66 @@ class ElementSelector {
     this.isActive = false;
   }
 
+  /**
+   * Remembers the element under each right-click
+   * The background service worker's context menu entries act on it (see handleContextMenuAction)
+   */
+  setupContextMenuTracking() {
+    document.addEventListener('contextmenu', (event) => {
+      this.contextMenuTarget = event.target;
+    }, { capture: true });
+  }
+
+  /**
+   * Handles a context menu entry: hides or removes the last right-clicked element
+   * and stores its rule, the same way the picker does without opening it
+   * @param {string} action - 'hide' or 'remove'
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleContextMenuAction(action, sendResponse) {
+    try {
+      const target = this.contextMenuTarget;
+      this.contextMenuTarget = null;
+      
+      // Nothing is hidden or removed while paused, so a new rule would only show up on resume
+      if (this.paused || (this.storageManager && await this.storageManager.isPaused())) {
+        this.showHistoryToast('HideThis está en pausa en este sitio', null);
+        sendResponse({ success: false, error: 'HideThis is paused on this page' });
+        return;
+      }
+      
+      if (!target || !target.isConnected) {
+        throw new Error('No right-clicked element to act on');
+      }
+      
+      // Same element the picker would highlight under the pointer
+      const element = this.findBestElementToSelect(target);
+      
+      if (action === 'hide') {
+        await this.recordHistory('Ocultar 1 elemento', () => this.hideElement(element));
+        console.log('[Selector] ✅ Hidden element from the context menu');
+        sendResponse({ success: true, count: 1 });
+        return;
+      }
+      
+      if (!this.domAttrsRemover) {
+        throw new Error('DomAttrsRemover not initialized');
+      }
+      
+      const selector = this.generateElementSelector(element);
+      if (!this.isPersistableSelector(selector)) {
+        throw new Error('No unique selector found for this element');
+      }
+      
+      const result = await this.recordHistory('Eliminar 1 elemento', () => this.domAttrsRemover.removeElements(selector));
+      console.log(`[Selector] ✅ Removed element from the context menu: ${selector}`);
+      sendResponse({ success: true, count: result.count, selector });
+    } catch (error) {
+      console.error('[Selector] ❌ Error in context menu action:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   cancelSelection() {
     // Clear selection styling from all pending elements
     this.pendingSelection.forEach(element => {
@@ -914,44 +1689,39 @@ class ElementSelector {
 
   /**
    * Generates CSS selectors for an element (classes and ID)
+   * Hashed or generated names that change between deploys are skipped
    * @param {Element} element - Element to generate selectors for
-   * @returns {Array<string>} Array of CSS selectors
+   * @returns {Array<string>} Array of CSS selectors, most stable first
    */
   generateCSSSelectorsForElement(element) {
     const selectors = [];
 
-    // Add ID selector if element has an ID
-    if (element.id) {
-      selectors.push(`#${element.id}`);
+    // Add ID selector if element has a stable ID
+    if (element.id && SelectorStability.isStableId(element.id)) {
+      selectors.push({ selector: `#${CSS.escape(element.id)}`, score: SelectorStability.scoreId(element.id) });
     }
 
-    // Add class selectors if element has classes
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.split(' ')
-        .filter(cls => cls.trim().length > 0)
-        .filter(cls => !cls.startsWith('hidethis-')); // Exclude our own classes
-
-      classes.forEach(cls => {
-        selectors.push(`.${cls}`);
-      });
-    }
+    // Add class selectors for stable classes
+    SelectorGenerator.getClassNames(element).forEach(cls => {
+      const score = SelectorStability.scoreClass(cls);
+      if (score >= SelectorStability.MIN_STABLE_SCORE) {
+        selectors.push({ selector: `.${CSS.escape(cls)}`, score });
+      }
+    });
 
-    // If no ID or classes, try to find useful attribute selectors
+    // If no stable ID or classes, fall back to test hooks and aria attributes
     if (selectors.length === 0) {
-      // Check for common attributes that might be useful
-      const usefulAttributes = ['data-testid', 'data-id', 'data-component', 'role', 'aria-label'];
-      
-      for (const attr of usefulAttributes) {
-        if (element.hasAttribute(attr)) {
-          const value = element.getAttribute(attr);
-          if (value) {
-            selectors.push(`[${attr}="${value}"]`);
-          }
-        }
-      }
+      SelectorGenerator.getCandidateAttributes(element).forEach(({ name, value, score }) => {
+        selectors.push({
+          selector: `[${name}="${SelectorGenerator.escapeAttributeValue(value)}"]`,
+          score
+        });
+      });
     }
 
-    return selectors;
+    return selectors
+      .sort((a, b) => b.score - a.score)
+      .map(item => item.selector);
   }
 
   /**
@@ -999,32 +1769,53 @@ class ElementSelector {
   }
 
   /**
-   * Handles getting the list of hidden elements
+   * Handles getting the list of stored hide rules for current domain
+   * Each rule is described by the first element it currently hides, if any
    * @param {Function} sendResponse - Response callback
    */
-  handleGetHiddenElementsList(sendResponse) {
+  async handleGetHiddenElementsList(sendResponse) {
     try {
-      console.log('📋 Hidden elements count:', this.hiddenElements.size);
-      const elements = Array.from(this.hiddenElements).map((element, index) => {
-        const rect = element.getBoundingClientRect();
-        const classes = element.className 
-          ? element.className.split(' ').filter(cls => cls.trim() && !cls.startsWith('hidethis-'))
-          : [];
+      const rules = this.storageManager ? await this.storageManager.getHiddenRules() : [];
+      console.log('📋 Hidden rules count:', rules.length);
+      
+      // Shared rules switched off here are listed too, so they can be switched back on
+      const disabledGlobalRules = this.storageManager ? await this.storageManager.getDisabledGlobalRules('hidden') : [];
+      const disabledIds = new Set(disabledGlobalRules.map(rule => rule.id));
+      
+      const elements = await Promise.all([...rules, ...disabledGlobalRules].map(async rule => {
+        const element = this.getRuleElements(rule.id)[0];
+        const item = {
+          ruleId: rule.id,
+          selector: rule.selector,
+          enabled: rule.enabled,
+          mode: rule.mode,
+          scope: rule.scope || null,
+          inScope: UrlScope.matchesRule(rule),
+          domain: await this.storageManager.getRuleDomain(rule.id),
+          globalDisabled: disabledIds.has(rule.id),
+          note: rule.note,
+          createdAt: rule.createdAt,
+          tagName: null,
+          id: null,
+          classes: null,
+          size: null
+        };
         
-        return {
-          index: index,
-          tagName: element.tagName.toLowerCase(),
-          id: element.id || null,
-          classes: classes,
-          size: {
+        if (element) {
+          const rect = element.getBoundingClientRect();
+          item.tagName = element.tagName.toLowerCase();
+          item.id = element.id || null;
+          item.classes = SelectorGenerator.getClassNames(element);
+          item.size = {
             width: Math.round(rect.width),
             height: Math.round(rect.height)
-          },
-          selector: this.generateElementSelector(element)
-        };
-      });
+          };
+        }
+        
+        return item;
+      }));
 
-      console.log('✅ Sending hidden elements response:', elements.length, 'elements');
+      console.log('✅ Sending hidden elements response:', elements.length, 'rules');
       sendResponse({
         success: true,
         elements: elements,
@@ -1040,52 +1831,246 @@ class ElementSelector {
   }
 
   /**
-   * Handles getting the list of invalidated CSS selectors
-   * @param {Function} sendResponse - Response callback
+   * Gets the elements currently hidden by a rule
+   * @param {string} ruleId - Rule id
+   * @returns {Array<Element>} Hidden elements tagged with the rule id
    */
+  getRuleElements(ruleId) {
+    return Array.from(this.hiddenElements)
+      .filter(element => element.getAttribute('data-hidethis-rule-id') === ruleId);
+  }
+
   /**
-   * CSS invalidation functionality has been removed
+   * Handles removing a hide rule and showing the elements it hid
+   * @param {string} ruleId - Id of the rule to remove
+   * @param {Function} sendResponse - Response callback
    */
-  handleGetInvalidatedCSSList(sendResponse) {
-    console.log('⚠️ CSS Invalidator not available - functionality removed');
-    sendResponse({
-      success: true,
-      selectors: [],
-      count: 0
-    });
+  async handleRemoveHiddenElement(ruleId, sendResponse) {
+    try {
+      const removedRule = await this.recordHistory('Quitar regla oculta', async () => (
+        this.storageManager ? this.storageManager.removeHiddenRule(ruleId) : null
+      ));
+      const elements = this.getRuleElements(ruleId);
+      
+      if (!removedRule && elements.length === 0) {
+        sendResponse({
+          success: false,
+          error: `Hidden rule not found: ${ruleId}`
+        });
+        return;
+      }
+      
+      elements.forEach(element => this.showElement(element));
+      await this.refreshHideStylesheet();
+      
+      sendResponse({
+        success: true,
+        count: this.hiddenElements.size
+      });
+
+      // Notify popup of count update
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+        count: this.hiddenElements.size
+      });
+    } catch (error) {
+      console.error('Error removing hidden element:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
   }
 
   /**
-   * Handles removing a specific hidden element
-   * @param {number} index - Index of element to remove
+   * Handles switching a shared (global, wildcard or group) rule off or back on for this site
+   * Hide rules are applied here; DomAttrsRemover picks up removal rules through its own subscription
+   * @param {string} ruleId - Shared rule id
+   * @param {boolean} disabled - True to switch the rule off
    * @param {Function} sendResponse - Response callback
    */
-  handleRemoveHiddenElement(index, sendResponse) {
+  async handleSetGlobalRuleDisabled(ruleId, disabled, sendResponse) {
     try {
-      const elementsArray = Array.from(this.hiddenElements);
+      const label = disabled ? 'Desactivar regla compartida en este sitio' : 'Activar regla compartida en este sitio';
+      const changed = await this.recordHistory(label, async () => (
+        this.storageManager ? this.storageManager.setGlobalRuleDisabled(ruleId, disabled) : false
+      ));
       
-      if (index >= 0 && index < elementsArray.length) {
-        const element = elementsArray[index];
-        this.showElement(element);
-        
+      if (!changed) {
         sendResponse({
-          success: true,
-          count: this.hiddenElements.size
+          success: false,
+          error: `Shared rule not found: ${ruleId}`
         });
+        return;
+      }
+      
+      if (disabled) {
+        this.getRuleElements(ruleId).forEach(element => this.showElement(element));
+      } else {
+        const rule = await this.storageManager.getHiddenRule(ruleId);
+        if (rule && RuleModel.isEnabled(rule) && UrlScope.matchesRule(rule)) {
+          this.applyHiddenRule(rule);
+        }
+      }
+      await this.refreshHideStylesheet();
+      
+      sendResponse({
+        success: true,
+        count: this.hiddenElements.size
+      });
 
-        // Notify popup of count update
-        chrome.runtime.sendMessage({
-          action: 'elementHidden',
-          count: this.hiddenElements.size
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+        count: this.hiddenElements.size
+      });
+    } catch (error) {
+      console.error('Error switching shared rule:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handles switching a hide or removal rule off or back on without deleting it
+   * Hide rules are applied here; DomAttrsRemover picks up removal rules through its own subscription
+   * @param {string} ruleId - Rule id
+   * @param {boolean} enabled - True to switch the rule on
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleSetRuleEnabled(ruleId, enabled, sendResponse) {
+    try {
+      const rule = await this.recordHistory(enabled ? 'Activar regla' : 'Desactivar regla', async () => (
+        this.storageManager ? this.storageManager.updateRule(ruleId, { enabled }) : null
+      ));
+      
+      if (!rule) {
+        sendResponse({
+          success: false,
+          error: `Rule not found: ${ruleId}`
         });
-      } else {
+        return;
+      }
+      
+      if (rule.action === RuleModel.ACTIONS.HIDE) {
+        if (!enabled) {
+          this.getRuleElements(ruleId).forEach(element => this.showElement(element));
+        } else if (!this.paused && this.storageManager.filterActiveRules(UrlScope.filterRules([rule])).length > 0) {
+          this.applyHiddenRule(rule);
+        }
+        await this.refreshHideStylesheet();
+      }
+      
+      sendResponse({
+        success: true,
+        count: this.hiddenElements.size
+      });
+
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+        count: this.hiddenElements.size
+      });
+    } catch (error) {
+      console.error('Error switching rule:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handles listing the exception rules of this page
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleGetExceptionsList(sendResponse) {
+    try {
+      const rules = this.storageManager ? await this.storageManager.getExceptionRules() : [];
+      const elements = rules.map(rule => ({
+        ruleId: rule.id,
+        selector: rule.selector,
+        scope: rule.scope || null,
+        inScope: UrlScope.matchesRule(rule),
+        domain: this.storageManager.locateRule(rule.id, window.location.href, ['exceptions']).domain,
+        matched: this.countSelectorMatches(rule.selector),
+        createdAt: rule.createdAt
+      }));
+      
+      sendResponse({
+        success: true,
+        elements,
+        count: elements.length
+      });
+    } catch (error) {
+      console.error('Error getting exceptions list:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handles adding an exception rule typed in the popup
+   * @param {string} selector - Selector of the elements to leave alone
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleAddException(selector, sendResponse) {
+    try {
+      const cleanSelector = (selector || '').trim();
+      if (!ExceptionRules.isValidSelector(cleanSelector)) {
+        throw new Error(`Selector inválido: ${cleanSelector}`);
+      }
+      
+      const rule = await this.recordHistory('Añadir excepción', () => this.storageManager.addExceptionRule(cleanSelector));
+      this.refreshExceptions();
+      
+      sendResponse({
+        success: true,
+        ruleId: rule.id
+      });
+    } catch (error) {
+      console.error('Error adding exception rule:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handles deleting an exception rule, so hide rules cover its elements again
+   * @param {string} ruleId - Exception rule id
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleRemoveException(ruleId, sendResponse) {
+    try {
+      const removedRule = await this.recordHistory('Quitar excepción', async () => (
+        this.storageManager ? this.storageManager.removeExceptionRule(ruleId) : null
+      ));
+      
+      if (!removedRule) {
         sendResponse({
           success: false,
-          error: 'Invalid element index'
+          error: `Exception rule not found: ${ruleId}`
         });
+        return;
       }
+      
+      this.refreshExceptions();
+      
+      sendResponse({
+        success: true,
+        count: this.hiddenElements.size
+      });
+
+      chrome.runtime.sendMessage({
+        action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+        count: this.hiddenElements.size
+      });
     } catch (error) {
-      console.error('Error removing hidden element:', error);
+      console.error('Error removing exception rule:', error);
       sendResponse({
         success: false,
         error: error.message
@@ -1094,120 +2079,210 @@ class ElementSelector {
   }
 
   /**
-   * Handles removing a specific invalidated CSS selector
-   * @param {number} index - Index of selector to remove
+   * Handles reading or changing whether HideThis is paused on this site
+   * The page follows the change through subscribePause, like every other tab on the site
+   * @param {boolean|null} paused - New setting, or null to only read it
    * @param {Function} sendResponse - Response callback
    */
+  async handleSitePaused(paused, sendResponse) {
+    try {
+      if (!this.storageManager) {
+        throw new Error('StorageManager not initialized');
+      }
+      
+      if (paused !== null) {
+        await this.storageManager.setSitePaused(paused);
+      }
+      
+      sendResponse({
+        success: true,
+        paused: await this.storageManager.isSitePaused()
+      });
+    } catch (error) {
+      console.error('Error handling site pause:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
-   * CSS invalidation functionality has been removed
+   * Counts the elements a selector matches on the page
+   * @param {string} selector - Selector to test
+   * @returns {number} Matches, 0 for invalid selectors
    */
-  handleRemoveInvalidatedSelector(index, sendResponse) {
-    console.log('⚠️ CSS Invalidator not available - functionality removed');
-    sendResponse({
-      success: false,
-      error: 'CSS invalidation functionality has been removed'
-    });
+  countSelectorMatches(selector) {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch (error) {
+      return 0;
+    }
   }
 
   /**
-   * Generates a CSS selector for an element
+   * Generates a unique CSS selector for an element
    * @param {Element} element - Element to generate selector for
-   * @returns {string} CSS selector
+   * @returns {string|null} CSS selector matching only this element, or null
    */
   generateElementSelector(element) {
-    if (element.id) {
-      return `#${element.id}`;
-    }
-    
-    const classes = element.className 
-      ? element.className.split(' ').filter(cls => cls.trim() && !cls.startsWith('hidethis-'))
-      : [];
-    
-    if (classes.length > 0) {
-      return `.${classes.join('.')}`;
-    }
-    
-    return element.tagName.toLowerCase();
+    return SelectorGenerator.generate(element);
+  }
+
+  /**
+   * Checks if a selector is safe to persist for the current domain
+   * @param {string|null} selector - Selector to check
+   * @returns {boolean} True if selector can be stored
+   */
+  isPersistableSelector(selector) {
+    return !!selector && !SelectorGenerator.isPageWideSelector(selector);
   }
 
-  hideElement(element) {
-    // Hide element and persist selector
-    this.hideElementDirectly(element);
+  /**
+   * Hides an element and stores a hide rule for it
+   * @param {Element} element - Element to hide
+   * @param {string} mode - One of RuleModel.HIDE_MODES
+   * @param {Object|null} scope - UrlScope of the rule, null for the whole domain
+   * @param {string|null} target - Domain target storing the rule, null for the current host
+   * @param {string|null} confirmedSelector - Selector the user confirmed, null to generate one
+   */
+  async hideElement(element, mode = RuleModel.DEFAULT_HIDE_MODE, scope = null, target = null, confirmedSelector = null) {
+    // Selector and fingerprint must be captured while the element is still laid out
+    const selector = this.storageManager ? (confirmedSelector || this.generateElementSelector(element)) : null;
+    const fingerprint = this.storageManager ? ElementFingerprint.capture(element) : null;
     
-    // Persist selector to storage
+    // Hide element right away, the rule id is attached once stored
+    this.hideElementDirectly(element, null, mode);
+    
+    // Persist rule to storage
     if (this.storageManager) {
-      const selector = this.generateElementSelector(element);
-      this.storageManager.addHiddenElement(selector).catch(error => {
-        console.error('Error persisting hidden element:', error);
-      });
+      if (!this.isPersistableSelector(selector)) {
+        console.warn('[Selector] ⚠️ Not persisting element, no unique selector found:', selector);
+      } else {
+        try {
+          const rule = await this.storageManager.addHiddenElement(selector, window.location.href, fingerprint, mode, scope, target);
+          element.setAttribute('data-hidethis-rule-id', rule.id);
+          if (!UrlScope.matchesRule(rule) || ExceptionRules.matches(element, this.exceptionSelectors)) {
+            // Scoped to other pages of the domain, or kept visible by an exception rule
+            this.showElement(element);
+          }
+          await this.refreshHideStylesheet();
+        } catch (error) {
+          console.error('Error persisting hidden element:', error);
+        }
+      }
     }
     
     // Notify popup
     chrome.runtime.sendMessage({
-      action: 'elementHidden',
+      action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
       count: this.hiddenElements.size
     });
   }
 
-  hideElementDirectly(element) {
-    // Save element reference and original display value
-    this.hiddenElements.add(element);
-    
-    // Store original display value to restore later
-    const originalDisplay = element.style.display || getComputedStyle(element).display;
-    element.setAttribute('data-hidethis-original-display', originalDisplay);
-    
-    // Hide element completely
-    element.style.display = 'none';
-    element.setAttribute('data-hidethis-hidden', 'true');
+  /**
+   * Hides an element without touching storage
+   * @param {Element} element - Element to hide
+   * @param {string|null} ruleId - Id of the rule hiding the element
+   * @param {string} mode - One of RuleModel.HIDE_MODES
+   */
+  hideElementDirectly(element, ruleId = null, mode = RuleModel.DEFAULT_HIDE_MODE) {
+    this.hiddenElements.add(element);
+    if (ruleId) {
+      element.setAttribute('data-hidethis-rule-id', ruleId);
+    }
+    
+    // Hidden by the HideStylesheet attribute rules, so page scripts rewriting style can't undo it
+    element.setAttribute('data-hidethis-hidden', RuleModel.isHideMode(mode) ? mode : RuleModel.DEFAULT_HIDE_MODE);
+    
+    if (mode === RuleModel.HIDE_MODES.PLACEHOLDER) {
+      this.insertPlaceholder(element);
+    }
+  }
+
+  /**
+   * Puts a "click to show" bar where a placeholder-mode element was
+   * @param {Element} element - Hidden element
+   */
+  insertPlaceholder(element) {
+    if (this.placeholders.has(element) || !element.parentNode) return;
+    
+    const placeholder = document.createElement('div');
+    placeholder.className = 'hidethis-placeholder';
+    placeholder.textContent = 'Oculto por HideThis – clic para mostrar';
+    placeholder.style.cssText = `
+      display: ${this.hideStylesheet && !this.hideStylesheet.enabled ? 'none' : 'block'};
+      box-sizing: border-box;
+      padding: 4px 8px;
+      margin: 2px 0;
+      background: #f3f4f6;
+      color: #6b7280;
+      border: 1px dashed #9ca3af;
+      border-radius: 4px;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      line-height: 1.4;
+      text-align: center;
+      cursor: pointer;
+    `;
+    placeholder.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.revealElement(element);
+    });
+    
+    element.parentNode.insertBefore(placeholder, element);
+    this.placeholders.set(element, placeholder);
+  }
+
+  /**
+   * Shows a placeholder-mode element until the page is reloaded, keeping its rule
+   * @param {Element} element - Hidden element
+   */
+  revealElement(element) {
+    element.setAttribute('data-hidethis-revealed', 'true');
+    this.removePlaceholder(element);
   }
 
-  showElement(element) {
-    // Restore original display value
-    const originalDisplay = element.getAttribute('data-hidethis-original-display');
-    if (originalDisplay && originalDisplay !== 'none') {
-      element.style.display = originalDisplay;
-    } else {
-      element.style.display = '';
+  /**
+   * Removes the placeholder bar of an element, if any
+   * @param {Element} element - Hidden element
+   */
+  removePlaceholder(element) {
+    const placeholder = this.placeholders.get(element);
+    if (placeholder) {
+      placeholder.remove();
+      this.placeholders.delete(element);
     }
-    
-    // Clean up attributes
+  }
+
+  /**
+   * Shows a hidden element again without touching storage
+   * Rules are removed by id, see handleRemoveHiddenElement. The element stays
+   * hidden while its rule's selector is still in the stylesheet
+   * @param {Element} element - Element to show
+   */
+  showElement(element) {
+    this.removePlaceholder(element);
     element.removeAttribute('data-hidethis-hidden');
-    element.removeAttribute('data-hidethis-original-display');
+    element.removeAttribute('data-hidethis-revealed');
+    element.removeAttribute('data-hidethis-rule-id');
     this.hiddenElements.delete(element);
-    
-    // Remove from persistent storage
-    if (this.storageManager) {
-      const selector = this.generateElementSelector(element);
-      this.storageManager.removeHiddenElement(selector).catch(error => {
-        console.error('Error removing hidden element from storage:', error);
-      });
-    }
   }
 
+  /**
+   * Shows every hidden element, or hides them again
+   * @returns {boolean} True if hidden elements are now shown
+   */
   toggleHiddenElements() {
-    const isVisible = this.hiddenElements.size > 0 && 
-                     Array.from(this.hiddenElements)[0].style.display !== 'none';
+    if (!this.hideStylesheet) return false;
+    this.hideStylesheet.setEnabled(!this.hideStylesheet.enabled);
     
-    this.hiddenElements.forEach(element => {
-      if (isVisible) {
-        // Hide: set display to none
-        const originalDisplay = element.getAttribute('data-hidethis-original-display') || 
-                               getComputedStyle(element).display;
-        if (!element.getAttribute('data-hidethis-original-display')) {
-          element.setAttribute('data-hidethis-original-display', originalDisplay);
-        }
-        element.style.display = 'none';
-      } else {
-        // Show: restore original display
-        const originalDisplay = element.getAttribute('data-hidethis-original-display');
-        if (originalDisplay && originalDisplay !== 'none') {
-          element.style.display = originalDisplay;
-        } else {
-          element.style.display = '';
-        }
-      }
+    // Bars stand in for hidden elements, so they go away while everything is shown
+    this.placeholders.forEach(placeholder => {
+      placeholder.style.display = this.hideStylesheet.enabled ? 'block' : 'none';
     });
+    return !this.hideStylesheet.enabled;
   }
 
   async clearAllHidden() {
@@ -1215,11 +2290,14 @@ class ElementSelector {
       this.showElement(element);
     });
     this.hiddenElements.clear();
+    if (this.hideStylesheet) {
+      this.hideStylesheet.setRules([]);
+    }
     
     // Clear from persistent storage
     if (this.storageManager) {
       try {
-        await this.storageManager.clearHiddenElements();
+        await this.recordHistory('Mostrar todos los elementos ocultos', () => this.storageManager.clearHiddenElements());
       } catch (error) {
         console.error('Error clearing hidden elements from storage:', error);
       }
@@ -1227,11 +2305,133 @@ class ElementSelector {
     
     // Notify popup
     chrome.runtime.sendMessage({
-      action: 'elementsCleared',
+      action: MessageProtocol.ACTIONS.ELEMENTS_CLEARED,
       count: 0
     });
   }
 
+  /**
+   * Runs an action and records its rule changes as one undo step
+   * @param {string} label - Description shown in the undo toast and popup
+   * @param {Function} action - Async function that changes the stored rules
+   * @returns {*} Result of the action
+   */
+  async recordHistory(label, action) {
+    if (!this.history) return action();
+    
+    const before = await this.history.snapshot();
+    const result = await action();
+    
+    try {
+      const entry = await this.history.record(label, before);
+      if (entry) {
+        this.showHistoryToast(entry.label, 'undo');
+      }
+    } catch (error) {
+      console.warn('[Selector] ⚠️ Could not record history step:', error);
+    }
+    return result;
+  }
+
+  /**
+   * Undoes the latest recorded action
+   * @returns {Object|null} Undone history entry
+   */
+  async undoLastAction() {
+    if (!this.history) return null;
+    
+    const entry = await this.history.undo();
+    if (entry) {
+      this.showHistoryToast(`Deshecho: ${entry.label}`, 'redo');
+    }
+    return entry;
+  }
+
+  /**
+   * Redoes the latest undone action
+   * @returns {Object|null} Redone history entry
+   */
+  async redoLastAction() {
+    if (!this.history) return null;
+    
+    const entry = await this.history.redo();
+    if (entry) {
+      this.showHistoryToast(`Rehecho: ${entry.label}`, 'undo');
+    }
+    return entry;
+  }
+
+  /**
+   * Shows a short-lived toast offering to undo (or redo) the action that just ran
+   * @param {string} message - Toast text
+   * @param {string|null} step - 'undo' or 'redo', the button the toast offers; null for a plain notice
+   */
+  showHistoryToast(message, step) {
+    this.hideHistoryToast();
+    
+    const toast = document.createElement('div');
+    toast.id = 'hidethis-history-toast';
+    toast.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      background: #1f2937;
+      color: white;
+      padding: 10px 16px;
+      border-radius: 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      z-index: ${Constants.CONFIG.SELECTION_CONTROLS_Z_INDEX};
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    `;
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    
+    const button = document.createElement('button');
+    button.id = `hidethis-history-${step}`;
+    button.textContent = step === 'undo' ? '↩️ Deshacer' : '↪️ Rehacer';
+    button.style.cssText = `
+      background: transparent;
+      color: #93c5fd;
+      border: 1px solid #93c5fd;
+      padding: 4px 10px;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 13px;
+    `;
+    button.addEventListener('click', () => {
+      this.hideHistoryToast();
+      if (step === 'undo') {
+        this.undoLastAction();
+      } else {
+        this.redoLastAction();
+      }
+    });
+    
+    toast.appendChild(text);
+    if (step) {
+      toast.appendChild(button);
+    }
+    document.body.appendChild(toast);
+    
+    this.historyToast = toast;
+    this.historyToastTimer = setTimeout(() => this.hideHistoryToast(), Constants.CONFIG.UNDO_TOAST_DURATION);
+  }
+
+  hideHistoryToast() {
+    clearTimeout(this.historyToastTimer);
+    this.historyToastTimer = null;
+    if (this.historyToast) {
+      this.historyToast.remove();
+      this.historyToast = null;
+    }
+  }
+
   showInstructions() {
     const instructions = document.createElement('div');
     instructions.id = 'hidethis-instructions';
@@ -1286,138 +2486,70 @@ class ElementSelector {
   }
 
   setupSPANavigationListener() {
-    // YouTube uses pushState/replaceState for navigation
-    // We need to listen for these changes and reinitialize if needed
-    
-    const originalPushState = history.pushState;
-    const originalReplaceState = history.replaceState;
-    
-    const self = this;
-    
-    history.pushState = function(...args) {
-      originalPushState.apply(history, args);
-      setTimeout(() => {
-        if (!document.getElementById('hidethis-overlay')) {
-          self.createOverlay();
-        }
-        // Reinitialize CSS invalidator if needed
-        if (self.cssInvalidator && !document.getElementById('hidethis-css-invalidation')) {
-          self.cssInvalidator.createStyleElement();
-        }
-      }, 1000);
-    };
-    
-    history.replaceState = function(...args) {
-      originalReplaceState.apply(history, args);
-      setTimeout(() => {
-        if (!document.getElementById('hidethis-overlay')) {
-          self.createOverlay();
-        }
-        // Reinitialize CSS invalidator if needed
-        if (self.cssInvalidator && !document.getElementById('hidethis-css-invalidation')) {
-          self.cssInvalidator.createStyleElement();
-        }
-      }, 1000);
+    // pushState/replaceState patched here would only be seen by this isolated
+    // world, not the page, so watch the URL itself instead
+    const checkUrl = () => {
+      if (window.location.href !== this.lastUrl) {
+        this.lastUrl = window.location.href;
+        this.handleUrlChange();
+      }
     };
     
-    // Also listen for popstate events
-    window.addEventListener('popstate', () => {
-      setTimeout(() => {
-        if (!document.getElementById('hidethis-overlay')) {
-          this.createOverlay();
-        }
-        // Reinitialize CSS invalidator if needed
-        if (this.cssInvalidator && !document.getElementById('hidethis-css-invalidation')) {
-          this.cssInvalidator.createStyleElement();
-        }
-      }, 1000);
-    });
+    if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+      window.navigation.addEventListener('currententrychange', checkUrl);
+    } else {
+      setInterval(checkUrl, Constants.CONFIG.URL_CHECK_INTERVAL);
+    }
+    window.addEventListener('popstate', checkUrl);
+    window.addEventListener('hashchange', checkUrl);
   }
 
   /**
-   * Handle remove class action
-   */
-  /**
-   * Use DomAttrsRemover.removeElements() instead
+   * Re-evaluates rule scopes after an in-page navigation
+   * Elements of rules scoped away from the new URL are shown again and rules
+   * scoped to it are applied to whatever the page has rendered
    */
-  async handleRemoveClass(className, sendResponse) {
-    console.log('⚠️ CSS Invalidator not available - use removeElements instead');
+  async handleUrlChange() {
+    console.log('[Selector] 🧭 URL changed:', window.location.href);
     
-    try {
-      if (this.domAttrsRemover) {
-        const result = await this.domAttrsRemover.removeElements(`.${className}`);
-        sendResponse({ 
-          success: true, 
-          removedCount: result.count,
-          totalCount: result.count,
-          message: `Removed class '${className}' from ${result.count} elements`
-        });
-      } else {
-        sendResponse({ success: false, error: 'DomAttrsRemover not available' });
-      }
-    } catch (error) {
-      console.error('Error removing class:', error);
-      sendResponse({ success: false, error: error.message });
+    if (!document.getElementById('hidethis-overlay')) {
+      this.createOverlay();
     }
-  }
-
-  /**
-   * Handle remove blur filter action
-   */
-  /**
-   * Use DomAttrsRemover.removeBlurFilter() instead
-   */
-  async handleRemoveBlurFilter(className, sendResponse) {
-    console.log('⚠️ CSS Invalidator not available - using DomAttrsRemover.removeBlurFilter instead');
     
-    try {
-      if (this.domAttrsRemover) {
-        const result = await this.domAttrsRemover.removeBlurFilter();
-        sendResponse({ 
-          success: true, 
-          removedCount: result.count,
-          totalCount: result.count,
-          message: `Removed blur filter from ${result.count} elements`
+    if (this.storageManager && !this.paused) {
+      try {
+        // Scoped exception rules may start or stop covering elements too
+        this.loadExceptionSelectors();
+        Array.from(this.hiddenElements)
+          .filter(element => ExceptionRules.matches(element, this.exceptionSelectors))
+          .forEach(element => this.showElement(element));
+        
+        const rules = await this.storageManager.getHiddenRules();
+        const activeRules = this.storageManager.filterActiveRules(rules);
+        rules.filter(rule => !UrlScope.matchesRule(rule) || !activeRules.includes(rule)).forEach(rule => {
+          this.getRuleElements(rule.id).forEach(element => this.showElement(element));
         });
-      } else {
-        sendResponse({ success: false, error: 'DomAttrsRemover not available' });
+        
+        const scopedRules = UrlScope.filterRules(activeRules);
+        this.updateHideStylesheet(scopedRules);
+        scopedRules.forEach(rule => this.applyHiddenRule(rule));
+        
+        // SPAs render the new view after the URL changes
+        setTimeout(() => scopedRules.forEach(rule => this.applyHiddenRule(rule)), Constants.CONFIG.REMATCH_DELAY);
+      } catch (error) {
+        console.error('[Selector] ❌ Error re-evaluating hide rules:', error);
       }
-    } catch (error) {
-      console.error('Error removing blur filter:', error);
-      sendResponse({ success: false, error: error.message });
     }
-  }
-
-  /**
-   * Use DomAttrsRemover.clearRemovedElements() instead
-   */
-  async handleClearRemovedClasses(sendResponse) {
-    console.log('⚠️ Using DomAttrsRemover.clearRemovedElements instead');
     
-    try {
-      if (this.domAttrsRemover) {
-        const result = await this.domAttrsRemover.clearRemovedElements();
-        sendResponse({ 
-          success: true, 
-          clearedCount: result.clearedCount,
-          totalCount: 0,
-          message: `Cleared ${result.clearedCount} removed elements`
-        });
-      } else if (this.storageManager) {
-        const clearedCount = await this.storageManager.clearRemovedClasses();
-        sendResponse({ 
-          success: true, 
-          clearedCount: clearedCount,
-          totalCount: 0,
-          message: `Cleared ${clearedCount} removed classes`
-        });
-      } else {
-        sendResponse({ success: false, error: 'Neither DomAttrsRemover nor StorageManager available' });
-      }
-    } catch (error) {
-      console.error('Error clearing removed classes:', error);
-      sendResponse({ success: false, error: error.message });
+    if (this.domAttrsRemover) {
+      await this.domAttrsRemover.handleUrlChange();
+      setTimeout(() => this.domAttrsRemover.handleUrlChange(), Constants.CONFIG.REMATCH_DELAY);
     }
+    
+    chrome.runtime.sendMessage({
+      action: MessageProtocol.ACTIONS.ELEMENT_HIDDEN,
+      count: this.hiddenElements.size
+    });
   }
 
   /**
@@ -1429,7 +2561,7 @@ class ElementSelector {
         return await this.domAttrsRemover.getRemovedElementsCount();
       } else if (this.storageManager) {
         const counts = await this.storageManager.getCounts();
-        return counts.removedClasses || 0;
+        return counts.removedElements || 0;
       }
       return 0;
     } catch (error) {
@@ -1466,100 +2598,16 @@ class ElementSelector {
 
   /**
    * Set up the initial message listener for popup communication
+   * The router comes from MessageProtocol, which validates every message before it gets here
    */
   setupInitialMessageListener() {
     try {
       console.log('[Selector] 📡 Setting up message listener...');
       
-      // Use chrome.runtime.onMessage directly since MessageHandler might not be available
-      chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        try {
-          console.log(`[Selector] 📨 Received message: ${request.action}`);
-          
-          switch (request.action) {
-            case 'ping':
-              console.log('[Selector] 🏓 Responding to ping');
-              sendResponse({ success: true, message: 'pong', url: window.location.href });
-              break;
-              
-            case 'toggleSelector':
-              this.toggleSelector();
-              sendResponse({ success: true, isActive: this.isActive });
-              break;
-              
-            case 'getSelectorState':
-              sendResponse({ success: true, isActive: this.isActive });
-              break;
-              
-            case 'toggleVisibility':
-              this.toggleHiddenElements();
-              sendResponse({ success: true });
-              break;
-              
-            case 'clearAll':
-              this.clearAllHidden().then(() => {
-                sendResponse({ success: true });
-              }).catch(error => {
-                console.error('[Selector] Error in clearAll:', error);
-                sendResponse({ success: false, error: error.message });
-              });
-              return true; // Async response
-              
-            case 'getHiddenCount':
-              this.getHiddenCount().then(counts => {
-                sendResponse({ 
-                  success: true, 
-                  count: counts.hidden,
-                  removedElementsCount: counts.removedElements || 0
-                });
-              }).catch(error => {
-                console.error('[Selector] Error in getHiddenCount:', error);
-                sendResponse({ success: false, error: error.message });
-              });
-              return true; // Async response
-              
-            // Element removal actions
-            case 'removeElements':
-              console.log('[Selector] 🎯 Handling removeElements');
-              this.handleRemoveElements(request.selector, sendResponse);
-              return true; // Async response
-              
-            case 'removeBlurFilter':
-              console.log('[Selector] 🌀 Handling removeBlurFilter');
-              this.handleRemoveBlurFilter(sendResponse);
-              return true; // Async response
-              
-            case 'clearRemovedElements':
-              console.log('[Selector] 🧹 Handling clearRemovedElements');
-              this.handleClearRemovedElements(sendResponse);
-              return true; // Async response
-              
-            case 'getRemovedElementsCount':
-              console.log('[Selector] 📊 Handling getRemovedElementsCount');
-              this.handleGetRemovedElementsCount(sendResponse);
-              return true; // Async response
-              
-            // List management actions
-            case 'getHiddenElementsList':
-              console.log('[Selector] 📋 Getting hidden elements list');
-              this.handleGetHiddenElementsList(sendResponse);
-              return true; // Async response
-              
-            case 'removeHiddenElement':
-              this.handleRemoveHiddenElement(request.index, sendResponse);
-              return true; // Async response
-              
-            default:
-              console.warn(`[Selector] ❓ Unknown action: ${request.action}`);
-              sendResponse({ success: false, error: 'Unknown action' });
-              break;
-          }
-          
-        } catch (error) {
-          console.error('[Selector] 💥 Error handling message:', error);
-          sendResponse({ success: false, error: error.message });
-        }
-      });
+      chrome.runtime.onMessage.addListener(MessageProtocol.createListener(
+        MessageProtocol.HANDLERS.CONTENT,
+        this.getMessageHandlers()
+      ));
       
       console.log('[Selector] ✅ Message listener setup complete');
       
@@ -1568,6 +2616,82 @@ class ElementSelector {
     }
   }
 
+  /**
+   * Handlers of the content script actions in MessageProtocol
+   * Each is called with (request, sendResponse) and responds once, possibly asynchronously
+   * @returns {Object<string, Function>} Handler per action
+   */
+  getMessageHandlers() {
+    return {
+      ping: (request, sendResponse) => {
+        console.log('[Selector] 🏓 Responding to ping');
+        sendResponse({ success: true, message: 'pong', url: window.location.href });
+      },
+      
+      toggleSelector: (request, sendResponse) => {
+        this.toggleSelector();
+        sendResponse({ success: true, isActive: this.isActive });
+      },
+      
+      getSelectorState: (request, sendResponse) => {
+        sendResponse({ success: true, isActive: this.isActive });
+      },
+      
+      toggleVisibility: (request, sendResponse) => {
+        sendResponse({ success: true, visible: this.toggleHiddenElements() });
+      },
+      
+      clearAll: (request, sendResponse) => this.clearAllHidden().then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        console.error('[Selector] Error in clearAll:', error);
+        sendResponse({ success: false, error: error.message });
+      }),
+      
+      getHiddenCount: (request, sendResponse) => this.getHiddenCount().then(counts => {
+        sendResponse({ 
+          success: true, 
+          count: counts.hidden,
+          removedElementsCount: counts.removedElements || 0,
+          exceptionsCount: counts.exceptions || 0
+        });
+      }).catch(error => {
+        console.error('[Selector] Error in getHiddenCount:', error);
+        sendResponse({ success: false, error: error.message });
+      }),
+      
+      // Element removal actions
+      removeElements: (request, sendResponse) => this.handleRemoveElements(request.selector, sendResponse),
+      removeBlurFilter: (request, sendResponse) => this.handleRemoveBlurFilter(sendResponse),
+      clearRemovedElements: (request, sendResponse) => this.handleClearRemovedElements(sendResponse),
+      getRemovedElementsCount: (request, sendResponse) => this.handleGetRemovedElementsCount(sendResponse),
+      getRemovedElementsList: (request, sendResponse) => this.handleGetRemovedElementsList(sendResponse),
+      restoreRemovedElement: (request, sendResponse) => this.handleRestoreRemovedElement(request.ruleId, sendResponse),
+      
+      // List management actions
+      getHiddenElementsList: (request, sendResponse) => this.handleGetHiddenElementsList(sendResponse),
+      removeHiddenElement: (request, sendResponse) => this.handleRemoveHiddenElement(request.ruleId, sendResponse),
+      setGlobalRuleDisabled: (request, sendResponse) => this.handleSetGlobalRuleDisabled(request.ruleId, request.disabled, sendResponse),
+      setRuleEnabled: (request, sendResponse) => this.handleSetRuleEnabled(request.ruleId, request.enabled, sendResponse),
+      
+      // Exception rule actions
+      getExceptionsList: (request, sendResponse) => this.handleGetExceptionsList(sendResponse),
+      addException: (request, sendResponse) => this.handleAddException(request.selector, sendResponse),
+      removeException: (request, sendResponse) => this.handleRemoveException(request.ruleId, sendResponse),
+      getSitePaused: (request, sendResponse) => this.handleSitePaused(null, sendResponse),
+      setSitePaused: (request, sendResponse) => this.handleSitePaused(request.paused, sendResponse),
+      
+      // Context menu actions, sent by the background service worker
+      hideContextMenuTarget: (request, sendResponse) => this.handleContextMenuAction('hide', sendResponse),
+      removeContextMenuTarget: (request, sendResponse) => this.handleContextMenuAction('remove', sendResponse),
+      
+      // Undo/redo history actions
+      undo: (request, sendResponse) => this.handleHistoryStep(MessageProtocol.ACTIONS.UNDO, sendResponse),
+      redo: (request, sendResponse) => this.handleHistoryStep(MessageProtocol.ACTIONS.REDO, sendResponse),
+      getHistoryState: (request, sendResponse) => this.handleGetHistoryState(sendResponse)
+    };
+  }
+
   /**
    * Handle removeElements action
    * @param {string} selector - The selector to remove
@@ -1642,12 +2766,13 @@ class ElementSelector {
         throw new Error('DomAttrsRemover not initialized');
       }
       
-      const result = await this.domAttrsRemover.clearRemovedElements();
+      const result = await this.recordHistory('Restaurar elementos eliminados', () => this.domAttrsRemover.clearRemovedElements());
       
       console.log('[Selector] ✅ clearRemovedElements result:', result);
       sendResponse({ 
         success: true, 
-        clearedCount: result.clearedCount
+        clearedCount: result.clearedCount,
+        restoredCount: result.restoredCount
       });
       
     } catch (error) {
@@ -1658,6 +2783,109 @@ class ElementSelector {
       });
     }
   }
+
+  /**
+   * Handle getRemovedElementsList action
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleGetRemovedElementsList(sendResponse) {
+    try {
+      if (!this.domAttrsRemover) {
+        throw new Error('DomAttrsRemover not initialized');
+      }
+      
+      const elements = await this.domAttrsRemover.getRemovedElementsList();
+      sendResponse({
+        success: true,
+        elements,
+        count: elements.length
+      });
+      
+    } catch (error) {
+      console.error('[Selector] ❌ Error in getRemovedElementsList:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle restoreRemovedElement action
+   * @param {string} ruleId - Id of the removal rule to undo
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleRestoreRemovedElement(ruleId, sendResponse) {
+    try {
+      if (!this.domAttrsRemover) {
+        throw new Error('DomAttrsRemover not initialized');
+      }
+      
+      const result = await this.recordHistory('Restaurar elemento eliminado', () => this.domAttrsRemover.restoreRemovedElement(ruleId));
+      sendResponse({
+        success: true,
+        restoredCount: result.restoredCount
+      });
+      
+    } catch (error) {
+      console.error('[Selector] ❌ Error in restoreRemovedElement:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  
+  /**
+   * Handle undo and redo actions
+   * @param {string} step - MessageProtocol.ACTIONS.UNDO or REDO
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleHistoryStep(step, sendResponse) {
+    try {
+      if (!this.history) {
+        throw new Error('History not initialized');
+      }
+      
+      const entry = step === MessageProtocol.ACTIONS.UNDO ? await this.undoLastAction() : await this.redoLastAction();
+      sendResponse({
+        success: true,
+        label: entry ? entry.label : null,
+        state: await this.history.getState()
+      });
+      
+    } catch (error) {
+      console.error(`[Selector] ❌ Error in ${step}:`, error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle getHistoryState action
+   * @param {Function} sendResponse - Response callback
+   */
+  async handleGetHistoryState(sendResponse) {
+    try {
+      if (!this.history) {
+        throw new Error('History not initialized');
+      }
+      
+      sendResponse({
+        success: true,
+        state: await this.history.getState()
+      });
+      
+    } catch (error) {
+      console.error('[Selector] ❌ Error in getHistoryState:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
   
   /**
    * Handle getRemovedElementsCount action
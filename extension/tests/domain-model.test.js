@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const lookup = loadScripts(['utils/domain-model.js']);
+const DomainModel = lookup('DomainModel');
+
+test('registrable domains follow the public suffix list', () => {
+  assert.equal(DomainModel.getRegistrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+  assert.equal(DomainModel.getRegistrableDomain('m.example.com'), 'example.com');
+  assert.equal(DomainModel.getRegistrableDomain('co.uk'), null);
+  assert.equal(DomainModel.getRegistrableDomain('localhost'), 'localhost');
+  assert.equal(DomainModel.getRegistrableDomain('192.168.1.10'), '192.168.1.10');
+});
+
+test('subdomain entries must stay within one site', () => {
+  ['*.example.com', '*.bbc.co.uk', 'example.com,*.example.org', 'localhost', '*'].forEach(target => {
+    assert.equal(DomainModel.isValidTarget(target), true, target);
+  });
+  ['*.com', '*.uk', '*.co.uk', '*.localhost', '*.192.168.1.10', 'example.com,*.com', '', 'exa mple.com'].forEach(target => {
+    assert.equal(DomainModel.isValidTarget(target), false, target);
+  });
+  assert.throws(() => DomainModel.normalizeTarget('*.com'));
+});
+
+test('targets are written in one canonical form', () => {
+  assert.equal(DomainModel.normalizeTarget(' B.org , *.A.com., b.org '), '*.a.com,b.org');
+  assert.equal(DomainModel.normalizeTarget('*'), DomainModel.GLOBAL_TARGET);
+});
+
+test('targets cover their hosts and subdomains only', () => {
+  assert.equal(DomainModel.matchesTarget('*.example.com', 'example.com'), true);
+  assert.equal(DomainModel.matchesTarget('*.example.com', 'a.b.example.com'), true);
+  assert.equal(DomainModel.matchesTarget('*.example.com', 'badexample.com'), false);
+  assert.equal(DomainModel.matchesTarget('www.example.com', 'example.com'), false);
+  assert.equal(DomainModel.matchesTarget('a.com,*.b.org', 'x.b.org'), true);
+  assert.equal(DomainModel.matchesTarget(DomainModel.GLOBAL_TARGET, 'anything.net'), true);
+});
+
+test('site targets fall back to the host when it has no subdomains of its own', () => {
+  assert.equal(DomainModel.siteTarget('m.example.com'), '*.example.com');
+  assert.equal(DomainModel.siteTarget('news.bbc.co.uk'), '*.bbc.co.uk');
+  assert.equal(DomainModel.siteTarget('localhost'), 'localhost');
+  assert.equal(DomainModel.siteTarget('192.168.1.10'), '192.168.1.10');
+});
+
+test('shared targets are told apart from single hosts', () => {
+  assert.equal(DomainModel.isSharedTarget('example.com'), false);
+  assert.equal(DomainModel.isSharedTarget('*.example.com'), true);
+  assert.equal(DomainModel.isSharedTarget('a.com,b.com'), true);
+  assert.equal(DomainModel.isSharedTarget(DomainModel.GLOBAL_TARGET), true);
+});
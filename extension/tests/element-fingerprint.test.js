@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+// The script registers itself on window when there is no module system
+const lookup = loadScripts(['utils/element-fingerprint.js'], { window: {} });
+const ElementFingerprint = lookup('ElementFingerprint');
+
+// Elements that count how often their text and layout are read
+const reads = { text: 0, layout: 0 };
+const createElement = (tagName, parent = null, text = '') => {
+  const element = {
+    tagName: tagName.toUpperCase(),
+    parentElement: parent,
+    children: [],
+    get textContent() {
+      reads.text++;
+      return text;
+    },
+    getBoundingClientRect() {
+      reads.layout++;
+      return { width: 300, height: 250 };
+    }
+  };
+  if (parent) parent.children.push(element);
+  return element;
+};
+const createRoot = elements => ({
+  getElementsByTagName: tagName => elements.filter(element => element.tagName === tagName.toUpperCase())
+});
+
+test('only candidates that fit structurally have their text and size read', () => {
+  const body = createElement('body');
+  const sidebar = createElement('aside', body);
+  const main = createElement('main', body);
+  const ad = createElement('div', sidebar, 'Sponsored');
+  const fingerprint = ElementFingerprint.capture(ad);
+  const elements = [ad];
+  for (let i = 0; i < 200; i++) {
+    elements.push(createElement('div', main, `Post ${i}`));
+  }
+
+  reads.text = 0;
+  reads.layout = 0;
+  const match = ElementFingerprint.findBestMatch(fingerprint, { root: createRoot(elements) });
+
+  assert.equal(match.element, ad);
+  assert.equal(reads.text, 1);
+  assert.equal(reads.layout, 1);
+});
+
+test('no more than MAX_CANDIDATES elements are measured', () => {
+  const body = createElement('body');
+  const list = createElement('section', body);
+  const elements = [];
+  for (let i = 0; i < 200; i++) {
+    elements.push(createElement('div', list, `Item ${i}`));
+  }
+  const fingerprint = ElementFingerprint.capture(elements[100]);
+
+  reads.layout = 0;
+  const match = ElementFingerprint.findBestMatch(fingerprint, { root: createRoot(elements) });
+
+  assert.equal(match.element, elements[100]);
+  assert.ok(reads.layout <= ElementFingerprint.MAX_CANDIDATES);
+});
@@ -0,0 +1,72 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const EXTENSION_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * Runs extension scripts as classic scripts sharing one global scope, the way the
+ * manifest loads content scripts. node --test runs each test file in its own
+ * process, so the scripts' classes never leak between files.
+ * The scripts log every step; only their errors are kept, since Node 20's test
+ * runner can garble its own output when a test writes much to stdout
+ * @param {Array<string>} files - Script paths relative to extension/, in load order
+ * @param {Object} globals - Globals the scripts expect (chrome mock...)
+ * @returns {Function} Looks up a class or global declared by the scripts by name
+ */
+export function loadScripts(files, globals = {}) {
+  ['log', 'info', 'warn'].forEach(level => {
+    console[level] = () => {};
+  });
+  Object.assign(globalThis, globals);
+  files.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), { filename: file });
+  });
+  return name => vm.runInThisContext(name);
+}
+
+/**
+ * Builds an in-memory chrome.storage mock with local and sync areas
+ * Writes are delivered to onChanged listeners asynchronously, as in the browser
+ * @param {Object} initial - Initial chrome.storage.local contents
+ * @param {Object} initialSync - Initial chrome.storage.sync contents
+ * @returns {Object} chrome mock with storage.local, storage.sync, storage.onChanged and their data
+ */
+export function createChromeStorage(initial = {}, initialSync = {}) {
+  const listeners = new Set();
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  const createArea = (areaName, data) => ({
+    async get(keys) {
+      const wanted = keys === null ? Object.keys(data) : [].concat(keys);
+      return Object.fromEntries(wanted.filter(key => key in data).map(key => [key, copy(data[key])]));
+    },
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: copy(data[key]), newValue: copy(value) };
+        data[key] = copy(value);
+      });
+      setTimeout(() => listeners.forEach(listener => listener(copy(changes), areaName)));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  });
+
+  const data = copy(initial);
+  const syncData = copy(initialSync);
+  return {
+    data,
+    syncData,
+    storage: {
+      local: createArea('local', data),
+      sync: createArea('sync', syncData),
+      onChanged: {
+        addListener: listener => listeners.add(listener),
+        removeListener: listener => listeners.delete(listener)
+      }
+    }
+  };
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const lookup = loadScripts(['utils/message-protocol.js']);
+const MessageProtocol = lookup('MessageProtocol');
+
+test('every action name has a definition and every definition a name', () => {
+  assert.deepEqual(
+    Object.values(MessageProtocol.ACTIONS).sort(),
+    Object.keys(MessageProtocol.DEFINITIONS).sort()
+  );
+});
+
+test('toggleVisibility responses must say whether hidden elements are shown', () => {
+  const action = MessageProtocol.ACTIONS.TOGGLE_VISIBILITY;
+
+  assert.deepEqual(MessageProtocol.validateResponse(action, { success: true, visible: true }), []);
+  assert.deepEqual(MessageProtocol.validateResponse(action, { success: true }), ['visible must be a boolean']);
+});
+
+test('messages are checked against the definition of their action', () => {
+  assert.equal(MessageProtocol.validateMessage({ action: MessageProtocol.ACTIONS.PING }), null);
+  assert.equal(MessageProtocol.validateMessage({ action: 'nope' }).type, MessageProtocol.ERROR_TYPES.UNKNOWN_ACTION);
+  assert.deepEqual(
+    MessageProtocol.validateMessage({ action: MessageProtocol.ACTIONS.REMOVE_ELEMENTS, tabId: 'x' }).details,
+    ['tabId must be an integer or null', 'selector must be a non-empty string']
+  );
+});
+
+test('history stacks are handled by the background and carry both stacks', () => {
+  const action = MessageProtocol.ACTIONS.SAVE_HISTORY_STACKS;
+
+  assert.equal(MessageProtocol.get(action).handler, MessageProtocol.HANDLERS.BACKGROUND);
+  assert.equal(MessageProtocol.get(MessageProtocol.ACTIONS.GET_HISTORY_STACKS).handler, MessageProtocol.HANDLERS.BACKGROUND);
+  assert.equal(MessageProtocol.validateMessage({ action, undo: [], redo: [] }), null);
+  assert.deepEqual(MessageProtocol.validateMessage({ action, undo: [] }).details, ['redo must be an array']);
+});
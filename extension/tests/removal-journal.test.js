@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const lookup = loadScripts(['utils/removal-journal.js']);
+const RemovalJournal = lookup('RemovalJournal');
+
+// Just enough of a DOM node for the journal: removal detaches it and its subtree
+const createNode = (parentNode = null) => ({
+  parentNode,
+  previousSibling: null,
+  nextSibling: null,
+  detached: false,
+  get isConnected() {
+    return !this.detached && (!this.parentNode || this.parentNode.isConnected);
+  },
+  remove() {
+    this.detached = true;
+  },
+  contains(other) {
+    for (let node = other; node; node = node.parentNode) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+});
+
+test('removals the page discarded on its own are forgotten', () => {
+  const body = createNode();
+  const feedItem = createNode(body);
+  const journal = new RemovalJournal();
+
+  journal.removeNode('.ad', createNode(feedItem));
+  journal.removeNode('.ad', createNode(body));
+  assert.equal(journal.size(), 2);
+
+  // Infinite scroll drops the feed item the first ad was in
+  feedItem.remove();
+  assert.equal(journal.size(), 1);
+  assert.equal(journal.count('.ad'), 1);
+});
+
+test('removals inside a node the journal holds are kept for restoring', () => {
+  const body = createNode();
+  const outer = createNode(body);
+  const journal = new RemovalJournal();
+
+  journal.removeNode('.inner', createNode(outer));
+  journal.removeNode('.outer', outer);
+
+  assert.equal(journal.size(), 2);
+});
+
+test('the journal keeps only the newest entries', () => {
+  const body = createNode();
+  const journal = new RemovalJournal();
+  const max = RemovalJournal.MAX_ENTRIES;
+
+  for (let i = 0; i < max + 5; i++) {
+    journal.removeNode(`.n${i}`, createNode(body));
+  }
+
+  assert.equal(journal.size(), max);
+  assert.equal(journal.count('.n0'), 0);
+  assert.equal(journal.count(`.n${max + 4}`), 1);
+});
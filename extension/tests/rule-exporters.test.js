@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const lookup = loadScripts([
+  'utils/rule-model.js',
+  'utils/url-scope.js',
+  'utils/domain-model.js',
+  'utils/hide-stylesheet.js',
+  'utils/rule-exporters.js'
+]);
+const UrlScope = lookup('UrlScope');
+const RuleExporters = lookup('RuleExporters');
+
+const rule = (id, selector, scope = null) => ({ id, selector, action: 'hide', enabled: true, mode: 'collapse', ...(scope ? { scope } : {}) });
+const domains = {
+  'www.youtube.com': {
+    hidden: [rule('a', '#masthead-ad'), rule('b', '#related', { type: 'exact', value: '/watch' })],
+    removedElements: []
+  }
+};
+
+test('scoped rules are listed, not exported, where the format has no URL scopes', () => {
+  const filters = RuleExporters.toFilterList(domains);
+  assert.match(filters, /^www\.youtube\.com###masthead-ad$/m);
+  assert.doesNotMatch(filters, /^[^!].*#related/m);
+  assert.match(filters, /^! Not exported, only applies to some pages \(exact \/watch\): #related$/m);
+
+  const userCss = RuleExporters.toUserCss(domains);
+  assert.doesNotMatch(userCss, /^\s*#related \{/m);
+  assert.match(userCss, /\/\* Not exported, only applies to some pages \(exact \/watch\): #related \*\//);
+});
+
+test('the userscript keeps scoped rules with a pattern for their pages', () => {
+  const script = RuleExporters.toUserscript(domains);
+  const rules = JSON.parse(script.match(/const RULES = (\[[\s\S]*?\n {2}\]);/)[1]);
+
+  assert.deepEqual(rules[0].hide.map(item => [item.selector, item.scope || null]), [
+    ['#masthead-ad', null],
+    ['#related', { pattern: '^/watch/*$', query: false }]
+  ]);
+});
+
+test('userscript patterns match the same pages as the extension', () => {
+  const scopes = [
+    { type: 'exact', value: '/watch' },
+    { type: 'exact', value: '/' },
+    { type: 'prefix', value: '/shorts/' },
+    { type: 'glob', value: '/watch?v=*' },
+    { type: 'regex', value: '^/(c|channel)/' }
+  ];
+  const urls = ['/', '/watch', '/watch/', '/watch?v=1', '/watchlist', '/shorts/x', '/shorts', '/c/name', '/channel/id', '/about']
+    .map(path => `https://www.youtube.com${path}`);
+
+  scopes.forEach(scope => {
+    const { pattern, query } = RuleExporters.toScopePattern(scope);
+    urls.forEach(url => {
+      const { pathname, search } = new URL(url);
+      assert.equal(new RegExp(pattern).test(pathname + (query ? search : '')), UrlScope.matches(scope, url), `${scope.type} ${scope.value} on ${url}`);
+    });
+  });
+});
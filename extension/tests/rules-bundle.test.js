@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+// Selectors are only syntax-checked by the browser; every selector parses here
+const document = { createDocumentFragment: () => ({ querySelector: () => null }) };
+
+const lookup = loadScripts([
+  'utils/rule-model.js',
+  'utils/url-scope.js',
+  'utils/domain-model.js',
+  'utils/storage-migrations.js',
+  'utils/rules-bundle.js'
+], { document });
+const RulesBundle = lookup('RulesBundle');
+
+const rule = (id, selector, action = 'hide') => ({ id, selector, action, enabled: true, mode: 'collapse' });
+
+test('switched off shared rules are exported and imported with the rules', () => {
+  const bundle = RulesBundle.create({
+    '*': { hidden: [rule('global', '.ad')], removedElements: [] },
+    'example.com': { hidden: [], removedElements: [], disabledGlobalRules: ['global'] },
+    'empty.com': { hidden: [], removedElements: [] }
+  });
+
+  assert.deepEqual(Object.keys(bundle.domains), ['*', 'example.com']);
+  assert.deepEqual(bundle.domains['example.com'].disabledGlobalRules, ['global']);
+
+  const parsed = RulesBundle.parse(RulesBundle.stringify(bundle));
+  assert.deepEqual(parsed.domains['example.com'].disabledGlobalRules, ['global']);
+  assert.equal('disabledGlobalRules' in parsed.domains['*'], false);
+
+  const changed = RulesBundle.apply(parsed, {});
+  assert.deepEqual(changed['example.com'].disabledGlobalRules, ['global']);
+});
+
+test('imported switched off rules follow global rules matched by selector', () => {
+  const bundle = RulesBundle.parse(JSON.stringify(RulesBundle.create({
+    '*': { hidden: [rule('incoming', '.ad')], removedElements: [] },
+    'example.com': { hidden: [], removedElements: [], disabledGlobalRules: ['incoming'] }
+  })));
+
+  const changed = RulesBundle.apply(bundle, {
+    '*': { hidden: [rule('stored', '.ad')], removedElements: [] },
+    'example.com': { hidden: [], removedElements: [], disabledGlobalRules: ['other'] }
+  });
+
+  assert.deepEqual(changed['*'].hidden.map(item => item.id), ['stored']);
+  assert.deepEqual(changed['example.com'].disabledGlobalRules, ['other', 'stored']);
+});
+
+test('malformed switched off rule lists are rejected', () => {
+  const bundle = RulesBundle.create({ 'example.com': { hidden: [rule('a', '.a')], removedElements: [] } });
+  bundle.domains['example.com'].disabledGlobalRules = [42];
+
+  assert.throws(() => RulesBundle.parse(JSON.stringify(bundle)), /disabledGlobalRules/);
+});
+
+test('bundles from a newer schema are refused with a message for the user', () => {
+  const bundle = RulesBundle.create({ 'example.com': { hidden: [rule('a', '.a')], removedElements: [] } });
+  bundle.schemaVersion += 1;
+
+  assert.throws(() => RulesBundle.parse(JSON.stringify(bundle)), /versión más reciente de HideThis/);
+});
+
+test('bundles whose rules fail to migrate are refused with a message for the user', () => {
+  const bundle = RulesBundle.create({});
+  bundle.schemaVersion = 1;
+  bundle.domains = { 'example.com': { hidden: [], removedElements: [null] } };
+
+  assert.throws(() => RulesBundle.parse(JSON.stringify(bundle)), /no se pudieron actualizar/);
+});
+
+test('rules with unsafe ids or unknown modes and removal types are rejected', () => {
+  const parse = domainData => RulesBundle.parse(JSON.stringify({
+    ...RulesBundle.create({}),
+    domains: { 'example.com': { hidden: [], removedElements: [], ...domainData } }
+  }));
+
+  assert.throws(() => parse({ hidden: [rule('"><img src=x onerror=alert(1)>', '.a')] }), /Id de regla/);
+  assert.throws(() => parse({ hidden: [{ ...rule('a', '.a'), mode: 'explode' }] }), /Modo/);
+  assert.throws(() => parse({ removedElements: [{ ...rule('a', '.a', 'remove'), type: 'nuke' }] }), /Tipo de eliminación/);
+  assert.throws(() => parse({ disabledGlobalRules: ['<b>'] }), /disabledGlobalRules/);
+  assert.equal(parse({ removedElements: [{ ...rule('a', '.a', 'remove'), type: 'class' }] }).domains['example.com'].removedElements.length, 1);
+});
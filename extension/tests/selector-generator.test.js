@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+// The script registers itself on window when there is no module system
+const lookup = loadScripts(['utils/selector-generator.js'], { window: {} });
+const SelectorGenerator = lookup('SelectorGenerator');
+
+test('positional paths are told apart from selectors that can be shared', () => {
+  [
+    'body > div:nth-of-type(3) > div:nth-of-type(2)',
+    'ul > li:nth-child(2)',
+    'li:NTH-LAST-OF-TYPE(1)'
+  ].forEach(selector => {
+    assert.equal(SelectorGenerator.isStructuralSelector(selector), true, selector);
+  });
+
+  ['.ad-banner', '#sidebar', 'div[data-testid="promo"]', 'aside.sponsored > a'].forEach(selector => {
+    assert.equal(SelectorGenerator.isStructuralSelector(selector), false, selector);
+  });
+});
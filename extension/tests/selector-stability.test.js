@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+// The script registers itself on window when there is no module system
+const lookup = loadScripts(['utils/selector-stability.js'], { window: {} });
+const SelectorStability = lookup('SelectorStability');
+
+test('underscore-prefixed words are not taken for CSS module hashes', () => {
+  ['_header', '_sidebar', '_footer_', '__next', '_navBar', '_Header'].forEach(className => {
+    assert.equal(SelectorStability.isStableClass(className), true, className);
+  });
+});
+
+test('short CSS module hashes with a digit or mixed case are unstable', () => {
+  ['_3xKq9', '_1a2b3', '_kBwQCj', '_aBcDe'].forEach(className => {
+    assert.equal(SelectorStability.isStableClass(className), false, className);
+  });
+});
+
+test('words with few vowels are not taken for random strings', () => {
+  ['strength', 'rhythm', 'Strengths', 'lengths', 'card-strength'].forEach(token => {
+    assert.equal(SelectorStability.looksRandom(token.split('-').pop()), false, token);
+    assert.ok(SelectorStability.scoreToken(token) >= SelectorStability.MIN_STABLE_SCORE, token);
+  });
+});
+
+test('random strings are still unstable', () => {
+  ['xkcdq', 'bgtrzp', 'kBwQCj', 'a8f2e1'].forEach(segment => {
+    assert.equal(SelectorStability.looksRandom(segment), true, segment);
+  });
+  ['css-1x9f3k', 'sc-abc123', 'Button_root__a1b2c', 'qzxwvtk'].forEach(className => {
+    assert.equal(SelectorStability.isStableClass(className), false, className);
+  });
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, createChromeStorage } from './helpers/load-scripts.js';
+
+const lookup = loadScripts([
+  'utils/rule-model.js',
+  'utils/url-scope.js',
+  'utils/domain-model.js',
+  'utils/storage-migrations.js',
+  'utils/storage-manager.js'
+]);
+const StorageManager = lookup('StorageManager');
+const StorageMigrations = lookup('StorageMigrations');
+
+const URL = 'https://example.com/page';
+
+test('loads data stored by a newer build read-only instead of failing', async () => {
+  const newer = StorageMigrations.CURRENT_VERSION + 1;
+  const stored = { 'example.com': { hidden: [{ id: 'a', selector: '.ad', futureField: true }], removedElements: [] } };
+  globalThis.chrome = createChromeStorage({ hidethis_data: stored, hidethis_schema_version: newer });
+
+  const manager = new StorageManager();
+  await manager.init();
+
+  assert.equal(manager.readOnly, true);
+  assert.deepEqual((await manager.getHiddenRules(URL)).map(rule => rule.id), ['a']);
+  await assert.rejects(manager.addHiddenElement('.banner', URL), /read-only/);
+  assert.deepEqual(chrome.data.hidethis_data, stored);
+  assert.equal(chrome.data.hidethis_schema_version, newer);
+});
+
+test('tabs migrating the same payload at once agree on rule ids', async () => {
+  globalThis.chrome = createChromeStorage({
+    hidethis_data: { 'example.com': { hidden: ['.ad'], removedElements: ['.banner'] } },
+    hidethis_schema_version: 1
+  });
+
+  const first = new StorageManager();
+  const second = new StorageManager();
+  await Promise.all([first.init(), second.init()]);
+
+  const ids = async manager => [
+    ...(await manager.getHiddenRules(URL)),
+    ...(await manager.getRemovalRules(URL))
+  ].map(rule => rule.id);
+
+  assert.deepEqual(await ids(first), await ids(second));
+  assert.deepEqual(
+    chrome.data.hidethis_data['example.com'].hidden.map(rule => rule.id),
+    (await first.getHiddenRules(URL)).map(rule => rule.id)
+  );
+  assert.equal(chrome.data.hidethis_schema_version, StorageMigrations.CURRENT_VERSION);
+});
+
+test('clearing a site keeps wildcard, group and global rules for sibling sites', async () => {
+  const rule = (id, selector) => ({ id, selector, action: 'hide', enabled: true, mode: 'collapse' });
+  globalThis.chrome = createChromeStorage({
+    hidethis_data: {
+      '*': { hidden: [rule('global', '.global')], removedElements: [] },
+      '*.example.com': { hidden: [rule('wildcard', '.wildcard')], removedElements: [] },
+      'a.example.com,b.example.com': { hidden: [rule('group', '.group')], removedElements: [] },
+      'a.example.com': { hidden: [rule('host', '.host')], removedElements: [] }
+    },
+    hidethis_schema_version: StorageMigrations.CURRENT_VERSION
+  });
+
+  const manager = new StorageManager();
+  const siteA = 'https://a.example.com/';
+  const siteB = 'https://b.example.com/';
+
+  assert.equal(await manager.clearHiddenElements(siteA), 4);
+
+  assert.deepEqual(await manager.getHiddenRules(siteA), []);
+  assert.deepEqual((await manager.getHiddenRules(siteB)).map(rule => rule.id).sort(), ['global', 'group', 'wildcard']);
+  assert.deepEqual(chrome.data.hidethis_data['*.example.com'].hidden.map(rule => rule.id), ['wildcard']);
+  assert.deepEqual(chrome.data.hidethis_data['a.example.com,b.example.com'].hidden.map(rule => rule.id), ['group']);
+  assert.deepEqual(chrome.data.hidethis_data['a.example.com'].hidden, []);
+  assert.deepEqual((await manager.getDisabledGlobalRules('hidden', siteA)).map(rule => rule.id).sort(), ['global', 'group', 'wildcard']);
+
+  assert.equal(await manager.setGlobalRuleDisabled('wildcard', false, siteA), true);
+  assert.deepEqual((await manager.getHiddenRules(siteA)).map(rule => rule.id), ['wildcard']);
+});
+
+test('a write from another tab landing before ours is merged instead of overwritten', async () => {
+  globalThis.chrome = createChromeStorage({
+    hidethis_data: {},
+    hidethis_schema_version: StorageMigrations.CURRENT_VERSION
+  });
+
+  const ours = new StorageManager();
+  const theirs = new StorageManager();
+  await Promise.all([ours.init(), theirs.init()]);
+
+  const changes = [];
+  ours.subscribe(change => changes.push(change));
+
+  await Promise.all([
+    theirs.addHiddenElement('.theirs', URL),
+    ours.addHiddenElement('.ours', URL)
+  ]);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const stored = chrome.data.hidethis_data['example.com'].hidden.map(rule => rule.selector).sort();
+  assert.deepEqual(stored, ['.ours', '.theirs']);
+  assert.deepEqual((await ours.getHiddenRules(URL)).map(rule => rule.selector).sort(), ['.ours', '.theirs']);
+  assert.deepEqual(changes.map(change => change.hidden.added.map(rule => rule.selector)), [['.theirs']]);
+  assert.deepEqual(ours.pendingWrites, []);
+});
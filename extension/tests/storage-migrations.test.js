@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.js';
+
+const lookup = loadScripts(['utils/rule-model.js', 'utils/storage-migrations.js']);
+const RuleModel = lookup('RuleModel');
+const StorageMigrations = lookup('StorageMigrations');
+
+const step = version => StorageMigrations.MIGRATIONS.find(migration => migration.version === version);
+
+test('v0 to v1 turns removedClasses into removedElements and drops invalidatedCSS', () => {
+  const migrated = step(1).migrate({
+    'example.com': {
+      hidden: ['.ad', 42, null],
+      removedClasses: ['.banner', { selector: '#popup' }, '.banner'],
+      removedElements: [{ selector: '.banner', type: 'class', count: 3 }],
+      invalidatedCSS: ['.x']
+    }
+  });
+
+  const domainData = migrated['example.com'];
+  assert.deepEqual(domainData.hidden, ['.ad']);
+  assert.equal('removedClasses' in domainData, false);
+  assert.equal('invalidatedCSS' in domainData, false);
+  assert.deepEqual(domainData.removedElements.map(entry => [entry.selector, entry.type]), [
+    ['.banner', 'class'],
+    ['#popup', 'id']
+  ]);
+});
+
+test('v1 to v2 turns stored entries into rules and keeps existing rules', () => {
+  const existing = RuleModel.create('.kept', RuleModel.ACTIONS.HIDE, { mode: 'dim' });
+  const migrated = step(2).migrate({
+    'example.com': {
+      hidden: ['.ad', existing],
+      removedElements: ['.banner', { selector: 'div > p', count: 2, timestamp: 1000 }],
+      fingerprints: { '.ad': { tag: 'div' } }
+    }
+  });
+
+  const { hidden, removedElements, fingerprints } = migrated['example.com'];
+  assert.equal(fingerprints, undefined);
+  assert.equal(hidden.length, 2);
+  assert.ok(RuleModel.isRule(hidden[0]));
+  assert.equal(hidden[0].action, RuleModel.ACTIONS.HIDE);
+  assert.deepEqual(hidden[0].fingerprint, { tag: 'div' });
+  assert.deepEqual(hidden[1], existing);
+
+  assert.deepEqual(removedElements.map(rule => [rule.selector, rule.action, rule.type, rule.count]), [
+    ['.banner', RuleModel.ACTIONS.REMOVE, 'class', 0],
+    ['div > p', RuleModel.ACTIONS.REMOVE, 'complex', 2]
+  ]);
+  assert.equal(removedElements[1].createdAt, 1000);
+  assert.equal(removedElements[1].updatedAt, 1000);
+});
+
+test('v1 to v2 gives the same ids every time it runs on the same payload', () => {
+  const payload = {
+    'example.com': { hidden: ['.ad', '.ad'], removedElements: ['.banner'] },
+    'other.com': { hidden: ['.ad'], removedElements: [] }
+  };
+
+  const first = step(2).migrate(payload);
+  const second = step(2).migrate(payload);
+  const ids = data => Object.values(data).flatMap(domainData =>
+    [...domainData.hidden, ...domainData.removedElements].map(rule => rule.id));
+
+  assert.deepEqual(ids(first), ids(second));
+  assert.equal(new Set(ids(first)).size, 4);
+  ids(first).forEach(id => assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/));
+});
+
+test('v2 to v3 gives hide rules the default mode and keeps known modes', () => {
+  const migrated = step(3).migrate({
+    'example.com': {
+      hidden: [
+        { id: 'a', selector: '.a' },
+        { id: 'b', selector: '.b', mode: 'blur' },
+        { id: 'c', selector: '.c', mode: 'unknown' }
+      ],
+      removedElements: []
+    }
+  });
+
+  assert.deepEqual(migrated['example.com'].hidden.map(rule => rule.mode), [
+    RuleModel.DEFAULT_HIDE_MODE,
+    'blur',
+    RuleModel.DEFAULT_HIDE_MODE
+  ]);
+});
+
+test('run applies every step newer than the stored version without touching its input', () => {
+  const payload = { 'example.com': { hidden: ['.ad'], removedClasses: ['.banner'] } };
+  const snapshot = JSON.parse(JSON.stringify(payload));
+
+  const { data, version, applied } = StorageMigrations.run(payload, 0);
+
+  assert.deepEqual(payload, snapshot);
+  assert.equal(version, StorageMigrations.CURRENT_VERSION);
+  assert.deepEqual(applied, StorageMigrations.MIGRATIONS.map(migration => migration.version));
+  assert.equal(data['example.com'].hidden[0].mode, RuleModel.DEFAULT_HIDE_MODE);
+  assert.equal(data['example.com'].removedElements[0].selector, '.banner');
+});
+
+test('run applies nothing to a payload at the current version', () => {
+  const payload = { 'example.com': { hidden: [], removedElements: [] } };
+  const { data, applied } = StorageMigrations.run(payload, StorageMigrations.CURRENT_VERSION);
+
+  assert.deepEqual(applied, []);
+  assert.deepEqual(data, payload);
+});
+
+test('run refuses a payload newer than the supported version', () => {
+  const newer = StorageMigrations.CURRENT_VERSION + 1;
+
+  assert.equal(StorageMigrations.isNewer(newer), true);
+  assert.equal(StorageMigrations.isNewer(StorageMigrations.CURRENT_VERSION), false);
+  assert.throws(() => StorageMigrations.run({}, newer), /newer than supported/);
+});
+
+test('run reports the step that failed', () => {
+  assert.throws(
+    () => StorageMigrations.run({ 'example.com': { hidden: [], removedElements: [null] } }, 1),
+    /Migration to schema version 2 failed/
+  );
+});
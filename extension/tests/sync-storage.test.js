@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, createChromeStorage } from './helpers/load-scripts.js';
+
+const lookup = loadScripts([
+  'utils/rule-model.js',
+  'utils/url-scope.js',
+  'utils/domain-model.js',
+  'utils/storage-migrations.js',
+  'utils/storage-manager.js',
+  'utils/sync-storage.js'
+], { TextEncoder });
+const StorageManager = lookup('StorageManager');
+const StorageMigrations = lookup('StorageMigrations');
+const SyncStorageBackend = lookup('SyncStorageBackend');
+
+const remoteItems = (domain, domainData, meta = {}) => {
+  const json = JSON.stringify(domainData);
+  return {
+    [SyncStorageBackend.getChunkKey(domain, 0)]: json,
+    [SyncStorageBackend.getMetaKey(domain)]: { chunks: 1, length: json.length, updatedAt: 1, omitted: false, ...meta }
+  };
+};
+
+const createBackend = () => {
+  const storageManager = new StorageManager();
+  return { storageManager, backend: new SyncStorageBackend(storageManager) };
+};
+
+test('remote payloads are migrated and synced back with their schema version', async () => {
+  const rule = { id: 'a', selector: '.ad', action: 'hide', enabled: true, createdAt: 1, updatedAt: 1 };
+  globalThis.chrome = createChromeStorage(
+    { hidethis_data: {}, hidethis_schema_version: StorageMigrations.CURRENT_VERSION },
+    remoteItems('example.com', { hidden: [rule], removedElements: [] })
+  );
+
+  const { backend } = createBackend();
+  const status = await backend.sync();
+
+  assert.equal(status.state, SyncStorageBackend.STATUS.OK);
+  assert.deepEqual(chrome.data.hidethis_data['example.com'].hidden.map(item => [item.id, item.mode]), [['a', 'collapse']]);
+  assert.equal(chrome.data.hidethis_schema_version, StorageMigrations.CURRENT_VERSION);
+  assert.equal(chrome.syncData[SyncStorageBackend.getMetaKey('example.com')].schemaVersion, StorageMigrations.CURRENT_VERSION);
+});
+
+test('domains synced by a newer build are left untouched on both sides', async () => {
+  const newerItems = remoteItems('example.com', { hidden: [{ id: 'b', selector: '.b' }], removedElements: [] }, {
+    schemaVersion: StorageMigrations.CURRENT_VERSION + 1
+  });
+  const localRule = { id: 'a', selector: '.ad', action: 'hide', enabled: true, mode: 'collapse', createdAt: 1, updatedAt: 1 };
+  globalThis.chrome = createChromeStorage(
+    { hidethis_data: { 'example.com': { hidden: [localRule], removedElements: [] } }, hidethis_schema_version: StorageMigrations.CURRENT_VERSION },
+    newerItems
+  );
+
+  const { backend } = createBackend();
+  await backend.sync();
+
+  assert.deepEqual(chrome.syncData, newerItems);
+  assert.deepEqual(chrome.data.hidethis_data['example.com'].hidden.map(item => item.id), ['a']);
+});
+
+test('rules pulled by sync reach the tabs as changes made elsewhere', async () => {
+  const rule = { id: 'a', selector: '.ad', action: 'hide', enabled: true, mode: 'collapse', createdAt: 1, updatedAt: 1 };
+  globalThis.chrome = createChromeStorage(
+    { hidethis_data: {}, hidethis_schema_version: StorageMigrations.CURRENT_VERSION },
+    remoteItems('example.com', { hidden: [rule], removedElements: [] }, { schemaVersion: StorageMigrations.CURRENT_VERSION })
+  );
+
+  const tab = new StorageManager();
+  await tab.init();
+  const changes = [];
+  tab.subscribe(change => changes.push(change));
+
+  const { storageManager, backend } = createBackend();
+  await backend.sync();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.deepEqual(changes.map(change => change.hidden.added.map(item => item.id)), [['a']]);
+  assert.deepEqual(storageManager.pendingWrites, []);
+  await backend.disable();
+});
+
+test('shared rules switched off on one device reach the others and can be switched back on', async () => {
+  const rule = { id: 'a', selector: '.ad', action: 'hide', enabled: true, mode: 'collapse', createdAt: 1, updatedAt: 1 };
+  const remoteData = { hidden: [], removedElements: [], disabledGlobalRules: ['g'] };
+  globalThis.chrome = createChromeStorage(
+    { hidethis_data: { 'example.com': { hidden: [rule], removedElements: [] } }, hidethis_schema_version: StorageMigrations.CURRENT_VERSION },
+    remoteItems('example.com', remoteData, { schemaVersion: StorageMigrations.CURRENT_VERSION })
+  );
+
+  const { backend } = createBackend();
+  await backend.sync();
+
+  const synced = () => JSON.parse(chrome.syncData[SyncStorageBackend.getChunkKey('example.com', 0)]);
+  assert.deepEqual(chrome.data.hidethis_data['example.com'].disabledGlobalRules, ['g']);
+  assert.deepEqual(synced().disabledGlobalRules, ['g']);
+  assert.deepEqual(synced().hidden.map(item => item.id), ['a']);
+
+  // Switched back on elsewhere: gone from the remote while the base still has it
+  Object.assign(chrome.syncData, remoteItems('example.com', { ...synced(), disabledGlobalRules: [] }, {
+    schemaVersion: StorageMigrations.CURRENT_VERSION
+  }));
+  await backend.sync();
+
+  assert.equal(chrome.data.hidethis_data['example.com'].disabledGlobalRules, undefined);
+  assert.equal(synced().disabledGlobalRules, undefined);
+  await backend.disable();
+});
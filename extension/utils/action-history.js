@@ -0,0 +1,263 @@
+/**
+ * ActionHistory - Undo/redo stack for rule changes on one domain
+ * Each entry is the difference between the rules applying to the domain before
+ * and after an action, per domain target (see DomainModel):
+ * { id, label, timestamp, domains: { target: { hidden: { added, removed, updated }, removedElements: {...}, exceptions: {...},
+ *   disabledGlobalRules: { added, removed } } } }
+ * where updated holds [before, after] pairs and disabledGlobalRules holds rule ids. Undo and redo write the rules back
+ * through a separate StorageManager, so ElementSelector and DomAttrsRemover apply
+ * the page changes through their storage subscriptions like any other change.
+ * The background service worker keeps the stacks of the sending page's domain in chrome.storage.session,
+ * so they survive reloads but not the browser session
+ */
+class ActionHistory {
+  /**
+   * Maximum number of undo steps kept per domain
+   */
+  static MAX_ENTRIES = 50;
+
+  /**
+   * Rule lists tracked by the history
+   */
+  static LISTS = ['hidden', 'removedElements', 'exceptions'];
+
+  constructor() {
+    this.storageManager = new StorageManager();
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Load the storage manager and the persisted stacks
+   */
+  async init() {
+    await this.storageManager.init();
+    await this.loadStacks();
+  }
+
+  /**
+   * Get a fresh copy of the rules of every domain target applying to the page
+   * Reads storage instead of the cache, since other StorageManager instances may have just written
+   * @returns {Object} { target: { hidden, removedElements } }
+   */
+  async snapshot() {
+    await this.storageManager.loadFromStorage();
+    
+    const data = {};
+    for (const target of this.storageManager.getApplicableDomains()) {
+      data[target] = await this.storageManager.getDomainData(target);
+    }
+    return data;
+  }
+
+  /**
+   * Record the changes made since a snapshot as one undo step
+   * @param {string} label - User-facing (Spanish) description of the action
+   * @param {Object} before - Snapshot taken before the action
+   * @returns {Object|null} Recorded entry, or null if nothing changed
+   */
+  async record(label, before) {
+    const after = await this.snapshot();
+    const domains = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(target => {
+      const changes = ActionHistory.diff(before[target] || {}, after[target] || {});
+      if (!ActionHistory.isEmpty(changes)) {
+        domains[target] = changes;
+      }
+    });
+    if (Object.keys(domains).length === 0) return null;
+
+    const entry = {
+      id: RuleModel.generateId(),
+      label,
+      timestamp: Date.now(),
+      domains
+    };
+
+    await this.loadStacks();
+    this.undoStack.push(entry);
+    this.undoStack = this.undoStack.slice(-ActionHistory.MAX_ENTRIES);
+    this.redoStack = [];
+    await this.saveStacks();
+
+    console.log('[History] 📝 Recorded:', label);
+    return entry;
+  }
+
+  /**
+   * Revert the latest action
+   * @returns {Object|null} Undone entry, or null if there is nothing to undo
+   */
+  async undo() {
+    await this.loadStacks();
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    await this.applyEntry(entry, true);
+    this.redoStack.push(entry);
+    await this.saveStacks();
+
+    console.log('[History] ↩️ Undone:', entry.label);
+    return entry;
+  }
+
+  /**
+   * Apply the latest undone action again
+   * @returns {Object|null} Redone entry, or null if there is nothing to redo
+   */
+  async redo() {
+    await this.loadStacks();
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    await this.applyEntry(entry, false);
+    this.undoStack.push(entry);
+    await this.saveStacks();
+
+    console.log('[History] ↪️ Redone:', entry.label);
+    return entry;
+  }
+
+  /**
+   * Describe what undo and redo would do, for the popup buttons
+   * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}} State
+   */
+  async getState() {
+    await this.loadStacks();
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+    return {
+      canUndo: !!lastUndo,
+      canRedo: !!lastRedo,
+      undoLabel: lastUndo ? lastUndo.label : null,
+      redoLabel: lastRedo ? lastRedo.label : null
+    };
+  }
+
+  /**
+   * Write an entry's rules back to storage in either direction
+   * Rules keep their ids, so re-added rules are the same rules as before
+   * @param {Object} entry - History entry
+   * @param {boolean} reverse - True to undo, false to redo
+   */
+  async applyEntry(entry, reverse) {
+    await this.storageManager.loadFromStorage();
+    const result = {};
+
+    for (const [target, changes] of Object.entries(entry.domains)) {
+      const current = await this.storageManager.getDomainData(target);
+      result[target] = {};
+
+      ActionHistory.LISTS.forEach(list => {
+        const { added, removed, updated } = changes[list];
+        const toDrop = reverse ? added : removed;
+        const toAdd = reverse ? removed : added;
+        const replacements = new Map(updated.map(([before, after]) => [before.id, reverse ? before : after]));
+        const dropIds = new Set(toDrop.map(rule => rule.id));
+
+        const rules = current[list]
+          .filter(rule => !dropIds.has(rule.id))
+          .map(rule => replacements.has(rule.id) ? { ...replacements.get(rule.id) } : rule);
+
+        toAdd.forEach(rule => {
+          if (!rules.some(item => item.id === rule.id)) {
+            rules.push({ ...rule });
+          }
+        });
+
+        result[target][list] = rules;
+      });
+
+      const { added, removed } = changes.disabledGlobalRules;
+      const dropIds = reverse ? added : removed;
+      result[target].disabledGlobalRules = [
+        ...current.disabledGlobalRules.filter(id => !dropIds.includes(id)),
+        ...(reverse ? removed : added).filter(id => !current.disabledGlobalRules.includes(id))
+      ];
+    }
+
+    await this.storageManager.setDomainsData(result);
+  }
+
+  /**
+   * Load both stacks from the background service worker
+   * Other tabs on the same domain share the history, so this runs before every change
+   */
+  async loadStacks() {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.GET_HISTORY_STACKS);
+      if (!response.success) throw new Error(response.error);
+
+      this.undoStack = response.undo;
+      this.redoStack = response.redo;
+    } catch (error) {
+      console.warn('[History] ⚠️ Could not load history, keeping it in memory:', error.message);
+    }
+  }
+
+  /**
+   * Hand both stacks to the background service worker to keep
+   */
+  async saveStacks() {
+    try {
+      const response = await MessageHandler.sendToBackground(MessageProtocol.ACTIONS.SAVE_HISTORY_STACKS, {
+        undo: this.undoStack,
+        redo: this.redoStack
+      });
+      if (!response.success) throw new Error(response.error);
+    } catch (error) {
+      console.warn('[History] ⚠️ Could not save history, keeping it in memory:', error.message);
+    }
+  }
+
+  /**
+   * Compare two snapshots of a domain's rules by id
+   * @param {Object} before - { hidden, removedElements, disabledGlobalRules } before the action
+   * @param {Object} after - { hidden, removedElements, disabledGlobalRules } after the action
+   * @returns {Object} { hidden: { added, removed, updated }, removedElements: {...}, disabledGlobalRules: { added, removed } }
+   */
+  static diff(before, after) {
+    const changes = {};
+
+    this.LISTS.forEach(list => {
+      const beforeById = new Map((before[list] || []).map(rule => [rule.id, rule]));
+      const afterById = new Map((after[list] || []).map(rule => [rule.id, rule]));
+
+      changes[list] = {
+        added: [...afterById.values()].filter(rule => !beforeById.has(rule.id)),
+        removed: [...beforeById.values()].filter(rule => !afterById.has(rule.id)),
+        updated: [...afterById.values()]
+          .filter(rule => beforeById.has(rule.id) && JSON.stringify(beforeById.get(rule.id)) !== JSON.stringify(rule))
+          .map(rule => [beforeById.get(rule.id), rule])
+      };
+    });
+
+    const beforeIds = before.disabledGlobalRules || [];
+    const afterIds = after.disabledGlobalRules || [];
+    changes.disabledGlobalRules = {
+      added: afterIds.filter(id => !beforeIds.includes(id)),
+      removed: beforeIds.filter(id => !afterIds.includes(id))
+    };
+
+    return changes;
+  }
+
+  /**
+   * Checks if a diff contains any change
+   * @param {Object} changes - Output of diff()
+   * @returns {boolean} True if nothing changed
+   */
+  static isEmpty(changes) {
+    return this.LISTS.every(list =>
+      changes[list].added.length + changes[list].removed.length + changes[list].updated.length === 0
+    ) && changes.disabledGlobalRules.added.length + changes.disabledGlobalRules.removed.length === 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionHistory;
+} else if (typeof window !== 'undefined') {
+  window.ActionHistory = ActionHistory;
+}
@@ -1,34 +1,8 @@
 /**
  * Centralized constants and configurations for HideThis extension
+ * (message actions are declared in MessageProtocol)
  */
 const Constants = {
-  // Available actions in the extension
-  ACTIONS: {
-    PING: 'ping',
-    PING_CONTENT_SCRIPT: 'ping',
-    TOGGLE_SELECTOR: 'toggleSelector',
-    GET_SELECTOR_STATE: 'getSelectorState',
-    TOGGLE_VISIBILITY: 'toggleVisibility',
-    CLEAR_ALL: 'clearAll',
-    GET_HIDDEN_COUNT: 'getHiddenCount',
-    ELEMENT_HIDDEN: 'elementHidden',
-    ELEMENTS_CLEARED: 'elementsCleared',
-    CONTENT_SCRIPT_LOADED: 'contentScriptLoaded',
-    CONTENT_SCRIPT_READY: 'contentScriptReady',
-    UPDATE_COUNT: 'updateCount',
-    TEST: 'test',
-    
-    // Element removal actions
-    REMOVE_ELEMENTS: 'removeElements',
-    REMOVE_BLUR_FILTER: 'removeBlurFilter',
-    CLEAR_REMOVED_ELEMENTS: 'clearRemovedElements',
-    GET_REMOVED_ELEMENTS_COUNT: 'getRemovedElementsCount',
-    
-    // List management actions
-    GET_HIDDEN_ELEMENTS_LIST: 'getHiddenElementsList',
-    REMOVE_HIDDEN_ELEMENT: 'removeHiddenElement'
-  },
-
   // CSS selectors for UI elements
   SELECTORS: {
     TOGGLE_SELECTOR_BTN: '#toggleSelector',
@@ -55,6 +29,24 @@ const Constants = {
     INVALIDATED_STYLE: 'hidethis-invalidated-style'
   },
 
+  // Labels for RuleModel.HIDE_MODES, in the order they are offered
+  HIDE_MODE_LABELS: {
+    collapse: 'Ocultar por completo',
+    invisible: 'Invisible (mantiene el espacio)',
+    dim: 'Atenuar',
+    blur: 'Difuminar',
+    placeholder: 'Barra para mostrar'
+  },
+
+  // Labels for UrlScope.TYPES, in the order they are offered
+  SCOPE_LABELS: {
+    domain: 'Todo el dominio',
+    exact: 'Solo esta ruta',
+    prefix: 'Rutas que empiezan por',
+    glob: 'Patrón (* y ?)',
+    regex: 'Expresión regular'
+  },
+
   // Extension configuration
   CONFIG: {
     HEARTBEAT_DELAY: 500,
@@ -64,6 +56,9 @@ const Constants = {
     SELECTION_CONTROLS_Z_INDEX: 1000002,
     MAX_ELEMENT_HIERARCHY_DEPTH: 10,
     DEBOUNCE_DELAY: 100,
+    REMATCH_DELAY: 2000,
+    UNDO_TOAST_DURATION: 6000,
+    URL_CHECK_INTERVAL: 1000,
     CSS_INVALIDATION_STYLE_ID: 'hidethis-css-invalidation'
   },
 
@@ -244,7 +239,7 @@ const Constants = {
 // Helper function to get site configuration
 Constants.getSiteConfig = function(hostname) {
   for (const [site, config] of Object.entries(this.SITE_CONFIGS)) {
-    if (hostname.includes(site)) {
+    if (DomainModel.isSubdomainOf(hostname, site)) {
       return config;
     }
   }
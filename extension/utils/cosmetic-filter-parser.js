@@ -0,0 +1,247 @@
+/**
+ * CosmeticFilterParser - Parses uBlock Origin / AdBlock cosmetic filter lists
+ * Supported: "domain.com##selector", "a.com,b.com##selector", "~a.com##selector",
+ * generic "##selector" and "#@#" exceptions. Everything else is reported as skipped
+ */
+class CosmeticFilterParser {
+  /**
+   * Cosmetic separators that HideThis can't express, with the reason reported for them
+   */
+  static UNSUPPORTED_SEPARATORS = [
+    { separator: '#@?#', reason: 'Excepción de filtro procedural' },
+    { separator: '#@$#', reason: 'Excepción de inyección CSS/script' },
+    { separator: '#$?#', reason: 'Inyección CSS procedural' },
+    { separator: '#?#', reason: 'Filtro procedural' },
+    { separator: '#$#', reason: 'Inyección CSS o snippet' },
+    { separator: '#%#', reason: 'Script de AdGuard' },
+    { separator: '#@%#', reason: 'Excepción de script de AdGuard' },
+    { separator: '$$', reason: 'Filtro HTML' },
+    { separator: '$@$', reason: 'Excepción de filtro HTML' }
+  ];
+
+  /**
+   * uBO/ABP pseudo-classes that aren't valid CSS
+   */
+  static PROCEDURAL_OPERATORS = [
+    ':has-text(', ':xpath(', ':upward(', ':matches-css(', ':matches-css-before(',
+    ':matches-css-after(', ':matches-attr(', ':matches-path(', ':matches-prop(',
+    ':min-text-length(', ':watch-attr(', ':remove(', ':remove-attr(', ':remove-class(',
+    ':style(', ':others(', ':shadow(', ':if(', ':if-not(', ':nth-ancestor(',
+    ':contains(', ':-abp-'
+  ];
+
+  /**
+   * Parses a filter list
+   * @param {string} text - Filter list contents
+   * @returns {{filters: Array<Object>, skipped: Array<Object>}} Parsed cosmetic filters
+   *   ({ selector, domains, excludedDomains, exception, lineNumber }) and skipped lines
+   *   ({ line, lineNumber, reason })
+   */
+  static parse(text) {
+    const filters = [];
+    const skipped = [];
+
+    (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+
+      // Blank lines, comments and list headers ([Adblock Plus 2.0])
+      if (!line || line.startsWith('!') || (line.startsWith('[') && line.endsWith(']'))) return;
+
+      try {
+        filters.push({ ...this.parseLine(line), lineNumber });
+      } catch (error) {
+        skipped.push({ line, lineNumber, reason: error.message });
+      }
+    });
+
+    return { filters, skipped };
+  }
+
+  /**
+   * Parses a single cosmetic filter line
+   * @param {string} line - Trimmed line
+   * @returns {{selector: string, domains: Array<string>, excludedDomains: Array<string>, exception: boolean}} Filter
+   * @throws {Error} With the reason the line is unsupported
+   */
+  static parseLine(line) {
+    const unsupported = this.UNSUPPORTED_SEPARATORS.find(({ separator }) => line.includes(separator));
+    if (unsupported) {
+      throw new Error(unsupported.reason);
+    }
+
+    let separator = null;
+    if (line.includes('#@#')) {
+      separator = '#@#';
+    } else if (line.includes('##')) {
+      separator = '##';
+    } else {
+      throw new Error('Filtro de red (no cosmético)');
+    }
+
+    const separatorIndex = line.indexOf(separator);
+    const domainPart = line.substring(0, separatorIndex);
+    const selector = line.substring(separatorIndex + separator.length).trim();
+
+    if (selector.startsWith('+js(')) {
+      throw new Error('Scriptlet');
+    }
+    if (selector.startsWith('^')) {
+      throw new Error('Filtro HTML');
+    }
+    if (this.PROCEDURAL_OPERATORS.some(operator => selector.includes(operator))) {
+      throw new Error('Filtro procedural');
+    }
+    if (!this.isValidSelector(selector)) {
+      throw new Error('Selector CSS inválido');
+    }
+    if (this.isPageWideSelector(selector)) {
+      throw new Error('Selector demasiado genérico');
+    }
+
+    const { domains, excludedDomains } = this.parseDomains(domainPart);
+
+    return {
+      selector,
+      domains,
+      excludedDomains,
+      exception: separator === '#@#'
+    };
+  }
+
+  /**
+   * Parses the comma-separated domain prefix of a filter
+   * @param {string} domainPart - Text before the separator
+   * @returns {{domains: Array<string>, excludedDomains: Array<string>}} Included and excluded domains
+   * @throws {Error} If a domain can't be matched by HideThis
+   */
+  static parseDomains(domainPart) {
+    const domains = [];
+    const excludedDomains = [];
+
+    domainPart.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean).forEach(domain => {
+      const excluded = domain.startsWith('~');
+      const name = excluded ? domain.substring(1) : domain;
+
+      // Entity (example.*) and regex domains need matching HideThis doesn't do
+      if (name.endsWith('.*') || name.startsWith('/')) {
+        throw new Error('Dominio con comodín o regex');
+      }
+      if (!/^[a-z0-9.-]+$/.test(name)) {
+        throw new Error(`Dominio inválido: ${name}`);
+      }
+
+      (excluded ? excludedDomains : domains).push(name);
+    });
+
+    return { domains, excludedDomains };
+  }
+
+  /**
+   * Resolves parsed filters into hidden selectors per domain target
+   * A filter domain also covers its subdomains, so it is stored under a "*." target.
+   * Generic filters go to the global bucket, and their excluded domains (plus the
+   * domains of matching exceptions) become global rule exceptions for those targets.
+   * Exceptions cancel matching filters from the same list
+   * @param {Array<Object>} filters - Filters from parse()
+   * @returns {{domains: Object, exclusions: Object, generic: number, cancelled: number}}
+   *   { target: [selectors] }, { target: [global selectors to switch off] } and counters
+   */
+  static toDomainSelectors(filters) {
+    const exceptions = filters.filter(filter => filter.exception);
+    const isExcepted = (selector, domain) => exceptions.some(exception =>
+      exception.selector === selector &&
+      (exception.domains.length === 0 || exception.domains.some(item => this.matchesDomain(domain, item))) &&
+      !exception.excludedDomains.some(item => this.matchesDomain(domain, item))
+    );
+
+    const domains = {};
+    const exclusions = {};
+    let generic = 0;
+    let cancelled = 0;
+    const push = (map, target, selector) => {
+      map[target] = map[target] || [];
+      if (!map[target].includes(selector)) {
+        map[target].push(selector);
+      }
+    };
+
+    filters.filter(filter => !filter.exception).forEach(filter => {
+      if (filter.domains.length > 0) {
+        filter.domains.forEach(domain => {
+          if (isExcepted(filter.selector, domain)) {
+            cancelled++;
+            return;
+          }
+          push(domains, this.subdomainsTarget(domain), filter.selector);
+        });
+        return;
+      }
+
+      generic++;
+      const matching = exceptions.filter(exception => exception.selector === filter.selector);
+      if (matching.some(exception => exception.domains.length === 0)) {
+        cancelled++;
+        return;
+      }
+
+      push(domains, DomainModel.GLOBAL_TARGET, filter.selector);
+      [...filter.excludedDomains, ...matching.flatMap(exception => exception.domains)].forEach(domain => {
+        push(exclusions, this.subdomainsTarget(domain), filter.selector);
+      });
+    });
+
+    return { domains, exclusions, generic, cancelled };
+  }
+
+  /**
+   * Checks if a hostname is a filter domain or one of its subdomains
+   * @param {string} hostname - Hostname to check
+   * @param {string} domain - Filter domain
+   * @returns {boolean} True if the filter domain covers the hostname
+   */
+  static matchesDomain(hostname, domain) {
+    return DomainModel.isSubdomainOf(hostname, domain);
+  }
+
+  /**
+   * Target covering a filter domain and its subdomains
+   * @param {string} domain - Filter domain
+   * @returns {string} "*." target, or the domain itself when it is a public suffix
+   */
+  static subdomainsTarget(domain) {
+    const target = `${DomainModel.SUBDOMAINS_PREFIX}${domain}`;
+    return DomainModel.isValidTarget(target) ? target : domain;
+  }
+
+  /**
+   * Checks selector syntax without touching the page
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if the selector parses
+   */
+  static isValidSelector(selector) {
+    if (!selector) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks for selectors that would hide the whole page
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if selector is a bare tag, universal or targets html/body
+   */
+  static isPageWideSelector(selector) {
+    return /^(\*|[a-z][a-z0-9-]*)$/i.test(selector) || /^(html|body)\b/i.test(selector);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CosmeticFilterParser;
+} else if (typeof window !== 'undefined') {
+  window.CosmeticFilterParser = CosmeticFilterParser;
+}
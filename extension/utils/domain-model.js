@@ -0,0 +1,307 @@
+/**
+ * DomainModel - Public-suffix-aware hostnames and the domain targets rules are stored under
+ * A domain target is the key of a rule bucket in StorageManager:
+ *   "www.example.com"          only that host
+ *   "*.example.com"            example.com and all of its subdomains
+ *   "a.com,*.b.org"            a group, any of the listed entries
+ *   "*"                        every site (global rules)
+ * Registrable domains come from an offline subset of the Public Suffix List
+ * (https://publicsuffix.org/list/); suffixes missing from it fall back to the
+ * list's default rule, where only the last label is the public suffix
+ */
+class DomainModel {
+  /**
+   * Public suffixes with more than one label, wildcard rules (*.) and exceptions (!)
+   */
+  static PUBLIC_SUFFIX_RULES = [
+    // Country code second-level domains
+    'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'sch.uk', 'nhs.uk', 'police.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+    'co.nz', 'net.nz', 'org.nz', 'govt.nz', 'ac.nz', 'school.nz',
+    'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'gr.jp', 'ed.jp', 'lg.jp', 'ad.jp',
+    'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'blog.br',
+    'com.ar', 'net.ar', 'org.ar', 'gob.ar', 'edu.ar', 'int.ar',
+    'com.mx', 'net.mx', 'org.mx', 'gob.mx', 'edu.mx',
+    'com.es', 'org.es', 'nom.es', 'gob.es', 'edu.es',
+    'com.co', 'net.co', 'org.co', 'gov.co', 'edu.co', 'nom.co',
+    'gob.cl', 'gov.cl',
+    'com.pe', 'net.pe', 'org.pe', 'gob.pe', 'edu.pe', 'nom.pe',
+    'com.ve', 'net.ve', 'org.ve', 'gob.ve', 'edu.ve',
+    'com.uy', 'net.uy', 'org.uy', 'gub.uy', 'edu.uy',
+    'com.ec', 'net.ec', 'org.ec', 'gob.ec', 'edu.ec',
+    'com.bo', 'net.bo', 'org.bo', 'gob.bo', 'edu.bo',
+    'com.py', 'net.py', 'org.py', 'gov.py', 'edu.py',
+    'com.gt', 'net.gt', 'org.gt', 'gob.gt', 'edu.gt',
+    'co.cr', 'fi.cr', 'or.cr', 'go.cr', 'ac.cr',
+    'com.do', 'net.do', 'org.do', 'gob.do', 'edu.do',
+    'com.sv', 'org.sv', 'gob.sv', 'edu.sv',
+    'com.hn', 'net.hn', 'org.hn', 'gob.hn', 'edu.hn',
+    'com.ni', 'net.ni', 'org.ni', 'gob.ni', 'edu.ni',
+    'com.pa', 'net.pa', 'org.pa', 'gob.pa', 'edu.pa',
+    'com.cu', 'net.cu', 'org.cu', 'gob.cu', 'edu.cu',
+    'com.pt', 'org.pt', 'gov.pt', 'edu.pt',
+    'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in', 'gov.in', 'res.in',
+    'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'ac.cn',
+    'com.hk', 'net.hk', 'org.hk', 'gov.hk', 'edu.hk', 'idv.hk',
+    'com.tw', 'net.tw', 'org.tw', 'gov.tw', 'edu.tw', 'idv.tw',
+    'co.kr', 'ne.kr', 'or.kr', 'go.kr', 'ac.kr', 're.kr',
+    'com.sg', 'net.sg', 'org.sg', 'gov.sg', 'edu.sg',
+    'com.my', 'net.my', 'org.my', 'gov.my', 'edu.my',
+    'co.id', 'or.id', 'go.id', 'ac.id', 'web.id', 'my.id',
+    'co.th', 'or.th', 'go.th', 'ac.th', 'in.th',
+    'com.vn', 'net.vn', 'org.vn', 'gov.vn', 'edu.vn',
+    'com.ph', 'net.ph', 'org.ph', 'gov.ph', 'edu.ph',
+    'com.pk', 'net.pk', 'org.pk', 'gov.pk', 'edu.pk',
+    'co.za', 'net.za', 'org.za', 'gov.za', 'ac.za', 'web.za',
+    'com.ng', 'net.ng', 'org.ng', 'gov.ng', 'edu.ng',
+    'com.eg', 'net.eg', 'org.eg', 'gov.eg', 'edu.eg',
+    'co.il', 'net.il', 'org.il', 'ac.il', 'gov.il', 'muni.il',
+    'com.tr', 'net.tr', 'org.tr', 'gov.tr', 'edu.tr', 'gen.tr',
+    'com.ua', 'net.ua', 'org.ua', 'gov.ua', 'edu.ua', 'in.ua',
+    'com.ru', 'net.ru', 'org.ru', 'pp.ru',
+    'com.pl', 'net.pl', 'org.pl', 'gov.pl', 'edu.pl',
+    'co.at', 'or.at', 'gv.at', 'ac.at',
+    'com.gr', 'net.gr', 'org.gr', 'gov.gr', 'edu.gr',
+    'com.sa', 'net.sa', 'org.sa', 'gov.sa', 'edu.sa',
+    'co.ke', 'or.ke', 'go.ke', 'ac.ke',
+    // Wildcard rules and their exceptions
+    '*.ck', '!www.ck',
+    '*.bd', '*.er', '*.fk', '*.jm', '*.kh', '*.mm', '*.np', '*.pg',
+    '*.kawasaki.jp', '!city.kawasaki.jp',
+    '*.kobe.jp', '!city.kobe.jp',
+    // Hosting platforms that give each customer a subdomain
+    'github.io', 'gitlab.io', 'pages.dev', 'workers.dev', 'vercel.app', 'netlify.app',
+    'web.app', 'firebaseapp.com', 'appspot.com', 'herokuapp.com', 'onrender.com', 'fly.dev',
+    'glitch.me', 'azurewebsites.net', 'cloudfront.net', 's3.amazonaws.com',
+    'blogspot.com', 'myshopify.com', 'ngrok.io', 'ngrok-free.app', 'surge.sh', 'neocities.org'
+  ];
+
+  /**
+   * Plain suffix rules, including the "*.x" wildcard ones, built from PUBLIC_SUFFIX_RULES
+   */
+  static SUFFIXES = new Set(DomainModel.PUBLIC_SUFFIX_RULES.filter(rule => !rule.startsWith('!')));
+
+  /**
+   * Exception rules without their "!"
+   */
+  static EXCEPTIONS = new Set(DomainModel.PUBLIC_SUFFIX_RULES.filter(rule => rule.startsWith('!')).map(rule => rule.substring(1)));
+
+  /**
+   * Prefix marking a target entry that includes subdomains
+   */
+  static SUBDOMAINS_PREFIX = '*.';
+
+  /**
+   * Target of the global bucket, whose rules apply on every site
+   */
+  static GLOBAL_TARGET = '*';
+
+  /**
+   * Checks for the global target
+   * @param {string} target - Domain target
+   * @returns {boolean} True if the target covers every site
+   */
+  static isGlobalTarget(target) {
+    return target === this.GLOBAL_TARGET;
+  }
+
+  /**
+   * Checks if a target can cover more than one host (global, wildcard or group)
+   * @param {string} target - Domain target
+   * @returns {boolean} False only for a single exact host
+   */
+  static isSharedTarget(target) {
+    if (this.isGlobalTarget(target)) return true;
+
+    const entries = this.parseTarget(target);
+    return entries.length !== 1 || entries[0].includeSubdomains;
+  }
+
+  /**
+   * Lowercases a hostname and drops a trailing dot
+   * @param {string} hostname - Hostname
+   * @returns {string} Normalized hostname
+   */
+  static normalizeHostname(hostname) {
+    return String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+  }
+
+  /**
+   * Checks for IPv4 and bracketed IPv6 hosts, which have no registrable domain
+   * @param {string} hostname - Hostname
+   * @returns {boolean} True if hostname is an IP address
+   */
+  static isIpAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+  }
+
+  /**
+   * Gets the public suffix (eTLD) of a hostname
+   * Candidates are tried longest first, so the rule with the most labels wins,
+   * and an exception rule means its parent is the suffix
+   * @param {string} hostname - Hostname
+   * @returns {string} Public suffix, e.g. "co.uk"
+   */
+  static getPublicSuffix(hostname) {
+    const labels = this.normalizeHostname(hostname).split('.');
+
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (this.EXCEPTIONS.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (this.SUFFIXES.has(candidate)) {
+        return candidate;
+      }
+      if (i < labels.length - 1 && this.SUFFIXES.has(['*', ...labels.slice(i + 1)].join('.'))) {
+        return candidate;
+      }
+    }
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * Gets the registrable domain (eTLD+1) of a hostname
+   * @param {string} hostname - Hostname, e.g. "news.bbc.co.uk"
+   * @returns {string|null} Registrable domain, e.g. "bbc.co.uk"; the hostname itself
+   *   for IPs and single-label hosts; null if the hostname is a public suffix
+   */
+  static getRegistrableDomain(hostname) {
+    const host = this.normalizeHostname(hostname);
+    if (!host.includes('.') || this.isIpAddress(host)) return host;
+
+    const suffix = this.getPublicSuffix(host);
+    if (host === suffix) return null;
+
+    const suffixLabels = suffix.split('.').length;
+    return host.split('.').slice(-(suffixLabels + 1)).join('.');
+  }
+
+  /**
+   * Checks if a hostname is a domain or one of its subdomains
+   * @param {string} hostname - Hostname to check
+   * @param {string} domain - Parent domain
+   * @returns {boolean} True if hostname is domain or ends with ".domain"
+   */
+  static isSubdomainOf(hostname, domain) {
+    const host = this.normalizeHostname(hostname);
+    const parent = this.normalizeHostname(domain);
+    return !!parent && (host === parent || host.endsWith(`.${parent}`));
+  }
+
+  /**
+   * Splits a domain target into its entries
+   * @param {string} target - Domain target
+   * @returns {Array<{host: string, includeSubdomains: boolean}>} Entries
+   */
+  static parseTarget(target) {
+    return String(target || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).map(entry => {
+      const includeSubdomains = entry.startsWith(this.SUBDOMAINS_PREFIX);
+      return {
+        host: this.normalizeHostname(includeSubdomains ? entry.substring(this.SUBDOMAINS_PREFIX.length) : entry),
+        includeSubdomains
+      };
+    });
+  }
+
+  /**
+   * Writes entries back as a canonical target: sorted and without duplicates,
+   * so the same group always maps to the same bucket
+   * @param {Array<{host: string, includeSubdomains: boolean}>} entries - Target entries
+   * @returns {string} Domain target
+   */
+  static formatTarget(entries) {
+    const keys = entries.map(({ host, includeSubdomains }) => `${includeSubdomains ? this.SUBDOMAINS_PREFIX : ''}${host}`);
+    return [...new Set(keys)].sort().join(',');
+  }
+
+  /**
+   * Canonical form of a target typed by the user or read from a file
+   * @param {string} target - Domain target
+   * @returns {string} Canonical target
+   * @throws {Error} If the target is invalid
+   */
+  static normalizeTarget(target) {
+    if (String(target).trim() === this.GLOBAL_TARGET) return this.GLOBAL_TARGET;
+
+    const normalized = this.formatTarget(this.parseTarget(target));
+    if (!this.isValidTarget(normalized)) {
+      throw new Error(`Dominio inválido: ${target}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Validates a domain target
+   * "*." entries must be below a public suffix, so "*.co.uk", "*.com" and "*.localhost" are rejected
+   * @param {string} target - Domain target
+   * @returns {boolean} True if valid
+   */
+  static isValidTarget(target) {
+    if (typeof target !== 'string' || target.length > 2048) return false;
+    if (this.isGlobalTarget(target)) return true;
+
+    const entries = this.parseTarget(target);
+    return entries.length > 0 && entries.every(({ host, includeSubdomains }) =>
+      /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host) && host.length <= 253 &&
+      (!includeSubdomains || this.hasSubdomains(host))
+    );
+  }
+
+  /**
+   * Checks if a host can have subdomains of its own, so a "*." entry for it doesn't
+   * reach across sites: single-label hosts, public suffixes and IPs can't
+   * @param {string} host - Normalized hostname
+   * @returns {boolean} True if "*.host" is a valid entry
+   */
+  static hasSubdomains(host) {
+    return host.includes('.') && !this.isIpAddress(host) && this.getRegistrableDomain(host) !== null;
+  }
+
+  /**
+   * Checks if a domain target covers a hostname
+   * @param {string} target - Domain target
+   * @param {string} hostname - Hostname of the page
+   * @returns {boolean} True if rules stored under the target apply to the hostname
+   */
+  static matchesTarget(target, hostname) {
+    if (this.isGlobalTarget(target)) return true;
+
+    const host = this.normalizeHostname(hostname);
+    return this.parseTarget(target).some(entry =>
+      entry.includeSubdomains ? this.isSubdomainOf(host, entry.host) : host === entry.host
+    );
+  }
+
+  /**
+   * Target covering a hostname's registrable domain and all of its subdomains
+   * Hosts without subdomains of their own (see hasSubdomains) only cover themselves
+   * @param {string} hostname - Hostname, e.g. "m.example.com"
+   * @returns {string} Target, e.g. "*.example.com"
+   */
+  static siteTarget(hostname) {
+    const host = this.normalizeHostname(hostname);
+    const site = this.getRegistrableDomain(host) || host;
+    return this.hasSubdomains(site) ? `${this.SUBDOMAINS_PREFIX}${site}` : host;
+  }
+
+  /**
+   * Describes a target for the popup and the picker
+   * @param {string} target - Domain target
+   * @returns {string} Spanish description
+   */
+  static describeTarget(target) {
+    if (this.isGlobalTarget(target)) return 'Todos los sitios';
+
+    return this.parseTarget(target)
+      .map(({ host, includeSubdomains }) => includeSubdomains ? `${host} y subdominios` : host)
+      .join(', ');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomainModel;
+} else if (typeof window !== 'undefined') {
+  window.DomainModel = DomainModel;
+}
@@ -0,0 +1,269 @@
+/**
+ * ElementFingerprint - Captures a structural fingerprint of an element and
+ * finds the most similar element when a stored selector stops matching
+ * Fingerprint: { tagName, tagPath, siblingIndex, siblingCount, textHash, sizeBucket }
+ */
+class ElementFingerprint {
+  /**
+   * Number of ancestor tags kept in the tag path
+   */
+  static TAG_PATH_DEPTH = 6;
+
+  /**
+   * Characters of normalized text used for the text hash
+   */
+  static TEXT_SAMPLE_LENGTH = 200;
+
+  /**
+   * Minimum similarity for a candidate to be offered as a re-bind target
+   */
+  static MIN_SIMILARITY = 0.6;
+
+  /**
+   * Maximum number of candidates whose text and size are read when looking for a match
+   */
+  static MAX_CANDIDATES = 25;
+
+  /**
+   * Weights of each fingerprint component in the similarity score
+   */
+  static WEIGHTS = {
+    tagPath: 0.35,
+    siblingPosition: 0.15,
+    text: 0.35,
+    size: 0.15
+  };
+
+  /**
+   * Captures the fingerprint of an element
+   * @param {Element} element - Element to fingerprint
+   * @returns {Object|null} Fingerprint or null for invalid elements
+   */
+  static capture(element) {
+    if (!element || !element.tagName) return null;
+
+    const parent = element.parentElement;
+    const siblings = parent ? Array.from(parent.children) : [element];
+
+    return {
+      tagName: element.tagName.toLowerCase(),
+      tagPath: this.getTagPath(element),
+      siblingIndex: siblings.indexOf(element),
+      siblingCount: siblings.length,
+      textHash: this.hashText(this.getNormalizedText(element)),
+      sizeBucket: this.getSizeBucket(element)
+    };
+  }
+
+  /**
+   * Gets tag names from the closest ancestors down to the element
+   * @param {Element} element - Element to describe
+   * @returns {Array<string>} Tag names, outermost first
+   */
+  static getTagPath(element) {
+    const path = [];
+    let current = element;
+
+    while (current && current.tagName && path.length < this.TAG_PATH_DEPTH) {
+      path.unshift(current.tagName.toLowerCase());
+      if (current.tagName === 'BODY') break;
+      current = current.parentElement;
+    }
+
+    return path;
+  }
+
+  /**
+   * Gets the element's text collapsed and truncated for hashing
+   * @param {Element} element - Element to read text from
+   * @returns {string} Normalized text
+   */
+  static getNormalizedText(element) {
+    return (element.textContent || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase()
+      .substring(0, this.TEXT_SAMPLE_LENGTH);
+  }
+
+  /**
+   * Hashes text with djb2 so fingerprints don't store page content
+   * @param {string} text - Text to hash
+   * @returns {string} Hex hash ('' for empty text)
+   */
+  static hashText(text) {
+    if (!text) return '';
+
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Gets a coarse size bucket (log2 of width and height)
+   * Hidden elements keep the bucket stored when they were picked
+   * @param {Element} element - Element to measure
+   * @returns {Object} Bucket { w, h }
+   */
+  static getSizeBucket(element) {
+    const rect = element.getBoundingClientRect();
+    return {
+      w: rect.width > 0 ? Math.round(Math.log2(rect.width)) : 0,
+      h: rect.height > 0 ? Math.round(Math.log2(rect.height)) : 0
+    };
+  }
+
+  /**
+   * Computes similarity between a stored fingerprint and a live element
+   * @param {Object} fingerprint - Stored fingerprint
+   * @param {Element} element - Candidate element
+   * @returns {number} Similarity between 0 and 1
+   */
+  static similarity(fingerprint, element) {
+    const candidate = this.capture(element);
+    if (!fingerprint || !candidate || candidate.tagName !== fingerprint.tagName) return 0;
+
+    return this.structuralScore(fingerprint, candidate) + this.contentScore(fingerprint, candidate);
+  }
+
+  /**
+   * Scores the parts of a fingerprint that don't need layout or text: tag path and sibling position
+   * @param {Object} fingerprint - Stored fingerprint
+   * @param {Object} candidate - { tagPath, siblingIndex, siblingCount } of the candidate
+   * @returns {number} Weighted score, at most WEIGHTS.tagPath + WEIGHTS.siblingPosition
+   */
+  static structuralScore(fingerprint, candidate) {
+    const tagPathScore = this.compareTagPaths(fingerprint.tagPath || [], candidate.tagPath);
+
+    const positionScore = fingerprint.siblingIndex === candidate.siblingIndex
+      ? 1
+      : Math.max(0, 1 - Math.abs(fingerprint.siblingIndex - candidate.siblingIndex) / Math.max(fingerprint.siblingCount, candidate.siblingCount, 1));
+
+    return this.WEIGHTS.tagPath * tagPathScore + this.WEIGHTS.siblingPosition * positionScore;
+  }
+
+  /**
+   * Scores text and size, which read the subtree's text and force layout
+   * @param {Object} fingerprint - Stored fingerprint
+   * @param {Object} candidate - { textHash, sizeBucket } of the candidate
+   * @returns {number} Weighted score, at most WEIGHTS.text + WEIGHTS.size
+   */
+  static contentScore(fingerprint, candidate) {
+    // Matching text is a strong signal; both empty is only a weak one
+    let textScore = 0;
+    if (fingerprint.textHash && fingerprint.textHash === candidate.textHash) {
+      textScore = 1;
+    } else if (!fingerprint.textHash && !candidate.textHash) {
+      textScore = 0.5;
+    }
+
+    const sizeScore = this.compareSizeBuckets(fingerprint.sizeBucket, candidate.sizeBucket);
+
+    return this.WEIGHTS.text * textScore + this.WEIGHTS.size * sizeScore;
+  }
+
+  /**
+   * Compares tag paths from the element upwards
+   * @param {Array<string>} storedPath - Stored tag path
+   * @param {Array<string>} candidatePath - Candidate tag path
+   * @returns {number} Ratio of matching levels between 0 and 1
+   */
+  static compareTagPaths(storedPath, candidatePath) {
+    const length = Math.max(storedPath.length, candidatePath.length);
+    if (length === 0) return 0;
+
+    let matches = 0;
+    for (let i = 1; i <= length; i++) {
+      if (storedPath[storedPath.length - i] === candidatePath[candidatePath.length - i]) {
+        matches++;
+      }
+    }
+    return matches / length;
+  }
+
+  /**
+   * Compares size buckets (each bucket step halves the score)
+   * @param {Object} storedBucket - Stored bucket
+   * @param {Object} candidateBucket - Candidate bucket
+   * @returns {number} Score between 0 and 1
+   */
+  static compareSizeBuckets(storedBucket, candidateBucket) {
+    if (!storedBucket || !candidateBucket) return 0;
+
+    const distance = Math.abs(storedBucket.w - candidateBucket.w) + Math.abs(storedBucket.h - candidateBucket.h);
+    return 1 / Math.pow(2, distance);
+  }
+
+  /**
+   * Finds the element that best matches a stored fingerprint
+   * Candidates are first scored on structure alone: those under another parent tag, or that
+   * couldn't reach minSimilarity even with matching text and size, are dropped, and only the
+   * MAX_CANDIDATES best go on to the text and size checks
+   * @param {Object} fingerprint - Stored fingerprint
+   * @param {Object} options - { root, minSimilarity, exclude }
+   * @returns {{element: Element, score: number}|null} Best match or null
+   */
+  static findBestMatch(fingerprint, options = {}) {
+    if (!fingerprint || !fingerprint.tagName) return null;
+
+    const root = options.root || document;
+    const minSimilarity = options.minSimilarity ?? this.MIN_SIMILARITY;
+    const exclude = options.exclude || (() => false);
+    const maxContentScore = this.WEIGHTS.text + this.WEIGHTS.size;
+    const storedPath = fingerprint.tagPath || [];
+    const parentTag = storedPath.length > 1 ? storedPath[storedPath.length - 2] : null;
+
+    // Sibling positions are shared by siblings, so each parent's are indexed once
+    const positionsByParent = new Map();
+    const getPositions = parent => {
+      if (!positionsByParent.has(parent)) {
+        positionsByParent.set(parent, new Map(Array.from(parent.children).map((child, index) => [child, index])));
+      }
+      return positionsByParent.get(parent);
+    };
+
+    const candidates = [];
+    for (const element of root.getElementsByTagName(fingerprint.tagName)) {
+      const parent = element.parentElement;
+      if (parentTag && (!parent || parent.tagName.toLowerCase() !== parentTag)) continue;
+      if (exclude(element)) continue;
+
+      const positions = parent ? getPositions(parent) : new Map([[element, 0]]);
+      const structure = {
+        tagPath: this.getTagPath(element),
+        siblingIndex: positions.get(element),
+        siblingCount: positions.size
+      };
+      const structural = this.structuralScore(fingerprint, structure);
+      if (structural + maxContentScore >= minSimilarity) {
+        candidates.push({ element, structural });
+      }
+    }
+
+    let best = null;
+    candidates
+      .sort((a, b) => b.structural - a.structural)
+      .slice(0, this.MAX_CANDIDATES)
+      .forEach(({ element, structural }) => {
+        const content = {
+          textHash: this.hashText(this.getNormalizedText(element)),
+          sizeBucket: this.getSizeBucket(element)
+        };
+        const score = structural + this.contentScore(fingerprint, content);
+        if (score >= minSimilarity && (!best || score > best.score)) {
+          best = { element, score };
+        }
+      });
+
+    return best;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementFingerprint;
+} else {
+  window.ElementFingerprint = ElementFingerprint;
+}
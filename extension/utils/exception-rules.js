@@ -0,0 +1,70 @@
+/**
+ * ExceptionRules - Matching for exception (allow) rules
+ * An exception keeps the elements its selector matches from being hidden or
+ * removed, whatever hide or removal rule targets them. It covers the matched
+ * element itself, not its descendants, so ".promo.keep" survives "##.promo"
+ */
+class ExceptionRules {
+  /**
+   * Get the selectors of the exception rules that apply to a URL
+   * @param {Array<Object>} rules - Stored exception rules
+   * @param {string} url - Page URL
+   * @returns {Array<string>} Selectors
+   */
+  static getSelectors(rules, url = window.location.href) {
+    return UrlScope.filterRules(rules, url).map(rule => rule.selector);
+  }
+
+  /**
+   * Checks if an element is covered by an exception
+   * @param {Element} element - Element to check
+   * @param {Array<string>} selectors - Exception selectors
+   * @returns {boolean} True if the element must be left alone
+   */
+  static matches(element, selectors) {
+    if (!element || typeof element.matches !== 'function') return false;
+
+    return selectors.some(selector => {
+      try {
+        return element.matches(selector);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Builds a :not() clause excluding exception matches from a hide rule
+   * Invalid selectors are left out, since one would drop every hide rule it is appended to
+   * @param {Array<string>} selectors - Exception selectors
+   * @returns {string} ":not(:is(...))", or an empty string without valid selectors
+   */
+  static toNotClause(selectors) {
+    const valid = selectors.filter(selector => this.isValidSelector(selector));
+    return valid.length > 0 ? `:not(:is(${valid.join(', ')}))` : '';
+  }
+
+  /**
+   * Checks selector syntax without touching the page
+   * querySelector closes an unterminated comment, string, bracket or parenthesis, which
+   * would swallow the rest of a stylesheet, so the selector must also form a complete rule
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if the selector parses
+   */
+  static isValidSelector(selector) {
+    if (!selector || selector.includes('/*')) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+      return false;
+    }
+    return HideStylesheet.isCompleteRule(`:is(${selector}) {}`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExceptionRules;
+} else if (typeof window !== 'undefined') {
+  window.ExceptionRules = ExceptionRules;
+}
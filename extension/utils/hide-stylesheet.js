@@ -0,0 +1,200 @@
+/**
+ * HideStylesheet - Hides elements with one generated stylesheet instead of inline styles
+ * Stored hide rules become one "selector { ... !important; }" rule each, styled by
+ * their hide mode, and elements hidden without a stored rule are tagged with
+ * data-hidethis-hidden="<mode>". Elements tagged data-hidethis-revealed or matched by
+ * an exception rule (see ExceptionRules) are left alone.
+ * Uses adoptedStyleSheets when available so page scripts can't remove it,
+ * falling back to a <style> element
+ */
+class HideStylesheet {
+  /**
+   * Id of the fallback <style> element
+   */
+  static STYLE_ID = 'hidethis-hide-styles';
+
+  /**
+   * Detached stylesheet used to check generated rules, created on first use
+   */
+  static scratchSheet = null;
+
+  /**
+   * Declarations applied for each RuleModel.HIDE_MODES value
+   * Placeholder elements are collapsed; ElementSelector draws the bar in their place
+   */
+  static MODE_DECLARATIONS = {
+    collapse: 'display: none !important;',
+    invisible: 'visibility: hidden !important;',
+    dim: 'opacity: 0.15 !important;',
+    blur: 'filter: blur(8px) !important;',
+    placeholder: 'display: none !important;'
+  };
+
+  /**
+   * Gets the declarations for a hide mode, falling back to the default mode
+   * @param {string} mode - One of RuleModel.HIDE_MODES
+   * @returns {string} CSS declarations
+   */
+  static getDeclarations(mode) {
+    return this.MODE_DECLARATIONS[mode] || this.MODE_DECLARATIONS[RuleModel.DEFAULT_HIDE_MODE];
+  }
+
+  /**
+   * @param {Document} root - Document the stylesheet is attached to
+   */
+  constructor(root = document) {
+    this.root = root;
+    this.sheet = null;         // Constructed stylesheet, when adoptedStyleSheets is supported
+    this.styleElement = null;  // Fallback <style> element
+    this.rules = [];           // { selector, mode }
+    this.exceptions = [];      // Selectors of exception rules
+    this.enabled = true;
+  }
+
+  /**
+   * Attaches the stylesheet to the document, re-attaching it if the page removed the fallback element
+   */
+  attach() {
+    if (this.sheet) return;
+
+    if (this.supportsAdoptedStyleSheets()) {
+      this.sheet = new CSSStyleSheet();
+      this.sheet.replaceSync(this.buildCss());
+      this.applyEnabled();
+      this.root.adoptedStyleSheets = [...this.root.adoptedStyleSheets, this.sheet];
+      return;
+    }
+
+    if (!this.styleElement) {
+      this.styleElement = this.root.createElement('style');
+      this.styleElement.id = HideStylesheet.STYLE_ID;
+      this.styleElement.textContent = this.buildCss();
+    }
+    if (!this.styleElement.isConnected) {
+      // <head> doesn't exist yet at document_start
+      (this.root.head || this.root.documentElement).appendChild(this.styleElement);
+      this.applyEnabled();
+    }
+  }
+
+  /**
+   * Replaces the rules hidden by the stylesheet
+   * @param {Array<{selector: string, mode: string}>} rules - Stored hide rules
+   */
+  setRules(rules) {
+    this.rules = rules.map(({ selector, mode }) => ({ selector, mode }));
+    this.render();
+  }
+
+  /**
+   * Replaces the exception selectors excluded from every hide rule
+   * @param {Array<string>} selectors - Selectors of exception rules
+   */
+  setExceptions(selectors) {
+    this.exceptions = [...selectors];
+    this.render();
+  }
+
+  /**
+   * Turns hiding on or off without forgetting the selectors
+   * @param {boolean} enabled - True to hide elements
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.applyEnabled();
+  }
+
+  /**
+   * Copies the enabled flag to the attached stylesheet
+   * A <style> element gets a new sheet whenever its text changes, so this runs after every render
+   */
+  applyEnabled() {
+    const sheet = this.sheet || (this.styleElement && this.styleElement.sheet);
+    if (sheet) sheet.disabled = !this.enabled;
+  }
+
+  /**
+   * Removes the stylesheet from the document
+   */
+  detach() {
+    if (this.sheet) {
+      this.root.adoptedStyleSheets = this.root.adoptedStyleSheets.filter(sheet => sheet !== this.sheet);
+      this.sheet = null;
+    }
+    if (this.styleElement) {
+      this.styleElement.remove();
+      this.styleElement = null;
+    }
+  }
+
+  /**
+   * Writes the current rules to the attached stylesheet
+   */
+  render() {
+    const css = this.buildCss();
+    if (this.sheet) {
+      this.sheet.replaceSync(css);
+    } else if (this.styleElement) {
+      this.styleElement.textContent = css;
+    }
+    this.applyEnabled();
+  }
+
+  /**
+   * Builds the stylesheet text
+   * One rule per selector, so an invalid selector only drops its own rule.
+   * querySelector accepts selectors with an unterminated comment, string, bracket
+   * or parenthesis, which would swallow every rule after them here, so each rule is
+   * checked on its own (see isCompleteRule) and left out if it doesn't parse
+   * @returns {string} CSS
+   */
+  buildCss() {
+    const notExempt = `:not([data-hidethis-revealed])${ExceptionRules.toNotClause(this.exceptions)}`;
+    const attributeRules = Object.keys(HideStylesheet.MODE_DECLARATIONS).map(mode =>
+      `[data-hidethis-hidden="${mode}"]${notExempt} { ${HideStylesheet.getDeclarations(mode)} }`
+    );
+
+    return [
+      ...attributeRules,
+      ...this.rules
+        .map(({ selector, mode }) => `:is(${selector})${notExempt} { ${HideStylesheet.getDeclarations(mode)} }`)
+        .filter(rule => HideStylesheet.isCompleteRule(rule))
+    ].join('\n');
+  }
+
+  /**
+   * Checks that a text parses as exactly one complete style rule
+   * Without constructable stylesheets only comments, the most common case, can be caught
+   * @param {string} cssText - Rule text
+   * @returns {boolean} True if the rule can be emitted
+   */
+  static isCompleteRule(cssText) {
+    if (typeof CSSStyleSheet === 'undefined') return !cssText.includes('/*');
+
+    try {
+      if (!this.scratchSheet) this.scratchSheet = new CSSStyleSheet();
+      this.scratchSheet.insertRule(cssText);
+      this.scratchSheet.deleteRule(0);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks for constructable stylesheets
+   * @returns {boolean} True if adoptedStyleSheets can be used
+   */
+  supportsAdoptedStyleSheets() {
+    return typeof CSSStyleSheet !== 'undefined' &&
+           typeof CSSStyleSheet.prototype.replaceSync === 'function' &&
+           Array.isArray(this.root.adoptedStyleSheets);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HideStylesheet;
+} else if (typeof window !== 'undefined') {
+  window.HideStylesheet = HideStylesheet;
+}
@@ -1,10 +1,28 @@
 /**
  * Utility for handling messages between extension components
  * Provides consistent interface for communication
+ * Outgoing messages are checked against MessageProtocol; invalid ones resolve to
+ * its structured error instead of being sent
  */
 class MessageHandler {
   /**
-   * Sends message to content script in active tab
+   * Tab whose content script messages are meant for, see setTargetTab
+   */
+  static targetTabId = null;
+
+  /**
+   * Sets the tab messages are meant for
+   * The popup resolves its tab once when it opens, since the active tab of the
+   * current window is the wrong one when several windows are open
+   * @param {number} tabId - Tab id
+   */
+  static setTargetTab(tabId) {
+    this.targetTabId = tabId;
+  }
+
+  /**
+   * Sends message to content script in the target tab (see setTargetTab),
+   * or in the active tab if none was set
    * @param {string} action - Action to execute
    * @param {Object} data - Additional data (optional)
    * @returns {Promise<Object>} Response from content script
@@ -12,21 +30,36 @@ class MessageHandler {
   static async sendToContentScript(action, data = {}) {
     return new Promise((resolve, reject) => {
       try {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs.length === 0) {
-            reject(new Error('No active tab available'));
-            return;
-          }
+        const message = { action, ...data };
+        const invalid = MessageProtocol.validateMessage(message);
+        if (invalid) {
+          console.warn('⚠️ Not sending invalid message:', invalid.error, invalid.details);
+          resolve(invalid);
+          return;
+        }
 
-          const message = { action, ...data };
-          
-          chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+        const send = (tabId) => {
+          chrome.tabs.sendMessage(tabId, message, (response) => {
             if (chrome.runtime.lastError) {
               reject(new Error(`Communication error: ${chrome.runtime.lastError.message}`));
             } else {
               resolve(response || { success: true });
             }
           });
+        };
+
+        if (this.targetTabId !== null) {
+          send(this.targetTabId);
+          return;
+        }
+
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+          if (tabs.length === 0) {
+            reject(new Error('No active tab available'));
+            return;
+          }
+
+          send(tabs[0].id);
         });
       } catch (error) {
         reject(new Error(`Error sending message: ${error.message}`));
@@ -36,6 +69,7 @@ class MessageHandler {
 
   /**
    * Sends message to background script
+   * Carries the target tab (see setTargetTab), so forwarded commands reach the right page
    * @param {string} action - Action to execute
    * @param {Object} data - Additional data (optional)
    * @returns {Promise<Object>} Response from background script
@@ -43,7 +77,15 @@ class MessageHandler {
   static async sendToBackground(action, data = {}) {
     return new Promise((resolve, reject) => {
       try {
-        const message = { action, ...data };
+        const message = this.targetTabId !== null
+          ? { tabId: this.targetTabId, action, ...data }
+          : { action, ...data };
+        const invalid = MessageProtocol.validateMessage(message);
+        if (invalid) {
+          console.warn('⚠️ Not sending invalid message:', invalid.error, invalid.details);
+          resolve(invalid);
+          return;
+        }
         
         chrome.runtime.sendMessage(message, (response) => {
           if (chrome.runtime.lastError) {
@@ -59,42 +101,19 @@ class MessageHandler {
   }
 
   /**
-   * Sets up listener for incoming messages
-   * @param {Function} handler - Function that handles messages
+   * Sets up listener for the messages handled in one place (see MessageProtocol.createListener)
+   * @param {string} location - One of MessageProtocol.HANDLERS
+   * @param {Object<string, Function>} handlers - Handler per action, called with (request, respond, sender)
+   * @param {Object} options - Options of MessageProtocol.createListener
    * @returns {Function} Function to remove listener
    */
-  static setupMessageListener(handler) {
-    const wrappedHandler = (request, sender, sendResponse) => {
-      try {
-        const result = handler(request, sender, sendResponse);
-        
-        // If handler returns a Promise, handle it appropriately
-        if (result instanceof Promise) {
-          result
-            .then(response => sendResponse(response))
-            .catch(error => sendResponse({ 
-              success: false, 
-              error: error.message 
-            }));
-          return true; // Indicates response will be async
-        }
-        
-        return result;
-      } catch (error) {
-        console.error('Error in message handler:', error);
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-        return false;
-      }
-    };
-
-    chrome.runtime.onMessage.addListener(wrappedHandler);
+  static setupMessageListener(location, handlers, options = {}) {
+    const listener = MessageProtocol.createListener(location, handlers, options);
+    chrome.runtime.onMessage.addListener(listener);
     
     // Returns function to clean up listener
     return () => {
-      chrome.runtime.onMessage.removeListener(wrappedHandler);
+      chrome.runtime.onMessage.removeListener(listener);
     };
   }
 }
@@ -0,0 +1,492 @@
+/**
+ * MessageProtocol - Registry of every message exchanged by the popup, the background
+ * service worker and the content scripts
+ * Senders name actions through ACTIONS. Each definition names where the action is
+ * handled and the fields of its payload and of its success response, as
+ * { field: type }. Types are 'string', 'id' (non-empty string), 'boolean',
+ * 'integer', 'number', 'array', 'object' or 'any'; a trailing '?' allows
+ * the field to be missing or null. Failures are structured errors (see error()).
+ * The background and content script routers are built from this registry with
+ * createListener, so an action missing here is rejected instead of silently ignored
+ */
+class MessageProtocol {
+  /**
+   * Where an action is handled
+   * Content script actions sent to the background are forwarded to the message's tab
+   */
+  static HANDLERS = {
+    CONTENT: 'content',
+    BACKGROUND: 'background',
+    POPUP: 'popup'
+  };
+
+  /**
+   * Error types of structured error responses
+   */
+  static ERROR_TYPES = {
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION_ERROR',
+    VALIDATION: 'VALIDATION_ERROR',
+    COMMUNICATION: 'COMMUNICATION_ERROR',
+    HANDLER: 'HANDLER_ERROR'
+  };
+
+  /**
+   * Fields any message may carry besides its payload
+   * tabId names the tab a popup message is about (see MessageHandler.setTargetTab)
+   */
+  static ENVELOPE = {
+    action: 'id',
+    tabId: 'integer?'
+  };
+
+  /**
+   * Action names, to use instead of string literals when sending messages
+   */
+  static ACTIONS = {
+    // Connection checks
+    PING: 'ping',
+
+    // Picker and visibility
+    TOGGLE_SELECTOR: 'toggleSelector',
+    GET_SELECTOR_STATE: 'getSelectorState',
+    TOGGLE_VISIBILITY: 'toggleVisibility',
+    CLEAR_ALL: 'clearAll',
+    GET_HIDDEN_COUNT: 'getHiddenCount',
+
+    // Element removal
+    REMOVE_ELEMENTS: 'removeElements',
+    REMOVE_BLUR_FILTER: 'removeBlurFilter',
+    CLEAR_REMOVED_ELEMENTS: 'clearRemovedElements',
+    GET_REMOVED_ELEMENTS_COUNT: 'getRemovedElementsCount',
+    GET_REMOVED_ELEMENTS_LIST: 'getRemovedElementsList',
+    RESTORE_REMOVED_ELEMENT: 'restoreRemovedElement',
+
+    // Hide rule lists
+    GET_HIDDEN_ELEMENTS_LIST: 'getHiddenElementsList',
+    REMOVE_HIDDEN_ELEMENT: 'removeHiddenElement',
+    SET_GLOBAL_RULE_DISABLED: 'setGlobalRuleDisabled',
+    SET_RULE_ENABLED: 'setRuleEnabled',
+
+    // Exception rules and per-site pause
+    GET_EXCEPTIONS_LIST: 'getExceptionsList',
+    ADD_EXCEPTION: 'addException',
+    REMOVE_EXCEPTION: 'removeException',
+    GET_SITE_PAUSED: 'getSitePaused',
+    SET_SITE_PAUSED: 'setSitePaused',
+
+    // Context menu entries, sent by the background service worker
+    HIDE_CONTEXT_MENU_TARGET: 'hideContextMenuTarget',
+    REMOVE_CONTEXT_MENU_TARGET: 'removeContextMenuTarget',
+
+    // Undo/redo history
+    UNDO: 'undo',
+    REDO: 'redo',
+    GET_HISTORY_STATE: 'getHistoryState',
+
+    // Undo/redo stacks, kept by the background service worker
+    GET_HISTORY_STACKS: 'getHistoryStacks',
+    SAVE_HISTORY_STACKS: 'saveHistoryStacks',
+
+    // Content script notifications
+    ELEMENT_HIDDEN: 'elementHidden',
+    ELEMENTS_CLEARED: 'elementsCleared',
+    ELEMENTS_REMOVED: 'elementsRemoved',
+    CONTENT_SCRIPT_LOADED: 'contentScriptLoaded',
+    CONTENT_SCRIPT_READY: 'contentScriptReady',
+
+    // Background notifications
+    UPDATE_COUNT: 'updateCount'
+  };
+
+  /**
+   * Definition of every action, by name
+   */
+  static DEFINITIONS = {
+    // Connection checks
+    ping: {
+      handler: 'content',
+      payload: {},
+      response: { message: 'string', url: 'string' }
+    },
+
+    // Picker and visibility
+    toggleSelector: {
+      handler: 'content',
+      payload: {},
+      response: { isActive: 'boolean' }
+    },
+    getSelectorState: {
+      handler: 'content',
+      payload: {},
+      response: { isActive: 'boolean' }
+    },
+    toggleVisibility: {
+      handler: 'content',
+      payload: {},
+      response: { visible: 'boolean' }
+    },
+    clearAll: {
+      handler: 'content',
+      payload: {},
+      response: {}
+    },
+    getHiddenCount: {
+      handler: 'content',
+      payload: {},
+      response: { count: 'integer', removedElementsCount: 'integer', exceptionsCount: 'integer' }
+    },
+
+    // Element removal
+    removeElements: {
+      handler: 'content',
+      payload: { selector: 'id' },
+      response: { count: 'integer', type: 'string', selector: 'string' }
+    },
+    removeBlurFilter: {
+      handler: 'content',
+      payload: {},
+      response: { count: 'integer', patterns: 'array?' }
+    },
+    clearRemovedElements: {
+      handler: 'content',
+      payload: {},
+      response: { clearedCount: 'integer', restoredCount: 'integer' }
+    },
+    getRemovedElementsCount: {
+      handler: 'content',
+      payload: {},
+      response: { count: 'integer' }
+    },
+    getRemovedElementsList: {
+      handler: 'content',
+      payload: {},
+      response: { elements: 'array', count: 'integer' }
+    },
+    restoreRemovedElement: {
+      handler: 'content',
+      payload: { ruleId: 'id' },
+      response: { restoredCount: 'integer' }
+    },
+
+    // Hide rule lists
+    getHiddenElementsList: {
+      handler: 'content',
+      payload: {},
+      response: { elements: 'array', count: 'integer' }
+    },
+    removeHiddenElement: {
+      handler: 'content',
+      payload: { ruleId: 'id' },
+      response: { count: 'integer' }
+    },
+    setGlobalRuleDisabled: {
+      handler: 'content',
+      payload: { ruleId: 'id', disabled: 'boolean' },
+      response: { count: 'integer' }
+    },
+    setRuleEnabled: {
+      handler: 'content',
+      payload: { ruleId: 'id', enabled: 'boolean' },
+      response: { count: 'integer' }
+    },
+
+    // Exception rules and per-site pause
+    getExceptionsList: {
+      handler: 'content',
+      payload: {},
+      response: { elements: 'array', count: 'integer' }
+    },
+    addException: {
+      handler: 'content',
+      payload: { selector: 'id' },
+      response: { ruleId: 'id' }
+    },
+    removeException: {
+      handler: 'content',
+      payload: { ruleId: 'id' },
+      response: { count: 'integer' }
+    },
+    getSitePaused: {
+      handler: 'content',
+      payload: {},
+      response: { paused: 'boolean' }
+    },
+    setSitePaused: {
+      handler: 'content',
+      payload: { paused: 'boolean' },
+      response: { paused: 'boolean' }
+    },
+
+    // Context menu entries, sent by the background service worker
+    hideContextMenuTarget: {
+      handler: 'content',
+      payload: {},
+      response: { count: 'integer' }
+    },
+    removeContextMenuTarget: {
+      handler: 'content',
+      payload: {},
+      response: { count: 'integer', selector: 'string' }
+    },
+
+    // Undo/redo history
+    undo: {
+      handler: 'content',
+      payload: {},
+      response: { label: 'string?', state: 'object' }
+    },
+    redo: {
+      handler: 'content',
+      payload: {},
+      response: { label: 'string?', state: 'object' }
+    },
+    getHistoryState: {
+      handler: 'content',
+      payload: {},
+      response: { state: 'object' }
+    },
+
+    // Undo/redo stacks, kept by the background service worker
+    getHistoryStacks: {
+      handler: 'background',
+      payload: {},
+      response: { undo: 'array', redo: 'array' }
+    },
+    saveHistoryStacks: {
+      handler: 'background',
+      payload: { undo: 'array', redo: 'array' },
+      response: {}
+    },
+
+    // Content script notifications
+    elementHidden: {
+      handler: 'background',
+      payload: { count: 'integer' },
+      response: {}
+    },
+    elementsCleared: {
+      handler: 'background',
+      payload: { count: 'integer?' },
+      response: {}
+    },
+    elementsRemoved: {
+      handler: 'background',
+      payload: { count: 'integer' },
+      response: {}
+    },
+    contentScriptLoaded: {
+      handler: 'background',
+      payload: { url: 'string?' },
+      response: {}
+    },
+    contentScriptReady: {
+      handler: 'background',
+      payload: { url: 'string?', hostname: 'string?', timestamp: 'string?' },
+      response: {}
+    },
+
+    // Background notifications
+    updateCount: {
+      handler: 'popup',
+      payload: { count: 'integer', source: 'id' },
+      response: {}
+    }
+  };
+
+  /**
+   * Get the registry entry of an action
+   * @param {string} action - Action name
+   * @returns {Object|null} Definition, or null for unknown actions
+   */
+  static get(action) {
+    return Object.prototype.hasOwnProperty.call(this.DEFINITIONS, action) ? this.DEFINITIONS[action] : null;
+  }
+
+  /**
+   * Get the names of the actions handled in one place
+   * @param {string} handler - One of HANDLERS
+   * @returns {Array<string>} Action names
+   */
+  static actionsFor(handler) {
+    return Object.keys(this.DEFINITIONS).filter(action => this.DEFINITIONS[action].handler === handler);
+  }
+
+  /**
+   * Checks a message against the registry
+   * @param {Object} message - Message with action and payload fields
+   * @returns {Object|null} Structured error, or null if the message is valid
+   */
+  static validateMessage(message) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string' || !message.action) {
+      return this.error(this.ERROR_TYPES.VALIDATION, null, 'Action not specified');
+    }
+
+    const definition = this.get(message.action);
+    if (!definition) {
+      return this.error(this.ERROR_TYPES.UNKNOWN_ACTION, message.action, `Unknown action: ${message.action}`);
+    }
+
+    const details = [
+      ...this.validateFields(message, this.ENVELOPE),
+      ...this.validateFields(message, definition.payload)
+    ];
+    if (details.length > 0) {
+      return this.error(this.ERROR_TYPES.VALIDATION, message.action, `Invalid ${message.action} message`, details);
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks a success response against the registry
+   * Failure responses only need an error message
+   * @param {string} action - Action the response answers
+   * @param {Object} response - Response
+   * @returns {Array<string>} Problems found, empty if the response is valid
+   */
+  static validateResponse(action, response) {
+    const definition = this.get(action);
+    if (!definition || !response || response.success === false) return [];
+
+    return this.validateFields(response, definition.response);
+  }
+
+  /**
+   * Checks the fields of an object against a schema
+   * Fields the schema doesn't mention are allowed
+   * @param {Object} value - Object to check
+   * @param {Object} schema - { field: type }
+   * @returns {Array<string>} One description per invalid field
+   */
+  static validateFields(value, schema) {
+    return Object.entries(schema)
+      .filter(([field, type]) => !this.matchesType(value[field], type))
+      .map(([field, type]) => `${field} must be ${this.describeType(type)}`);
+  }
+
+  /**
+   * Describes a schema type for error details
+   * @param {string} type - Schema type, optionally ending in '?'
+   * @returns {string} Description
+   */
+  static describeType(type) {
+    if (type.endsWith('?')) {
+      return `${this.describeType(type.slice(0, -1))} or null`;
+    }
+    return type === 'id' ? 'a non-empty string' : `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`;
+  }
+
+  /**
+   * Checks a value against a schema type
+   * @param {*} value - Value to check
+   * @param {string} type - Schema type, optionally ending in '?'
+   * @returns {boolean} True if the value fits the type
+   */
+  static matchesType(value, type) {
+    if (type.endsWith('?')) {
+      return value === undefined || value === null || this.matchesType(value, type.slice(0, -1));
+    }
+
+    switch (type) {
+      case 'id':
+        return typeof value === 'string' && value.length > 0;
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && !Number.isNaN(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+      case 'any':
+        return value !== undefined;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Builds a structured error response
+   * @param {string} type - One of ERROR_TYPES
+   * @param {string|null} action - Action that failed
+   * @param {string} message - Error message
+   * @param {Array<string>} details - Invalid fields, for validation errors
+   * @returns {{success: boolean, error: string, type: string, action: string|null, details: Array<string>}} Error response
+   */
+  static error(type, action, message, details = []) {
+    return {
+      success: false,
+      error: message,
+      type,
+      action,
+      details
+    };
+  }
+
+  /**
+   * Builds a chrome.runtime.onMessage listener for the actions handled in one place
+   * Messages are validated before reaching a handler, and handlers are called with
+   * (request, respond, sender); respond checks success responses against the registry.
+   * Valid content script actions handled elsewhere go to forward when given; others are
+   * rejected, or left to other listeners when ignoreOthers is set (the popup hears
+   * every content script notification)
+   * @param {string} location - One of HANDLERS
+   * @param {Object<string, Function>} handlers - Handler per action
+   * @param {Object} options - { forward: Function|null, ignoreOthers: boolean }
+   * @returns {Function} Listener, returning true while a response is pending
+   */
+  static createListener(location, handlers, { forward = null, ignoreOthers = false } = {}) {
+    const missing = this.actionsFor(location).filter(action => typeof handlers[action] !== 'function');
+    if (missing.length > 0) {
+      console.warn(`[MessageProtocol] ⚠️ No ${location} handler for:`, missing);
+    }
+
+    return (request, sender, sendResponse) => {
+      const definition = this.get(request && request.action);
+      const handledHere = !!definition && definition.handler === location;
+      if (ignoreOthers && !handledHere) return false;
+
+      const invalid = this.validateMessage(request);
+      if (invalid) {
+        console.warn('[MessageProtocol] ⚠️ Rejected message:', invalid.error, invalid.details);
+        sendResponse(invalid);
+        return false;
+      }
+
+      const { action } = request;
+      const respond = (response) => {
+        const problems = this.validateResponse(action, response);
+        if (problems.length > 0) {
+          console.warn(`[MessageProtocol] ⚠️ ${action} response does not match the registry:`, problems);
+        }
+        sendResponse(response);
+      };
+
+      const handler = handledHere ? handlers[action] : (definition.handler === this.HANDLERS.CONTENT ? forward : null);
+      if (!handler) {
+        sendResponse(this.error(this.ERROR_TYPES.UNKNOWN_ACTION, action, `${action} is not handled by the ${location}`));
+        return false;
+      }
+
+      try {
+        const result = handler(request, respond, sender);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => sendResponse(this.error(this.ERROR_TYPES.HANDLER, action, error.message)));
+        }
+      } catch (error) {
+        console.error(`[MessageProtocol] ❌ Error handling ${action}:`, error);
+        sendResponse(this.error(this.ERROR_TYPES.HANDLER, action, error.message));
+        return false;
+      }
+
+      return true; // Handlers may respond asynchronously
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageProtocol;
+} else if (typeof window !== 'undefined') {
+  window.MessageProtocol = MessageProtocol;
+}
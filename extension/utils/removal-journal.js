@@ -0,0 +1,193 @@
+/**
+ * RemovalJournal - Remembers what DomAttrsRemover took out of the page so it can be put back
+ * Removed nodes are kept detached together with their parent and sibling anchors,
+ * and class removals remember the element and class. Entries are grouped by the
+ * selector of the removal rule that caused them and restored newest first.
+ * Elements for which isExempt returns true (exception rules) are never removed.
+ * onChange is called whenever entries are added or restored.
+ * Entries the page itself discarded (see prune) are dropped, and the journal is capped,
+ * so dynamic detection on endless pages doesn't keep every removed node alive
+ */
+class RemovalJournal {
+  /**
+   * Maximum number of entries kept; the oldest are forgotten first
+   */
+  static MAX_ENTRIES = 2000;
+
+  /**
+   * @param {Function} isExempt - Called with an element, true to leave it alone
+   * @param {Function} onChange - Called after the journal changed
+   */
+  constructor(isExempt = () => false, onChange = () => {}) {
+    this.entries = []; // In removal order: { key, kind: 'node'|'class', ... }
+    this.isExempt = isExempt;
+    this.onChange = onChange;
+  }
+
+  /**
+   * Removes a node from the page and records where it was
+   * @param {string} key - Selector of the removal rule
+   * @param {Node} node - Node to remove
+   * @returns {boolean} True if the node was attached and got removed
+   */
+  removeNode(key, node) {
+    const parent = node.parentNode;
+    if (!parent || this.isExempt(node)) return false;
+
+    this.record({
+      key,
+      kind: 'node',
+      node,
+      parent,
+      previousSibling: node.previousSibling,
+      nextSibling: node.nextSibling
+    });
+    node.remove();
+    this.onChange();
+    return true;
+  }
+
+  /**
+   * Removes a class from an element and records it
+   * @param {string} key - Selector of the removal rule
+   * @param {Element} element - Element to strip
+   * @param {string} className - Class to remove
+   * @returns {boolean} True if the element had the class
+   */
+  removeClass(key, element, className) {
+    if (!element.classList.contains(className) || this.isExempt(element)) return false;
+
+    this.record({ key, kind: 'class', element, className });
+    element.classList.remove(className);
+    this.onChange();
+    return true;
+  }
+
+  /**
+   * Adds an entry, pruning and then capping the journal when it grows too large
+   * @param {Object} entry - Journal entry
+   */
+  record(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > RemovalJournal.MAX_ENTRIES) {
+      this.prune();
+      this.entries = this.entries.slice(-RemovalJournal.MAX_ENTRIES);
+    }
+  }
+
+  /**
+   * Forgets removals the page discarded on its own: nodes whose parent left the page and
+   * stripped elements no longer in it, unless they are inside a node the journal holds
+   */
+  prune() {
+    const held = this.entries.filter(entry => entry.kind === 'node').map(entry => entry.node);
+    this.entries = this.entries.filter(entry => {
+      const anchor = entry.kind === 'class' ? entry.element : entry.parent;
+      return anchor.isConnected || held.some(node => node.contains(anchor));
+    });
+  }
+
+  /**
+   * Counts the recorded removals of a rule still in the page
+   * @param {string} key - Selector of the removal rule
+   * @returns {number} Number of journal entries
+   */
+  count(key) {
+    this.prune();
+    return this.entries.filter(entry => entry.key === key).length;
+  }
+
+  /**
+   * Counts every recorded removal still in the page
+   * @returns {number} Number of journal entries
+   */
+  size() {
+    this.prune();
+    return this.entries.length;
+  }
+
+  /**
+   * Puts back everything a rule removed
+   * @param {string} key - Selector of the removal rule
+   * @returns {number} Number of nodes and classes restored
+   */
+  restore(key) {
+    const entries = this.entries.filter(entry => entry.key === key);
+    this.entries = this.entries.filter(entry => entry.key !== key);
+    return this.restoreEntries(entries);
+  }
+
+  /**
+   * Puts back everything in the journal
+   * @returns {number} Number of nodes and classes restored
+   */
+  restoreAll() {
+    const entries = this.entries;
+    this.entries = [];
+    return this.restoreEntries(entries);
+  }
+
+  /**
+   * Puts back the removals of elements that are now exempt
+   * Used when an exception rule is added after its elements were removed
+   * @returns {number} Number of nodes and classes restored
+   */
+  restoreExempt() {
+    const isEntryExempt = entry => this.isExempt(entry.kind === 'class' ? entry.element : entry.node);
+    const entries = this.entries.filter(isEntryExempt);
+    this.entries = this.entries.filter(entry => !isEntryExempt(entry));
+    return this.restoreEntries(entries);
+  }
+
+  /**
+   * Restores entries newest first, so nested removals unwind in the right order
+   * @param {Array<Object>} entries - Journal entries in removal order
+   * @returns {number} Entries restored into the live page
+   */
+  restoreEntries(entries) {
+    let restored = 0;
+    entries.slice().reverse().forEach(entry => {
+      try {
+        if (this.restoreEntry(entry)) restored++;
+      } catch (error) {
+        console.warn('[RemovalJournal] ⚠️ Could not restore removal:', entry.key, error);
+      }
+    });
+    if (entries.length > 0) {
+      this.onChange();
+    }
+    return restored;
+  }
+
+  /**
+   * Restores a single entry
+   * @param {Object} entry - Journal entry
+   * @returns {boolean} True if the restored node or class is in the live page
+   */
+  restoreEntry(entry) {
+    if (entry.kind === 'class') {
+      entry.element.classList.add(entry.className);
+      return entry.element.isConnected;
+    }
+
+    // Prefer the original next sibling, then the previous one; the page may have moved either
+    const { node, parent, previousSibling, nextSibling } = entry;
+    if (nextSibling && nextSibling.parentNode === parent) {
+      parent.insertBefore(node, nextSibling);
+    } else if (previousSibling && previousSibling.parentNode === parent) {
+      parent.insertBefore(node, previousSibling.nextSibling);
+    } else if (!previousSibling) {
+      parent.insertBefore(node, parent.firstChild);
+    } else {
+      parent.appendChild(node);
+    }
+    return node.isConnected;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RemovalJournal;
+} else if (typeof window !== 'undefined') {
+  window.RemovalJournal = RemovalJournal;
+}
@@ -0,0 +1,395 @@
+/**
+ * RuleExporters - Converts stored rules into formats other tools can load
+ * Formats: uBlock Origin filter list, user CSS (Stylus) and a userscript
+ * All exporters take the same input as RulesBundle.create: { domain: { hidden, removedElements } }
+ * Exception rules are not exported, since none of the formats can scope them the same way.
+ * Disabled rules are left out. Hide rules keep their mode where the format can express it.
+ * Domain targets (see DomainModel) are written per entry; uBlock Origin always includes
+ * subdomains, so exact hosts are widened there. Global rules ("*") apply to every site,
+ * minus the sites that switched them off where the format can express it.
+ * Rules scoped to some pages (see UrlScope) only go to the userscript, which can test the
+ * page's location; the filter list and user CSS list them in a comment instead
+ */
+class RuleExporters {
+  /**
+   * Supported formats with their file name and MIME type
+   */
+  static FORMATS = {
+    UBLOCK: { id: 'ublock', extension: 'txt', mimeType: 'text/plain' },
+    USER_CSS: { id: 'usercss', extension: 'user.css', mimeType: 'text/css' },
+    USERSCRIPT: { id: 'userscript', extension: 'user.js', mimeType: 'text/javascript' }
+  };
+
+  /**
+   * Builds the file for a format
+   * @param {string} formatId - FORMATS[*].id
+   * @param {Object} domains - { domain: { hidden, removedElements } }
+   * @param {Object} metadata - Extra metadata (extensionVersion...)
+   * @returns {{content: string, filename: string, mimeType: string}} File to download
+   * @throws {Error} If the format is unknown
+   */
+  static export(formatId, domains, metadata = {}) {
+    const format = Object.values(this.FORMATS).find(item => item.id === formatId);
+    if (!format) {
+      throw new Error(`Unknown export format: ${formatId}`);
+    }
+
+    const builders = {
+      ublock: () => this.toFilterList(domains, metadata),
+      usercss: () => this.toUserCss(domains, metadata),
+      userscript: () => this.toUserscript(domains, metadata)
+    };
+
+    return {
+      content: builders[format.id](),
+      filename: `hidethis-${new Date().toISOString().slice(0, 10)}.${format.extension}`,
+      mimeType: format.mimeType
+    };
+  }
+
+  /**
+   * Groups the enabled rules of each domain, dropping domains without any
+   * Scoped rules are set apart in skipped unless the format can express their scope
+   * @param {Object} domains - { domain: { hidden, removedElements } }
+   * @param {boolean} includeScoped - True to keep scoped rules with the others
+   * @returns {Array<{domain: string, hidden: Array<Object>, removedElements: Array<Object>, skipped: Array<Object>}>} Sorted by domain
+   */
+  static collect(domains, includeScoped = false) {
+    return Object.keys(domains).sort().map(domain => {
+      const enabled = list => (domains[domain][list] || []).filter(rule => RuleModel.isEnabled(rule));
+      const exported = rule => includeScoped || !this.isScoped(rule);
+      const hidden = enabled('hidden');
+      const removedElements = enabled('removedElements');
+      return {
+        domain,
+        hidden: hidden.filter(exported),
+        removedElements: removedElements.filter(exported),
+        skipped: [...hidden, ...removedElements].filter(rule => !exported(rule))
+      };
+    }).filter(entry => entry.hidden.length > 0 || entry.removedElements.length > 0 || entry.skipped.length > 0);
+  }
+
+  /**
+   * Checks if a rule only applies to some pages of its domain
+   * @param {Object} rule - Stored rule
+   * @returns {boolean} True if the rule has a scope narrower than the domain
+   */
+  static isScoped(rule) {
+    return !!rule.scope && rule.scope.type !== UrlScope.TYPES.DOMAIN;
+  }
+
+  /**
+   * Describes a skipped scoped rule for a comment
+   * @param {Object} rule - Scoped rule
+   * @returns {string} Description
+   */
+  static describeSkipped(rule) {
+    return `Not exported, only applies to some pages (${rule.scope.type} ${rule.scope.value}): ${rule.selector}`;
+  }
+
+  /**
+   * Regular expression the userscript tests a scoped rule against, mirroring UrlScope.matches
+   * exact and prefix look at the path, glob and regex at the path plus query string
+   * @param {Object} scope - UrlScope
+   * @returns {{pattern: string, query: boolean}} Pattern source and whether it includes the query string
+   */
+  static toScopePattern(scope) {
+    switch (scope.type) {
+      case UrlScope.TYPES.EXACT: {
+        const path = UrlScope.trimTrailingSlash(scope.value);
+        return { pattern: path === '/' ? '^/$' : `^${UrlScope.escapeRegExp(path)}/*$`, query: false };
+      }
+      case UrlScope.TYPES.PREFIX:
+        return { pattern: `^${UrlScope.escapeRegExp(scope.value)}`, query: false };
+      case UrlScope.TYPES.GLOB:
+        return { pattern: UrlScope.globToRegExp(scope.value).source, query: true };
+      default:
+        return { pattern: scope.value, query: true };
+    }
+  }
+
+  /**
+   * Maps each switched-off global rule to the targets that switched it off
+   * @param {Object} domains - { domain: { hidden, removedElements, disabledGlobalRules? } }
+   * @returns {Map<string, Array<string>>} Rule id → domain targets
+   */
+  static collectGlobalExceptions(domains) {
+    const exceptions = new Map();
+    Object.keys(domains).sort().forEach(domain => {
+      (domains[domain].disabledGlobalRules || []).forEach(ruleId => {
+        exceptions.set(ruleId, [...(exceptions.get(ruleId) || []), domain]);
+      });
+    });
+    return exceptions;
+  }
+
+  /**
+   * uBlock Origin domain list of a target, empty for the global target
+   * @param {string} target - Domain target
+   * @returns {string} Comma-separated hosts
+   */
+  static toFilterDomains(target) {
+    if (DomainModel.isGlobalTarget(target)) return '';
+    return DomainModel.parseTarget(target).map(entry => entry.host).join(',');
+  }
+
+  /**
+   * uBlock Origin filter list
+   * Hide rules become "domain##selector", or use :style() for modes other than
+   * collapse and placeholder. Class removals use the remove-class scriptlet and
+   * element removals the :remove() operator. Global rules are generic filters,
+   * followed by "domain#@#" exceptions for the sites that switched them off
+   * @param {Object} domains - { domain: { hidden, removedElements } }
+   * @param {Object} metadata - Extra metadata (extensionVersion...)
+   * @returns {string} Filter list
+   */
+  static toFilterList(domains, metadata = {}) {
+    const lines = [
+      '! Title: HideThis',
+      `! Exported: ${new Date().toISOString()}`,
+      ...(metadata.extensionVersion ? [`! HideThis version: ${metadata.extensionVersion}`] : [])
+    ];
+
+    const globalExceptions = this.collectGlobalExceptions(domains);
+
+    this.collect(domains).forEach(({ domain: target, hidden, removedElements, skipped }) => {
+      const domain = this.toFilterDomains(target);
+      lines.push('', `! ${target}`);
+      const addFilter = (rule, body) => {
+        lines.push(`${domain}##${body}`);
+        (globalExceptions.get(rule.id) || []).forEach(exceptionTarget => {
+          lines.push(`${this.toFilterDomains(exceptionTarget)}#@#${body}`);
+        });
+      };
+      hidden.forEach(rule => addFilter(rule, this.toHideFilterBody(rule)));
+      removedElements.forEach(rule => addFilter(rule, this.toRemovalFilterBody(rule)));
+      skipped.forEach(rule => lines.push(`! ${this.describeSkipped(rule)}`));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Filter text after "##" for a removal rule
+   * @param {Object} rule - Removal rule
+   * @returns {string} remove-class scriptlet or selector with :remove()
+   */
+  static toRemovalFilterBody(rule) {
+    if (rule.type === 'class') {
+      const className = this.escapeScriptletArg(rule.selector.substring(1));
+      return `+js(remove-class, ${className}, ${this.escapeScriptletArg(rule.selector)})`;
+    }
+    return `${rule.selector}:remove()`;
+  }
+
+  /**
+   * Filter text after "##" for a hide rule
+   * @param {Object} rule - Hide rule
+   * @returns {string} Selector, with :style() for modes that don't collapse
+   */
+  static toHideFilterBody(rule) {
+    const collapses = HideStylesheet.getDeclarations(rule.mode) === HideStylesheet.getDeclarations(RuleModel.DEFAULT_HIDE_MODE);
+    return collapses
+      ? rule.selector
+      : `${rule.selector}:style(${HideStylesheet.getDeclarations(rule.mode).replace(/;$/, '')})`;
+  }
+
+  /**
+   * User CSS for Stylus and similar extensions
+   * CSS can't remove a class, so class removals are listed as comments. Global rules
+   * go outside any @-moz-document section; sites that switched them off are only listed
+   * @param {Object} domains - { domain: { hidden, removedElements } }
+   * @param {Object} metadata - Extra metadata (extensionVersion...)
+   * @returns {string} UserCSS stylesheet
+   */
+  static toUserCss(domains, metadata = {}) {
+    const globalExceptions = this.collectGlobalExceptions(domains);
+
+    const blocks = this.collect(domains).map(({ domain, hidden, removedElements, skipped }) => {
+      const styled = [
+        ...hidden.map(rule => ({ selector: rule.selector, declarations: HideStylesheet.getDeclarations(rule.mode) })),
+        ...removedElements.filter(rule => rule.type !== 'class').map(rule => ({
+          selector: rule.selector,
+          declarations: HideStylesheet.getDeclarations(RuleModel.DEFAULT_HIDE_MODE)
+        }))
+      ];
+      const classRemovals = removedElements.filter(rule => rule.type === 'class');
+
+      const body = styled.map(({ selector, declarations }) => `  ${selector} { ${declarations} }`);
+      if (classRemovals.length > 0) {
+        body.push(`  /* Class removals need the HideThis userscript: ${classRemovals.map(rule => this.escapeCssComment(rule.selector)).join(' ')} */`);
+      }
+      skipped.forEach(rule => body.push(`  /* ${this.escapeCssComment(this.describeSkipped(rule))} */`));
+
+      if (DomainModel.isGlobalTarget(domain)) {
+        const switchedOff = [...hidden, ...removedElements]
+          .filter(rule => globalExceptions.has(rule.id))
+          .map(rule => `  /* ${this.escapeCssComment(rule.selector)} is switched off on: ${this.escapeCssComment(globalExceptions.get(rule.id).join(' '))} */`);
+        return [...switchedOff, ...body].map(line => line.substring(2)).join('\n');
+      }
+
+      const matchers = DomainModel.parseTarget(domain).map(({ host, includeSubdomains }) => includeSubdomains
+        ? `domain("${host}")`
+        : `url-prefix("https://${host}/"), url-prefix("http://${host}/")`);
+
+      return `@-moz-document ${matchers.join(', ')} {\n${body.join('\n')}\n}`;
+    });
+
+    const header = [
+      '/* ==UserStyle==',
+      '@name           HideThis',
+      '@namespace      hidethis',
+      `@version        ${metadata.extensionVersion || '1.0.0'}`,
+      '@description    Elements hidden with HideThis',
+      '==/UserStyle== */'
+    ].join('\n');
+
+    return `${header}\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Standalone userscript (Tampermonkey, Violentmonkey...)
+   * Hides elements with a stylesheet and repeats DomAttrsRemover's removals:
+   * classes are taken off their elements, other matches are removed.
+   * Removals are re-applied when the page adds new content, and scoped rules are
+   * checked again when the page changes its URL without reloading
+   * @param {Object} domains - { domain: { hidden, removedElements } }
+   * @param {Object} metadata - Extra metadata (extensionVersion...)
+   * @returns {string} Userscript source
+   */
+  static toUserscript(domains, metadata = {}) {
+    const entries = this.collect(domains, true);
+    const scope = rule => this.isScoped(rule) ? { scope: this.toScopePattern(rule.scope) } : {};
+    const globalExceptions = this.collectGlobalExceptions(domains);
+    const except = rule => globalExceptions.has(rule.id)
+      ? { except: globalExceptions.get(rule.id).flatMap(target => DomainModel.parseTarget(target)) }
+      : {};
+
+    // Global rules have no targets, and a rule's except lists the sites that switched it off
+    const rules = entries.map(({ domain, hidden, removedElements }) => ({
+      targets: DomainModel.isGlobalTarget(domain) ? null : DomainModel.parseTarget(domain),
+      hide: hidden.map(rule => ({ selector: rule.selector, declarations: HideStylesheet.getDeclarations(rule.mode), ...scope(rule), ...except(rule) })),
+      remove: removedElements.map(rule => ({ selector: rule.selector, type: rule.type, ...scope(rule), ...except(rule) }))
+    }));
+    const matches = rules.some(({ targets }) => !targets)
+      ? ['*://*/*']
+      : [...new Set(rules.flatMap(({ targets }) => targets.map(({ host, includeSubdomains }) =>
+        includeSubdomains ? `*://*.${host}/*` : `*://${host}/*`)))];
+
+    const header = [
+      '// ==UserScript==',
+      '// @name         HideThis',
+      '// @namespace    hidethis',
+      `// @version      ${metadata.extensionVersion || '1.0.0'}`,
+      '// @description  Elements hidden and removed with HideThis',
+      ...matches.map(match => `// @match        ${match}`),
+      '// @run-at       document-start',
+      '// @grant        none',
+      '// ==/UserScript=='
+    ].join('\n');
+
+    return `${header}
+
+(function () {
+  'use strict';
+
+  const RULES = ${JSON.stringify(rules, null, 2).replace(/\n/g, '\n  ')};
+
+  const host = location.hostname;
+  const covers = ({ host: target, includeSubdomains }) =>
+    host === target || (includeSubdomains && host.endsWith('.' + target));
+  const matching = RULES.filter(({ targets }) => !targets || targets.some(covers));
+  if (matching.length === 0) return;
+
+  const applies = ({ except }) => !except || !except.some(covers);
+  const rules = {
+    hide: matching.flatMap(({ hide }) => hide).filter(applies),
+    remove: matching.flatMap(({ remove }) => remove).filter(applies)
+  };
+
+  const inScope = ({ scope }) =>
+    !scope || new RegExp(scope.pattern).test(location.pathname + (scope.query ? location.search : ''));
+
+  const style = document.createElement('style');
+  const renderStyle = () => {
+    style.textContent = rules.hide.filter(inScope)
+      .map(({ selector, declarations }) => selector + ' { ' + declarations + ' }').join('\\n');
+  };
+  if (rules.hide.length > 0) {
+    renderStyle();
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  const applyRemovals = () => {
+    rules.remove.filter(inScope).forEach(({ selector, type }) => {
+      try {
+        if (type === 'class') {
+          const className = selector.substring(1);
+          document.querySelectorAll('.' + CSS.escape(className)).forEach(element => element.classList.remove(className));
+        } else {
+          document.querySelectorAll(selector).forEach(element => element.remove());
+        }
+      } catch (error) {
+        console.warn('[HideThis] Invalid selector:', selector);
+      }
+    });
+  };
+
+  // Single-page sites change the URL without reloading, so scoped rules are checked on page changes
+  const hasScopes = [...rules.hide, ...rules.remove].some(({ scope }) => scope);
+  if (rules.remove.length > 0 || hasScopes) {
+    let scheduled = false;
+    let lastUrl = location.href;
+    const observer = new MutationObserver(() => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        if (location.href !== lastUrl) {
+          lastUrl = location.href;
+          renderStyle();
+        }
+        applyRemovals();
+      });
+    });
+
+    const start = () => {
+      applyRemovals();
+      observer.observe(document.body, { childList: true, subtree: true });
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start);
+    } else {
+      start();
+    }
+  }
+})();
+`;
+  }
+
+  /**
+   * Escapes commas in uBlock scriptlet arguments
+   * @param {string} value - Argument
+   * @returns {string} Escaped argument
+   */
+  static escapeScriptletArg(value) {
+    return value.replace(/,/g, '\\,');
+  }
+
+  /**
+   * Keeps a selector from closing the CSS comment it is written in
+   * @param {string} value - Selector
+   * @returns {string} Safe text
+   */
+  static escapeCssComment(value) {
+    return value.replace(/\*\//g, '* /');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleExporters;
+} else if (typeof window !== 'undefined') {
+  window.RuleExporters = RuleExporters;
+}
@@ -0,0 +1,154 @@
+/**
+ * RuleModel - Creates and updates the rule objects stored by StorageManager
+ * Rule structure: { id, selector, action, createdAt, updatedAt, enabled, note }
+ * Hide rules also carry a mode and may carry a fingerprint, removal rules a type and count.
+ * Any rule may carry a scope limiting it to some pages of its domain (see UrlScope).
+ * Disabled rules (enabled: false) stay stored but are not applied.
+ * Exception (allow) rules keep the elements they match from being hidden or removed
+ */
+class RuleModel {
+  /**
+   * Actions a rule can perform on matching elements
+   */
+  static ACTIONS = {
+    HIDE: 'hide',
+    REMOVE: 'remove',
+    ALLOW: 'allow'
+  };
+
+  /**
+   * How a hide rule hides its elements (styles live in HideStylesheet.MODE_DECLARATIONS)
+   */
+  static HIDE_MODES = {
+    COLLAPSE: 'collapse',       // display: none
+    INVISIBLE: 'invisible',     // visibility: hidden, keeps the layout space
+    DIM: 'dim',                 // Reduced opacity
+    BLUR: 'blur',               // Blurred
+    PLACEHOLDER: 'placeholder'  // Replaced by a click-to-show bar
+  };
+
+  /**
+   * Mode used by rules stored before modes existed and by imported rules
+   */
+  static DEFAULT_HIDE_MODE = 'collapse';
+
+  /**
+   * How a removal rule acts on its elements (see DomAttrsRemover.applyRemoval)
+   */
+  static REMOVAL_TYPES = {
+    CLASS: 'class',      // The class is taken off its elements
+    ID: 'id',            // The element with the id is removed
+    COMPLEX: 'complex'   // Every match is removed
+  };
+
+  /**
+   * Creates a new rule with a fresh id and timestamps
+   * @param {string} selector - CSS selector the rule applies to
+   * @param {string} action - One of RuleModel.ACTIONS
+   * @param {Object} extra - Additional fields (fingerprint, type, count, note...)
+   * @returns {Object} Rule object
+   */
+  static create(selector, action, extra = {}) {
+    const now = Date.now();
+
+    return {
+      id: this.generateId(),
+      selector,
+      action,
+      createdAt: now,
+      updatedAt: now,
+      enabled: true,
+      note: '',
+      ...extra
+    };
+  }
+
+  /**
+   * Returns a copy of a rule with changes applied and updatedAt refreshed
+   * id and createdAt can't be changed
+   * @param {Object} rule - Rule to update
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Updated rule
+   */
+  static update(rule, changes = {}) {
+    return {
+      ...rule,
+      ...changes,
+      id: rule.id,
+      createdAt: rule.createdAt,
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Checks if a value looks like a stored rule object
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a rule
+   */
+  static isRule(value) {
+    return !!value && typeof value === 'object' &&
+           typeof value.id === 'string' && typeof value.selector === 'string';
+  }
+
+  /**
+   * Checks if a rule is switched on; rules stored before the flag existed are
+   * @param {Object} rule - Stored rule
+   * @returns {boolean} True unless enabled is false
+   */
+  static isEnabled(rule) {
+    return rule.enabled !== false;
+  }
+
+  /**
+   * Checks if a value is a known hide mode
+   * @param {*} mode - Value to check
+   * @returns {boolean} True if mode is one of HIDE_MODES
+   */
+  static isHideMode(mode) {
+    return Object.values(this.HIDE_MODES).includes(mode);
+  }
+
+  /**
+   * Checks if a value is a known removal type
+   * @param {*} type - Value to check
+   * @returns {boolean} True if type is one of REMOVAL_TYPES
+   */
+  static isRemovalType(type) {
+    return Object.values(this.REMOVAL_TYPES).includes(type);
+  }
+
+  /**
+   * Checks that a rule id is safe to put in markup and storage keys
+   * Generated ids are UUIDs; ids of other origins only need to keep to the same characters
+   * @param {*} id - Value to check
+   * @returns {boolean} True if id is 1 to 64 letters, digits, dashes or underscores
+   */
+  static isValidId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+  }
+
+  /**
+   * Generates a RFC 4122 version 4 UUID
+   * crypto.randomUUID is missing on insecure (http) pages, so fall back to getRandomValues
+   * @returns {string} UUID
+   */
+  static generateId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleModel;
+} else if (typeof window !== 'undefined') {
+  window.RuleModel = RuleModel;
+}
@@ -0,0 +1,323 @@
+/**
+ * RulesBundle - Builds, validates and merges portable JSON bundles of rules
+ * Bundle structure: { format, bundleVersion, schemaVersion, exportedAt, extensionVersion,
+ *                     domains: { "domain.com": { hidden: [], removedElements: [], exceptions: [],
+ *                                                disabledGlobalRules?: [] } } }
+ * disabledGlobalRules holds the ids of shared rules switched off for the domain (see StorageManager)
+ */
+class RulesBundle {
+  /**
+   * Format marker written to every bundle
+   */
+  static FORMAT = 'hidethis-rules';
+
+  /**
+   * Version of the bundle envelope (not the storage schema)
+   */
+  static BUNDLE_VERSION = 1;
+
+  /**
+   * Per-domain import strategies
+   */
+  static STRATEGIES = {
+    MERGE: 'merge',         // Add new rules, update existing ones if the bundle copy is newer
+    REPLACE: 'replace',     // Drop the domain's current rules and use the bundle's
+    SKIP_EXISTING: 'skip',  // Only add rules that don't exist yet
+    IGNORE: 'ignore'        // Don't import this domain
+  };
+
+  /**
+   * Rule lists stored per domain and the action each one holds
+   */
+  static RULE_LISTS = {
+    hidden: 'hide',
+    removedElements: 'remove',
+    exceptions: 'allow'
+  };
+
+  /**
+   * Builds a bundle from stored domain data
+   * @param {Object} domains - { domain: { hidden, removedElements, exceptions?, disabledGlobalRules? } }
+   * @param {Object} metadata - Extra metadata (extensionVersion...)
+   * @returns {Object} Bundle ready to serialize
+   */
+  static create(domains, metadata = {}) {
+    const exported = {};
+    Object.entries(domains).forEach(([domain, domainData]) => {
+      const lists = Object.keys(this.RULE_LISTS);
+      const disabledGlobalRules = domainData.disabledGlobalRules || [];
+      if (lists.every(list => (domainData[list] || []).length === 0) && disabledGlobalRules.length === 0) return;
+
+      exported[domain] = {};
+      lists.forEach(list => {
+        exported[domain][list] = (domainData[list] || []).map(rule => ({ ...rule }));
+      });
+      if (disabledGlobalRules.length > 0) {
+        exported[domain].disabledGlobalRules = [...disabledGlobalRules];
+      }
+    });
+
+    return {
+      format: this.FORMAT,
+      bundleVersion: this.BUNDLE_VERSION,
+      schemaVersion: StorageMigrations.CURRENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: metadata.extensionVersion || null,
+      domains: exported
+    };
+  }
+
+  /**
+   * Serializes a bundle for download
+   * @param {Object} bundle - Bundle object
+   * @returns {string} Pretty-printed JSON
+   */
+  static stringify(bundle) {
+    return JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * Parses and validates bundle text, migrating old schema versions
+   * @param {string} text - File contents
+   * @returns {Object} Validated bundle at the current schema version
+   * @throws {Error} With a user-facing (Spanish) message if the file is invalid
+   */
+  static parse(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (error) {
+      throw new Error('El archivo no es un JSON válido');
+    }
+
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== this.FORMAT) {
+      throw new Error('El archivo no es una exportación de HideThis');
+    }
+    if (bundle.bundleVersion > this.BUNDLE_VERSION) {
+      throw new Error('El archivo fue creado con una versión más reciente de HideThis');
+    }
+    if (!bundle.domains || typeof bundle.domains !== 'object' || Array.isArray(bundle.domains)) {
+      throw new Error('El archivo no contiene dominios');
+    }
+
+    // Bring rules exported by older versions up to the current schema
+    const schemaVersion = bundle.schemaVersion || 0;
+    if (StorageMigrations.isNewer(schemaVersion)) {
+      throw new Error('Las reglas del archivo son de una versión más reciente de HideThis. Actualiza la extensión para importarlas');
+    }
+    let data;
+    try {
+      ({ data } = StorageMigrations.run(bundle.domains, schemaVersion));
+    } catch (error) {
+      console.error('❌ Error migrating imported rules:', error);
+      throw new Error('Las reglas del archivo no se pudieron actualizar a esta versión de HideThis');
+    }
+
+    const domains = {};
+    Object.entries(data).forEach(([domain, domainData]) => {
+      if (!this.isValidDomain(domain)) {
+        throw new Error(`Dominio inválido: ${domain}`);
+      }
+
+      domains[domain] = {};
+      Object.entries(this.RULE_LISTS).forEach(([list, action]) => {
+        const rules = domainData[list] || [];
+        if (!Array.isArray(rules)) {
+          throw new Error(`Lista "${list}" inválida en ${domain}`);
+        }
+        domains[domain][list] = rules.map(rule => this.validateRule(rule, action, domain));
+      });
+
+      const disabledGlobalRules = domainData.disabledGlobalRules || [];
+      if (!Array.isArray(disabledGlobalRules) || !disabledGlobalRules.every(id => RuleModel.isValidId(id))) {
+        throw new Error(`Lista "disabledGlobalRules" inválida en ${domain}`);
+      }
+      if (disabledGlobalRules.length > 0) {
+        domains[domain].disabledGlobalRules = [...disabledGlobalRules];
+      }
+    });
+
+    return { ...bundle, schemaVersion: StorageMigrations.CURRENT_VERSION, domains };
+  }
+
+  /**
+   * Validates a single rule from a bundle
+   * @param {Object} rule - Rule to validate
+   * @param {string} action - Action expected for the list it is in
+   * @param {string} domain - Domain, for error messages
+   * @returns {Object} Rule
+   * @throws {Error} If the rule is malformed
+   */
+  static validateRule(rule, action, domain) {
+    if (!RuleModel.isRule(rule) || !rule.selector.trim()) {
+      throw new Error(`Regla sin id o selector en ${domain}`);
+    }
+    if (!RuleModel.isValidId(rule.id)) {
+      throw new Error(`Id de regla inválido en ${domain}: ${rule.selector}`);
+    }
+    if (rule.action !== action) {
+      throw new Error(`Acción "${rule.action}" inesperada en ${domain}`);
+    }
+    if (action === RuleModel.ACTIONS.HIDE && !RuleModel.isHideMode(rule.mode)) {
+      throw new Error(`Modo "${rule.mode}" inesperado en ${domain}: ${rule.selector}`);
+    }
+    if (action === RuleModel.ACTIONS.REMOVE && !RuleModel.isRemovalType(rule.type)) {
+      throw new Error(`Tipo de eliminación "${rule.type}" inesperado en ${domain}: ${rule.selector}`);
+    }
+    if (!this.isValidSelector(rule.selector)) {
+      throw new Error(`Selector inválido en ${domain}: ${rule.selector}`);
+    }
+    if (!UrlScope.isValid(rule.scope)) {
+      throw new Error(`Alcance inválido en ${domain}: ${rule.selector}`);
+    }
+    return { ...rule };
+  }
+
+  /**
+   * Checks that a bundle key is a hostname or another domain target (see DomainModel)
+   * @param {string} domain - Domain key
+   * @returns {boolean} True if valid
+   */
+  static isValidDomain(domain) {
+    return DomainModel.isValidTarget(domain);
+  }
+
+  /**
+   * Checks selector syntax without touching the page
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if the selector parses
+   */
+  static isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Describes what importing a bundle would change, per domain
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} currentDomains - Stored data { domain: { hidden, removedElements } }
+   * @returns {Array<Object>} One entry per domain: { domain, exists, incoming, added, updated, unchanged, current }
+   */
+  static preview(bundle, currentDomains) {
+    return Object.entries(bundle.domains).map(([domain, incoming]) => {
+      const current = currentDomains[domain] || { hidden: [], removedElements: [], exceptions: [] };
+      const summary = {
+        domain,
+        exists: !!currentDomains[domain],
+        incoming: 0,
+        added: 0,
+        updated: 0,
+        unchanged: 0,
+        current: 0
+      };
+
+      Object.keys(this.RULE_LISTS).forEach(list => {
+        const currentRules = current[list] || [];
+        summary.current += currentRules.length;
+
+        incoming[list].forEach(rule => {
+          summary.incoming++;
+          const existing = this.findMatchingRule(currentRules, rule);
+          if (!existing) {
+            summary.added++;
+          } else if ((rule.updatedAt || 0) > (existing.updatedAt || 0)) {
+            summary.updated++;
+          } else {
+            summary.unchanged++;
+          }
+        });
+      });
+
+      return summary;
+    });
+  }
+
+  /**
+   * Applies a bundle to stored data using a strategy per domain
+   * Switched off shared rules are replaced or added like rules; their ids follow
+   * incoming rules that were matched to a stored rule with another id
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} currentDomains - Stored data { domain: { hidden, removedElements, disabledGlobalRules? } }
+   * @param {Object} strategies - { domain: strategy }, missing domains use MERGE
+   * @returns {Object} Changed domains only { domain: { hidden, removedElements, exceptions, disabledGlobalRules } }
+   */
+  static apply(bundle, currentDomains, strategies = {}) {
+    const changed = {};
+    const idMap = new Map();
+
+    Object.entries(bundle.domains).forEach(([domain, incoming]) => {
+      const strategy = strategies[domain] || this.STRATEGIES.MERGE;
+      if (strategy === this.STRATEGIES.IGNORE) return;
+
+      const current = currentDomains[domain] || { hidden: [], removedElements: [], exceptions: [] };
+      changed[domain] = {};
+
+      Object.keys(this.RULE_LISTS).forEach(list => {
+        changed[domain][list] = this.mergeRules(current[list] || [], incoming[list], strategy, idMap);
+      });
+    });
+
+    Object.entries(changed).forEach(([domain, domainData]) => {
+      const strategy = strategies[domain] || this.STRATEGIES.MERGE;
+      const currentIds = strategy === this.STRATEGIES.REPLACE ? [] : (currentDomains[domain]?.disabledGlobalRules || []);
+      const incomingIds = (bundle.domains[domain].disabledGlobalRules || []).map(id => idMap.get(id) || id);
+      domainData.disabledGlobalRules = [...new Set([...currentIds, ...incomingIds])];
+    });
+
+    return changed;
+  }
+
+  /**
+   * Combines current and incoming rules of one list
+   * @param {Array<Object>} currentRules - Stored rules
+   * @param {Array<Object>} incomingRules - Bundle rules
+   * @param {string} strategy - One of STRATEGIES
+   * @param {Map<string, string>|null} idMap - Filled with incoming id → stored id for rules matched by selector
+   * @returns {Array<Object>} Resulting rules
+   */
+  static mergeRules(currentRules, incomingRules, strategy, idMap = null) {
+    if (strategy === this.STRATEGIES.REPLACE) {
+      return incomingRules.map(rule => ({ ...rule }));
+    }
+
+    const result = currentRules.map(rule => ({ ...rule }));
+    incomingRules.forEach(rule => {
+      const existing = this.findMatchingRule(result, rule);
+      if (!existing) {
+        result.push({ ...rule });
+        return;
+      }
+      if (idMap && existing.id !== rule.id) {
+        idMap.set(rule.id, existing.id);
+      }
+
+      // Merge keeps whichever copy was edited last, but never changes the stored id
+      if (strategy === this.STRATEGIES.MERGE && (rule.updatedAt || 0) > (existing.updatedAt || 0)) {
+        Object.assign(existing, { ...rule, id: existing.id });
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Finds the stored rule that corresponds to an incoming one (same id or same selector)
+   * @param {Array<Object>} rules - Rules to search
+   * @param {Object} rule - Incoming rule
+   * @returns {Object|undefined} Matching rule
+   */
+  static findMatchingRule(rules, rule) {
+    return rules.find(item => item.id === rule.id) ||
+           rules.find(item => item.selector === rule.selector);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RulesBundle;
+} else if (typeof window !== 'undefined') {
+  window.RulesBundle = RulesBundle;
+}
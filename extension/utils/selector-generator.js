@@ -0,0 +1,261 @@
+/**
+ * SelectorGenerator - Builds unique CSS selectors for picked elements
+ * Prefers the most stable ids, attributes and classes (see SelectorStability)
+ * and falls back to :nth-of-type ancestor paths, verifying every candidate
+ * against the live document
+ */
+class SelectorGenerator {
+  /**
+   * Maximum number of ancestors walked when building a path selector
+   */
+  static MAX_PATH_DEPTH = 20;
+
+  /**
+   * Maximum attribute value length worth putting in a selector
+   */
+  static MAX_ATTRIBUTE_LENGTH = 80;
+
+  /**
+   * Generates the shortest selector that matches only the given element
+   * @param {Element} element - Element to generate selector for
+   * @param {Document} root - Document used for uniqueness checks
+   * @returns {string|null} Unique CSS selector or null if none could be built
+   */
+  static generate(element, root = document) {
+    if (!this.isSelectableElement(element, root)) return null;
+
+    const ownSelector = this.findUniqueOwnSelector(element, root);
+    if (ownSelector) return ownSelector;
+
+    return this.buildAncestorPath(element, root);
+  }
+
+  /**
+   * Checks if an element can be targeted by a persisted selector
+   * @param {Element} element - Element to check
+   * @param {Document} root - Document the element belongs to
+   * @returns {boolean} True if element is selectable
+   */
+  static isSelectableElement(element, root = document) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+    if (!root.documentElement || !root.documentElement.contains(element)) return false;
+
+    return ![root.documentElement, root.body, root.head].includes(element);
+  }
+
+  /**
+   * Finds a unique selector built only from the element's own id, attributes and classes
+   * Candidates are tried from most to least stable, shortest first on ties
+   * @param {Element} element - Element to describe
+   * @param {Document} root - Document used for uniqueness checks
+   * @returns {string|null} Most stable unique selector or null
+   */
+  static findUniqueOwnSelector(element, root = document) {
+    const candidates = this.getOwnCandidates(element)
+      .sort((a, b) => (b.score - a.score) || (a.selector.length - b.selector.length));
+
+    const match = candidates.find(candidate => this.isUnique(candidate.selector, element, root));
+    return match ? match.selector : null;
+  }
+
+  /**
+   * Builds scored candidate selectors from the element's own id, attributes and classes
+   * Tokens below SelectorStability.MIN_STABLE_SCORE are left out
+   * @param {Element} element - Element to describe
+   * @returns {Array<{selector: string, score: number}>} Candidates (not yet verified)
+   */
+  static getOwnCandidates(element) {
+    const tagName = element.tagName.toLowerCase();
+    const candidates = new Map();
+    const addCandidate = (selector, score) => {
+      if (!candidates.has(selector) || candidates.get(selector) < score) {
+        candidates.set(selector, score);
+      }
+    };
+
+    if (element.id && SelectorStability.isStableId(element.id)) {
+      addCandidate(`#${CSS.escape(element.id)}`, SelectorStability.scoreId(element.id));
+    }
+
+    this.getCandidateAttributes(element).forEach(({ name, value, score }) => {
+      const attributeSelector = `[${name}="${this.escapeAttributeValue(value)}"]`;
+      addCandidate(attributeSelector, score);
+      addCandidate(`${tagName}${attributeSelector}`, score);
+    });
+
+    const classes = this.getClassNames(element)
+      .map(cls => ({ selector: `.${CSS.escape(cls)}`, score: SelectorStability.scoreClass(cls) }))
+      .filter(cls => cls.score >= SelectorStability.MIN_STABLE_SCORE)
+      .sort((a, b) => b.score - a.score);
+
+    classes.forEach(cls => {
+      addCandidate(cls.selector, cls.score);
+      addCandidate(`${tagName}${cls.selector}`, cls.score);
+    });
+
+    // Pairs of classes narrow down common utility classes
+    const pairSource = classes.slice(0, 4);
+    for (let i = 0; i < pairSource.length; i++) {
+      for (let j = i + 1; j < pairSource.length; j++) {
+        addCandidate(
+          `${tagName}${pairSource[i].selector}${pairSource[j].selector}`,
+          Math.min(pairSource[i].score, pairSource[j].score)
+        );
+      }
+    }
+
+    return Array.from(candidates, ([selector, score]) => ({ selector, score }));
+  }
+
+  /**
+   * Gets the element's attributes that are stable enough to identify it
+   * @param {Element} element - Element to read attributes from
+   * @returns {Array<{name: string, value: string, score: number}>} Usable attributes
+   */
+  static getCandidateAttributes(element) {
+    return Array.from(element.attributes || [])
+      .filter(attr => attr.value && attr.value.length <= this.MAX_ATTRIBUTE_LENGTH)
+      .map(attr => ({
+        name: attr.name,
+        value: attr.value,
+        score: SelectorStability.scoreAttribute(attr.name, attr.value)
+      }))
+      .filter(attr => attr.score >= SelectorStability.MIN_STABLE_SCORE);
+  }
+
+  /**
+   * Builds a child-combinator path from an anchored ancestor down to the element
+   * @param {Element} element - Element to describe
+   * @param {Document} root - Document used for uniqueness checks
+   * @returns {string|null} Unique path selector or null
+   */
+  static buildAncestorPath(element, root = document) {
+    const segments = [];
+    let current = element;
+    let depth = 0;
+
+    while (current && current !== root.documentElement && depth < this.MAX_PATH_DEPTH) {
+      // An ancestor with its own unique selector anchors the path
+      if (current !== element) {
+        const anchor = this.findUniqueOwnSelector(current, root);
+        if (anchor) {
+          const anchoredPath = [anchor, ...segments].join(' > ');
+          if (this.isUnique(anchoredPath, element, root)) {
+            return anchoredPath;
+          }
+        }
+      }
+
+      segments.unshift(this.getPathSegment(current));
+
+      // A lone tag name is unique here but would match every such element elsewhere
+      const path = segments.join(' > ');
+      if (segments.length > 1 && this.isUnique(path, element, root)) {
+        return path;
+      }
+
+      current = current.parentElement;
+      depth++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the path segment for an element (tag plus :nth-of-type when ambiguous)
+   * @param {Element} element - Element to describe
+   * @returns {string} Path segment
+   */
+  static getPathSegment(element) {
+    const tagName = element.tagName.toLowerCase();
+    const parent = element.parentElement;
+
+    if (!parent || tagName === 'body') return tagName;
+
+    const sameTypeSiblings = Array.from(parent.children)
+      .filter(child => child.tagName === element.tagName);
+
+    if (sameTypeSiblings.length === 1) return tagName;
+
+    return `${tagName}:nth-of-type(${sameTypeSiblings.indexOf(element) + 1})`;
+  }
+
+  /**
+   * Checks if a selector matches exactly the given element
+   * @param {string} selector - Selector to test
+   * @param {Element} element - Expected single match
+   * @param {Document} root - Document used for the check
+   * @returns {boolean} True if selector matches only the element
+   */
+  static isUnique(selector, element, root = document) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Checks if a selector would affect the whole page when persisted
+   * Bare tag/universal selectors and selectors matching html, head or body
+   * are page-wide. Invalid selectors are left to the caller's own validation
+   * @param {string} selector - Selector to check
+   * @param {Document} root - Document used for the check
+   * @returns {boolean} True if selector must not be persisted
+   */
+  static isPageWideSelector(selector, root = document) {
+    if (!selector || typeof selector !== 'string' || !selector.trim()) return true;
+
+    const trimmedSelector = selector.trim();
+
+    // Bare type or universal selectors match every such element on the domain
+    if (/^(\*|[a-z][a-z0-9-]*)$/i.test(trimmedSelector)) return true;
+
+    let matches;
+    try {
+      matches = Array.from(root.querySelectorAll(trimmedSelector));
+    } catch (error) {
+      return false;
+    }
+
+    const pageRoots = [root.documentElement, root.head, root.body];
+    return matches.some(match => pageRoots.includes(match));
+  }
+
+  /**
+   * Checks if a selector locates elements by their position in the page
+   * Positional paths only fit the page they were generated on, so they can't be shared across sites
+   * @param {string} selector - Selector to check
+   * @returns {boolean} True if selector uses :nth-* pseudo-classes
+   */
+  static isStructuralSelector(selector) {
+    return /:nth-(last-)?(of-type|child)\(/i.test(selector || '');
+  }
+
+  /**
+   * Gets the element's class names, excluding extension classes
+   * @param {Element} element - Element to read classes from
+   * @returns {Array<string>} Class names
+   */
+  static getClassNames(element) {
+    return Array.from(element.classList || [])
+      .filter(cls => cls.trim().length > 0 && !cls.startsWith('hidethis-'));
+  }
+
+  /**
+   * Escapes a value for use inside a double-quoted attribute selector
+   * @param {string} value - Attribute value
+   * @returns {string} Escaped value
+   */
+  static escapeAttributeValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorGenerator;
+} else {
+  window.SelectorGenerator = SelectorGenerator;
+}
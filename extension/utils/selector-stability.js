@@ -0,0 +1,271 @@
+/**
+ * SelectorStability - Rates classes, ids and attributes by how likely they
+ * are to survive a site redeploy. Scores go from 0 (generated/hashed) to 1 (stable)
+ */
+class SelectorStability {
+  /**
+   * Minimum score for a token to be used in persisted selectors
+   */
+  static MIN_STABLE_SCORE = 0.5;
+
+  /**
+   * Class/id patterns emitted by CSS-in-JS libraries and frameworks
+   */
+  static FRAMEWORK_PATTERNS = [
+    /^css-[a-z0-9]{4,}(-.*)?$/i,          // Emotion: css-1x9f3k, css-1x9f3k-Button
+    /^sc-[a-z0-9]+$/i,                     // styled-components component id: sc-abc123
+    /^jsx-\d+$/,                           // styled-jsx: jsx-123456
+    /^svelte-[a-z0-9]+$/i,                 // Svelte scoped: svelte-1abc2d
+    /^ember\d+$/,                          // Ember view ids: ember123
+    /^(jss|makeStyles-[\w-]+-)\d+$/,       // JSS / MUI v4: jss12, makeStyles-root-3
+    /^_?[A-Za-z][\w]*_[\w-]+__[\w-]{5}$/,  // CSS modules: Button_root__a1b2c
+    // CSS modules (short hash): _3xKq9, _kBwQCj; the digit or mixed case tells it from _header or __next
+    /^_(?=[\w-]*\d|(?=[\w-]*[a-z])(?:[\w-]*[A-Z]){2})[\w-]{5,8}$/,
+    /^ng-tns-c\d+-\d+$/,                   // Angular animations
+    /^_ngcontent-/,                        // Angular emulated encapsulation
+    /^:r[0-9a-z]+:$/,                      // React useId: :r1:
+    /^(radix|headlessui|mui|react-select)-.*\d/i // Component libraries with auto ids
+  ];
+
+  /**
+   * Classes that reflect transient UI state rather than identity
+   */
+  static STATE_PATTERNS = [
+    /^(is|has)-/,
+    /^(active|hover|focus|focused|selected|open|opened|closed|visible|hidden|disabled|loading|loaded|expanded|collapsed|current)$/i,
+    /^ng-star-inserted$/,
+    /^hidethis-/
+  ];
+
+  /**
+   * Base weights for attributes; test hooks are the most durable
+   */
+  static ATTRIBUTE_WEIGHTS = {
+    'data-testid': 1,
+    'data-test-id': 1,
+    'data-test': 1,
+    'data-qa': 1,
+    'data-cy': 1,
+    'data-component': 0.9,
+    'name': 0.85,
+    'aria-label': 0.85,
+    'data-id': 0.7,
+    'role': 0.6,
+    'title': 0.5
+  };
+
+  /**
+   * Weight for class names; they get restyled more often than ids and test hooks
+   */
+  static CLASS_WEIGHT = 0.9;
+
+  /**
+   * Default weight for aria-* attributes not listed above
+   */
+  static ARIA_ATTRIBUTE_WEIGHT = 0.7;
+
+  /**
+   * aria-* attributes that describe state and flip at runtime
+   */
+  static ARIA_STATE_ATTRIBUTES = [
+    'aria-hidden', 'aria-expanded', 'aria-selected', 'aria-checked',
+    'aria-pressed', 'aria-busy', 'aria-current', 'aria-disabled',
+    'aria-invalid', 'aria-live', 'aria-activedescendant', 'aria-controls',
+    'aria-labelledby', 'aria-describedby', 'aria-owns'
+  ];
+
+  /**
+   * Scores a class name
+   * @param {string} className - Class name without dot
+   * @returns {number} Stability score between 0 and 1
+   */
+  static scoreClass(className) {
+    if (this.STATE_PATTERNS.some(pattern => pattern.test(className))) {
+      return 0.2;
+    }
+    return this.CLASS_WEIGHT * this.scoreToken(className);
+  }
+
+  /**
+   * Scores an element id
+   * @param {string} id - Id without hash
+   * @returns {number} Stability score between 0 and 1
+   */
+  static scoreId(id) {
+    return this.scoreToken(id);
+  }
+
+  /**
+   * Scores an attribute/value pair
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {number} Stability score between 0 and 1
+   */
+  static scoreAttribute(name, value) {
+    const weight = this.getAttributeWeight(name);
+    if (weight === 0 || !value) return 0;
+
+    // Free text (labels, titles) is not an identifier, so only penalize digits
+    const valueScore = /\s/.test(value)
+      ? 1 - Math.min(this.getDigitRatio(value), 0.5)
+      : this.scoreToken(value);
+
+    return weight * valueScore;
+  }
+
+  /**
+   * Gets the base weight for an attribute name
+   * @param {string} name - Attribute name
+   * @returns {number} Weight between 0 and 1 (0 if unusable)
+   */
+  static getAttributeWeight(name) {
+    if (name in this.ATTRIBUTE_WEIGHTS) return this.ATTRIBUTE_WEIGHTS[name];
+
+    if (name.startsWith('aria-') && !this.ARIA_STATE_ATTRIBUTES.includes(name)) {
+      return this.ARIA_ATTRIBUTE_WEIGHT;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Checks if a class name is stable enough to persist
+   * @param {string} className - Class name without dot
+   * @returns {boolean} True if stable
+   */
+  static isStableClass(className) {
+    return this.scoreClass(className) >= this.MIN_STABLE_SCORE;
+  }
+
+  /**
+   * Checks if an id is stable enough to persist
+   * @param {string} id - Id without hash
+   * @returns {boolean} True if stable
+   */
+  static isStableId(id) {
+    return this.scoreId(id) >= this.MIN_STABLE_SCORE;
+  }
+
+  /**
+   * Checks if an attribute/value pair is stable enough to persist
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {boolean} True if stable
+   */
+  static isStableAttribute(name, value) {
+    return this.scoreAttribute(name, value) >= this.MIN_STABLE_SCORE;
+  }
+
+  /**
+   * Scores an identifier-like token using framework patterns, randomness and digit ratio
+   * @param {string} token - Class, id or attribute value
+   * @returns {number} Stability score between 0 and 1
+   */
+  static scoreToken(token) {
+    if (!token || typeof token !== 'string') return 0;
+
+    if (this.FRAMEWORK_PATTERNS.some(pattern => pattern.test(token))) {
+      return 0.05;
+    }
+
+    let score = 1;
+
+    // Every random-looking chunk is a strong sign of a build-time hash
+    const randomSegments = token.split(/[-_:]+/).filter(segment => this.looksRandom(segment));
+    score -= randomSegments.length * 0.6;
+
+    // Numbers tend to be indexes or counters that change between renders
+    const digitRatio = this.getDigitRatio(token);
+    if (digitRatio > 0.2) {
+      score -= digitRatio;
+    }
+
+    // Long, high-entropy alphanumeric tokens without separators are almost always generated
+    if (token.length >= 12 && /\d/.test(token) && !/[-_]/.test(token) && this.getNormalizedEntropy(token) > 0.85) {
+      score -= 0.3;
+    }
+
+    return Math.max(0, Math.min(1, score));
+  }
+
+  /**
+   * Checks if a token segment looks like random characters rather than words
+   * @param {string} segment - Token segment without separators
+   * @returns {boolean} True if segment looks generated
+   */
+  static looksRandom(segment) {
+    if (segment.length < 4) return false;
+
+    const letters = segment.replace(/[^a-zA-Z]/g, '');
+    const digits = segment.replace(/[^0-9]/g, '');
+
+    // Letters and digits interleaved: 1x9f3k, a8f2e1
+    if (letters.length > 0 && digits.length > 0) {
+      const transitions = (segment.match(/[a-zA-Z](?=\d)|\d(?=[a-zA-Z])/g) || []).length;
+      if (transitions >= 2) return true;
+    }
+
+    if (letters.length < 5) return false;
+
+    // Mixed case without word-like lowercase runs: kBwQCj
+    const upperRatio = letters.replace(/[^A-Z]/g, '').length / letters.length;
+    const longestLowerRun = Math.max(0, ...(letters.match(/[a-z]+/g) || []).map(run => run.length));
+    if (upperRatio >= 0.3 && upperRatio <= 0.7 && longestLowerRun < 3) return true;
+
+    // Hardly any vowels: xkcdq, bgtrzp; words like "strength" have few too, but read as words
+    const vowelRatio = letters.replace(/[^aeiouyAEIOUY]/g, '').length / letters.length;
+    return vowelRatio < 0.15 && !this.looksLikeWord(segment);
+  }
+
+  /**
+   * Checks if a token segment reads like a word: letters in a single case (or capitalized),
+   * with a vowel and no more consonants in a row than English allows ("strength", "Rhythm")
+   * @param {string} segment - Token segment without separators
+   * @returns {boolean} True if segment looks like a dictionary word
+   */
+  static looksLikeWord(segment) {
+    if (!/^[A-Z]?[a-z]+$/.test(segment) && !/^[A-Z]+$/.test(segment)) return false;
+
+    const lower = segment.toLowerCase();
+    const longestConsonantRun = Math.max(0, ...(lower.match(/[^aeiouy]+/g) || []).map(run => run.length));
+    return /[aeiouy]/.test(lower) && longestConsonantRun <= 5;
+  }
+
+  /**
+   * Gets the ratio of digits in a token
+   * @param {string} token - Token to inspect
+   * @returns {number} Ratio between 0 and 1
+   */
+  static getDigitRatio(token) {
+    if (!token) return 0;
+    return token.replace(/[^0-9]/g, '').length / token.length;
+  }
+
+  /**
+   * Gets Shannon entropy of a token normalized by its maximum possible value
+   * @param {string} token - Token to inspect
+   * @returns {number} Normalized entropy between 0 and 1
+   */
+  static getNormalizedEntropy(token) {
+    if (!token || token.length < 2) return 0;
+
+    const frequencies = {};
+    for (const char of token) {
+      frequencies[char] = (frequencies[char] || 0) + 1;
+    }
+
+    const entropy = Object.values(frequencies).reduce((sum, count) => {
+      const probability = count / token.length;
+      return sum - probability * Math.log2(probability);
+    }, 0);
+
+    return entropy / Math.log2(token.length);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorStability;
+} else {
+  window.SelectorStability = SelectorStability;
+}
@@ -1,12 +1,24 @@
 /**
  * StorageManager - Manages persistent storage for HideThis extension
- * Stores data per domain with structure: { "domain.com": { hidden: [], invalidatedCSS: [], removedClasses: [] } }
+ * Stores data per domain with structure: { "domain.com": { hidden: [], removedElements: [], exceptions: [] } }
+ * All lists hold rule objects created by RuleModel and are addressed by rule id;
+ * exceptions are allow rules that win over the other two (see ExceptionRules).
+ * Keys are domain targets (see DomainModel): a page gets the rules of its own host
+ * plus those of "*.example.com" and group targets covering it, after the global
+ * "*" bucket. A bucket can switch rules of shared buckets (global, wildcard and
+ * group targets) off for its sites by listing their ids in disabledGlobalRules
  */
 class StorageManager {
   constructor() {
     this.STORAGE_KEY = 'hidethis_data';
+    this.VERSION_KEY = StorageMigrations.VERSION_KEY;
+    this.SETTINGS_KEY = 'hidethis_settings';
     this.cache = new Map(); // In-memory cache for performance
     this.initialized = false;
+    this.readOnly = false; // Set when the stored data comes from a newer build, see loadFromStorage()
+    this.listeners = new Set(); // Rule change subscribers, see subscribe()
+    this.pendingWrites = []; // Payloads saved by this instance and not yet seen in onChanged
+    this.storageChangeHandler = null;
   }
 
   /**
@@ -27,19 +39,27 @@ class StorageManager {
 
   /**
    * Load all data from chrome.storage.local into cache
+   * Payloads stored at an older schema version are migrated and written back first.
+   * Payloads stored by a newer build are loaded as they are and the manager turns
+   * read-only, so their rules still apply but are never overwritten
    */
   async loadFromStorage() {
     try {
-      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
-      const data = result[this.STORAGE_KEY] || {};
+      const result = await chrome.storage.local.get([this.STORAGE_KEY, this.VERSION_KEY]);
+      let data = result[this.STORAGE_KEY] || {};
+      const storedVersion = result[this.VERSION_KEY] || 0;
+      
+      this.readOnly = StorageMigrations.isNewer(storedVersion);
+      if (this.readOnly) {
+        console.warn(`⚠️ Stored schema v${storedVersion} is newer than v${StorageMigrations.CURRENT_VERSION}, storage is read-only`);
+      } else if (storedVersion !== StorageMigrations.CURRENT_VERSION) {
+        data = await this.migrate(data, storedVersion);
+      }
       
       // Clear cache and populate with stored data
       this.cache.clear();
       Object.entries(data).forEach(([domain, domainData]) => {
-        this.cache.set(domain, {
-          hidden: domainData.hidden || [],
-          removedElements: domainData.removedElements || domainData.removedClasses || []
-        });
+        this.cache.set(domain, StorageManager.toDomainData(domainData));
       });
       
       console.log('📦 Loaded storage data for', Object.keys(data).length, 'domains');
@@ -49,40 +69,278 @@ class StorageManager {
     }
   }
 
+  /**
+   * Upgrade a stored payload to the current schema version and persist it
+   * Data and version are written together; if a step fails nothing is written
+   * @param {Object} data - Stored hidethis_data payload
+   * @param {number} storedVersion - Schema version of the payload
+   * @returns {Object} Migrated payload
+   */
+  async migrate(data, storedVersion) {
+    const { data: migrated, version, applied } = StorageMigrations.run(data, storedVersion);
+    
+    await chrome.storage.local.set({
+      [this.STORAGE_KEY]: migrated,
+      [this.VERSION_KEY]: version
+    });
+    
+    if (applied.length > 0) {
+      console.log(`🔧 Migrated storage from schema v${storedVersion} to v${version}`);
+    }
+    return migrated;
+  }
+
   /**
    * Save all cache data to chrome.storage.local
+   * @throws {Error} If storage is read-only (see loadFromStorage)
    */
   async saveToStorage() {
+    if (this.readOnly) {
+      throw new Error('Stored rules come from a newer version of HideThis and are read-only');
+    }
+    
+    let serialized = null;
     try {
       const data = {};
       this.cache.forEach((domainData, domain) => {
-        data[domain] = {
-          hidden: domainData.hidden,
-          removedElements: domainData.removedElements
-        };
+        data[domain] = StorageManager.serializeDomainData(domainData);
       });
       
-      await chrome.storage.local.set({ [this.STORAGE_KEY]: data });
+      // Remember our own write so its onChanged event isn't treated as a remote change
+      if (this.storageChangeHandler) {
+        serialized = JSON.stringify(data);
+        this.pendingWrites.push(serialized);
+      }
+      
+      await chrome.storage.local.set({
+        [this.STORAGE_KEY]: data,
+        [this.VERSION_KEY]: StorageMigrations.CURRENT_VERSION
+      });
       console.log('💾 Saved storage data for', Object.keys(data).length, 'domains');
     } catch (error) {
       console.error('❌ Error saving to storage:', error);
+      this.pendingWrites = this.pendingWrites.filter(pending => pending !== serialized);
       throw error;
     }
   }
 
+  // === CHANGE SUBSCRIPTION METHODS ===
+
+  /**
+   * Subscribe to rule changes made by other tabs, the popup or sync
+   * The cache is kept up to date and listeners receive one change per affected domain:
+   * { domain, hidden: { added, removed, updated }, removedElements: {...}, exceptions: {...} }
+   * Shared rules switched off or back on for a domain are reported as removed or added there
+   * @param {Function} listener - Called with each domain change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    
+    if (!this.storageChangeHandler) {
+      this.storageChangeHandler = (changes, areaName) => this.handleStorageChange(changes, areaName);
+      chrome.storage.onChanged.addListener(this.storageChangeHandler);
+    }
+    
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.storageChangeHandler) {
+        chrome.storage.onChanged.removeListener(this.storageChangeHandler);
+        this.storageChangeHandler = null;
+        this.pendingWrites = [];
+      }
+    };
+  }
+
+  /**
+   * Diff changed storage against the cache, update it and notify listeners
+   * @param {Object} changes - chrome.storage.onChanged changes
+   * @param {string} areaName - Storage area
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !changes[this.STORAGE_KEY]) return;
+    
+    const newData = changes[this.STORAGE_KEY].newValue || {};
+    
+    // Writes arrive in order, so our own write also confirms any earlier ones
+    const ownWriteIndex = this.pendingWrites.indexOf(JSON.stringify(newData));
+    if (ownWriteIndex > -1) {
+      this.pendingWrites.splice(0, ownWriteIndex + 1);
+      return;
+    }
+    
+    // A foreign write seen before our own pending ones is about to be overwritten by them,
+    // so only what it changed is merged into the cache, which is then saved again
+    if (this.pendingWrites.length > 0) {
+      this.mergeForeignWrite(changes[this.STORAGE_KEY].oldValue || {}, newData);
+      return;
+    }
+    
+    const oldCache = new Map(this.cache);
+    this.cache.clear();
+    Object.entries(newData).forEach(([domain, domainData]) => {
+      this.cache.set(domain, StorageManager.toDomainData(domainData));
+    });
+    this.notifyChanges(oldCache);
+  }
+
+  /**
+   * Apply the changes of a foreign write to the cache, keeping ours, and save the result
+   * @param {Object} oldData - hidethis_data before the foreign write
+   * @param {Object} newData - hidethis_data written by the foreign write
+   */
+  mergeForeignWrite(oldData, newData) {
+    const oldCache = new Map(this.cache);
+    let changed = false;
+    
+    new Set([...Object.keys(oldData), ...Object.keys(newData)]).forEach(domain => {
+      const before = StorageManager.toDomainData(oldData[domain]);
+      const after = StorageManager.toDomainData(newData[domain]);
+      const merged = { ...StorageManager.toDomainData(this.cache.get(domain)) };
+      
+      ['hidden', 'removedElements', 'exceptions'].forEach(listName => {
+        const { added, removed, updated } = this.diffRules(before[listName], after[listName]);
+        const removedIds = new Set(removed.map(rule => rule.id));
+        const updatedById = new Map(updated.map(rule => [rule.id, rule]));
+        
+        merged[listName] = merged[listName]
+          .filter(rule => !removedIds.has(rule.id))
+          .map(rule => updatedById.get(rule.id) || rule);
+        added.forEach(rule => {
+          if (!merged[listName].some(item => item.id === rule.id)) merged[listName].push(rule);
+        });
+      });
+      
+      const enabled = before.disabledGlobalRules.filter(id => !after.disabledGlobalRules.includes(id));
+      const disabled = after.disabledGlobalRules.filter(id => !before.disabledGlobalRules.includes(id));
+      merged.disabledGlobalRules = [
+        ...merged.disabledGlobalRules.filter(id => !enabled.includes(id)),
+        ...disabled.filter(id => !merged.disabledGlobalRules.includes(id))
+      ];
+      
+      const isEmpty = ['hidden', 'removedElements', 'exceptions', 'disabledGlobalRules'].every(listName => merged[listName].length === 0);
+      if (!newData[domain] && isEmpty) {
+        changed = this.cache.delete(domain) || changed;
+      } else if (JSON.stringify(merged) !== JSON.stringify(StorageManager.toDomainData(this.cache.get(domain)))) {
+        this.cache.set(domain, merged);
+        changed = true;
+      }
+    });
+    
+    if (!changed) return;
+    
+    this.notifyChanges(oldCache);
+    this.saveToStorage().catch(error => console.error('❌ Error saving merged storage data:', error));
+  }
+
+  /**
+   * Diff the cache against an earlier copy of it and notify listeners of each changed domain
+   * @param {Map<string, Object>} oldCache - Cache entries before the change
+   */
+  notifyChanges(oldCache) {
+    const domains = new Set([...oldCache.keys(), ...this.cache.keys()]);
+    const sharedData = Array.from(this.cache.entries())
+      .filter(([target]) => DomainModel.isSharedTarget(target))
+      .map(([, domainData]) => domainData);
+    const domainChanges = [];
+    
+    domains.forEach(domain => {
+      const oldDomainData = oldCache.get(domain) || StorageManager.toDomainData();
+      const newDomainData = this.cache.get(domain) || StorageManager.toDomainData();
+      
+      const change = {
+        domain,
+        hidden: this.diffRules(oldDomainData.hidden, newDomainData.hidden),
+        removedElements: this.diffRules(oldDomainData.removedElements, newDomainData.removedElements),
+        exceptions: this.diffRules(oldDomainData.exceptions, newDomainData.exceptions)
+      };
+      
+      // A shared rule switched off here looks like a rule removed from this domain
+      const disabled = newDomainData.disabledGlobalRules.filter(id => !oldDomainData.disabledGlobalRules.includes(id));
+      const enabled = oldDomainData.disabledGlobalRules.filter(id => !newDomainData.disabledGlobalRules.includes(id));
+      ['hidden', 'removedElements'].forEach(listName => {
+        sharedData.flatMap(domainData => domainData[listName]).forEach(rule => {
+          if (disabled.includes(rule.id)) change[listName].removed.push(rule);
+          if (enabled.includes(rule.id)) change[listName].added.push(rule);
+        });
+      });
+      
+      const isEmpty = list => list.added.length + list.removed.length + list.updated.length === 0;
+      if (!isEmpty(change.hidden) || !isEmpty(change.removedElements) || !isEmpty(change.exceptions)) {
+        domainChanges.push(change);
+      }
+    });
+    
+    domainChanges.forEach(change => {
+      console.log('🔔 Rules changed elsewhere for', change.domain);
+      this.listeners.forEach(listener => {
+        try {
+          listener(change);
+        } catch (error) {
+          console.error('❌ Error in storage change listener:', error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Compare two rule lists by id
+   * @param {Array<Object>} oldRules - Rules before the change
+   * @param {Array<Object>} newRules - Rules after the change
+   * @returns {{added: Array, removed: Array, updated: Array}} Rules in each state (new versions for updated)
+   */
+  diffRules(oldRules, newRules) {
+    const oldById = new Map(oldRules.map(rule => [rule.id, rule]));
+    const newIds = new Set(newRules.map(rule => rule.id));
+    
+    return {
+      added: newRules.filter(rule => !oldById.has(rule.id)),
+      removed: oldRules.filter(rule => !newIds.has(rule.id)),
+      updated: newRules.filter(rule => {
+        const oldRule = oldById.get(rule.id);
+        return oldRule && JSON.stringify(oldRule) !== JSON.stringify(rule);
+      })
+    };
+  }
+
   /**
    * Get domain data, creating empty structure if not exists
    */
   getDomainDataSync(domain) {
     if (!this.cache.has(domain)) {
-      this.cache.set(domain, {
-        hidden: [],
-        removedElements: []
-      });
+      this.cache.set(domain, StorageManager.toDomainData());
     }
     return this.cache.get(domain);
   }
 
+  /**
+   * Builds a cache entry from stored domain data, filling in missing lists
+   * @param {Object} domainData - Stored domain data
+   * @returns {Object} { hidden, removedElements, exceptions, disabledGlobalRules }
+   */
+  static toDomainData(domainData = {}) {
+    return {
+      hidden: domainData.hidden || [],
+      removedElements: domainData.removedElements || [],
+      exceptions: domainData.exceptions || [],
+      disabledGlobalRules: domainData.disabledGlobalRules || []
+    };
+  }
+
+  /**
+   * Builds the stored form of a cache entry; exceptions and disabledGlobalRules are left out when empty
+   * @param {Object} domainData - Cache entry
+   * @returns {Object} Domain data to store
+   */
+  static serializeDomainData(domainData) {
+    return {
+      hidden: domainData.hidden,
+      removedElements: domainData.removedElements,
+      ...(domainData.exceptions.length > 0 ? { exceptions: domainData.exceptions } : {}),
+      ...(domainData.disabledGlobalRules.length > 0 ? { disabledGlobalRules: domainData.disabledGlobalRules } : {})
+    };
+  }
+
   /**
    * Get current domain from URL
    */
@@ -96,196 +354,513 @@ class StorageManager {
     }
   }
 
-  // === HIDDEN ELEMENTS METHODS ===
+  /**
+   * Get the domain targets whose rules apply to a URL (see DomainModel)
+   * The global bucket comes first so domain rules are applied after global ones,
+   * then the page's own host, where new rules go by default
+   * @param {string} url - Page URL
+   * @returns {Array<string>} Domain targets
+   */
+  getApplicableDomains(url = window.location.href) {
+    const hostname = this.getCurrentDomain(url);
+    const targets = Array.from(this.cache.keys())
+      .filter(target => target !== hostname && !DomainModel.isGlobalTarget(target) && DomainModel.matchesTarget(target, hostname));
+    const global = this.cache.has(DomainModel.GLOBAL_TARGET) ? [DomainModel.GLOBAL_TARGET] : [];
+    return [...global, hostname, ...targets];
+  }
+
+  /**
+   * Checks if rules stored under a domain target apply to a URL
+   * @param {string} target - Domain target (a StorageManager bucket key)
+   * @param {string} url - Page URL
+   * @returns {boolean} True if the target covers the URL's host
+   */
+  appliesTo(target, url = window.location.href) {
+    return DomainModel.matchesTarget(target, this.getCurrentDomain(url));
+  }
+
+  /**
+   * Get copies of one rule list across every domain target that applies to a URL
+   * Shared rules switched off for the URL are left out
+   * @param {string} listName - 'hidden', 'removedElements' or 'exceptions'
+   * @param {string} url - Page URL
+   * @returns {Array<Object>} Copies of the rules
+   */
+  getApplicableRules(listName, url) {
+    const disabledIds = this.getDisabledGlobalRuleIds(url);
+    return this.getApplicableDomains(url)
+      .flatMap(domain => this.getDomainDataSync(domain)[listName])
+      .filter(rule => !disabledIds.has(rule.id))
+      .map(rule => ({ ...rule }));
+  }
+
+  // === SHARED RULE EXCEPTIONS ===
 
   /**
-   * Add hidden element selector for current domain
+   * Get the ids of the shared rules switched off for a URL by any target covering it
+   * @param {string} url - Page URL
+   * @returns {Set<string>} Rule ids
    */
-  async addHiddenElement(selector, url = window.location.href) {
+  getDisabledGlobalRuleIds(url = window.location.href) {
+    return new Set(this.getApplicableDomains(url)
+      .filter(domain => !DomainModel.isGlobalTarget(domain))
+      .flatMap(domain => this.getDomainDataSync(domain).disabledGlobalRules));
+  }
+
+  /**
+   * Drops disabled rules and the shared rules switched off for a URL
+   * Used before applying rules, and by subscribers since changes to the global bucket reach every page
+   * @param {Array<Object>} rules - Rules
+   * @param {string} url - Page URL
+   * @returns {Array<Object>} Rules that apply to the URL
+   */
+  filterActiveRules(rules, url = window.location.href) {
+    const disabledIds = this.getDisabledGlobalRuleIds(url);
+    return rules.filter(rule => RuleModel.isEnabled(rule) && !disabledIds.has(rule.id));
+  }
+
+  /**
+   * Checks if a rule is stored in the global bucket
+   * @param {string} ruleId - Rule id
+   * @returns {boolean} True for global rules
+   */
+  isGlobalRule(ruleId) {
+    const globalData = this.cache.get(DomainModel.GLOBAL_TARGET);
+    return !!globalData && [...globalData.hidden, ...globalData.removedElements].some(rule => rule.id === ruleId);
+  }
+
+  /**
+   * Checks if a rule applying to a URL is stored under a shared target
+   * (global, wildcard or group), so it also applies to other sites
+   * @param {string} ruleId - Rule id
+   * @param {string} url - Page URL
+   * @returns {boolean} True for shared rules
+   */
+  isSharedRule(ruleId, url = window.location.href) {
+    const location = this.locateRule(ruleId, url);
+    return !!location && DomainModel.isSharedTarget(location.domain);
+  }
+
+  /**
+   * Get copies of the shared rules of one list that are switched off for a URL
+   * @param {string} listName - 'hidden' or 'removedElements'
+   * @param {string} url - Page URL
+   * @returns {Array<Object>} Copies of the rules
+   */
+  async getDisabledGlobalRules(listName, url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainDataSync(domain);
+    const disabledIds = this.getDisabledGlobalRuleIds(url);
+    return this.getApplicableDomains(url)
+      .filter(domain => DomainModel.isSharedTarget(domain))
+      .flatMap(domain => this.getDomainDataSync(domain)[listName])
+      .filter(rule => disabledIds.has(rule.id))
+      .map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Switch a shared rule (global, wildcard or group) off or back on for a site
+   * Switching it on clears the exception from every target covering the URL
+   * @param {string} ruleId - Shared rule id
+   * @param {boolean} disabled - True to switch the rule off
+   * @param {string} url - Page URL
+   * @param {string|null} target - Domain target to store the exception under, defaults to the URL's host
+   * @returns {boolean} True if ruleId is a shared rule applying to the URL
+   */
+  async setGlobalRuleDisabled(ruleId, disabled, url = window.location.href, target = null) {
+    await this.ensureInitialized();
     
-    if (!domainData.hidden.includes(selector)) {
-      domainData.hidden.push(selector);
-      await this.saveToStorage();
-      console.log('✅ Added hidden element:', selector, 'for domain:', domain);
+    if (!this.isSharedRule(ruleId, url)) return false;
+    
+    if (disabled) {
+      const domainData = this.getDomainDataSync(target || this.getCurrentDomain(url));
+      if (domainData.disabledGlobalRules.includes(ruleId)) return true;
+      domainData.disabledGlobalRules.push(ruleId);
+    } else {
+      this.getApplicableDomains(url).forEach(domain => {
+        const domainData = this.getDomainDataSync(domain);
+        domainData.disabledGlobalRules = domainData.disabledGlobalRules.filter(id => id !== ruleId);
+      });
     }
+    
+    await this.saveToStorage();
+    console.log(`✅ Shared rule ${ruleId} ${disabled ? 'disabled' : 'enabled'} for:`, this.getCurrentDomain(url));
+    return true;
   }
 
   /**
-   * Remove hidden element selector for current domain
+   * Switch global rules off for several targets with a single write (used for filter list import)
+   * @param {Object} targetSelectors - { target: [selectors of global hide rules] }
+   * @returns {number} Number of new exceptions
    */
-  async removeHiddenElement(selector, url = window.location.href) {
+  async addGlobalRuleExceptions(targetSelectors) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainDataSync(domain);
+    const globalData = this.getDomainDataSync(DomainModel.GLOBAL_TARGET);
+    let added = 0;
+    Object.entries(targetSelectors).forEach(([target, selectors]) => {
+      const domainData = this.getDomainDataSync(target);
+      globalData.hidden.filter(rule => selectors.includes(rule.selector)).forEach(rule => {
+        if (domainData.disabledGlobalRules.includes(rule.id)) return;
+        domainData.disabledGlobalRules.push(rule.id);
+        added++;
+      });
+    });
     
-    const index = domainData.hidden.indexOf(selector);
-    if (index > -1) {
-      domainData.hidden.splice(index, 1);
+    if (added > 0) {
       await this.saveToStorage();
-      console.log('✅ Removed hidden element:', selector, 'for domain:', domain);
-      return true;
     }
-    return false;
+    return added;
   }
 
   /**
-   * Get all hidden element selectors for current domain
+   * Find a rule by id among the domain targets that apply to a URL
+   * @param {string} ruleId - Rule id
+   * @param {string} url - Page URL
+   * @param {Array<string>} listNames - Lists to search
+   * @returns {{domain: string, list: Array<Object>, index: number}|null} Location of the rule
    */
-  async getHiddenElements(url = window.location.href) {
+  locateRule(ruleId, url, listNames = ['hidden', 'removedElements']) {
+    for (const domain of this.getApplicableDomains(url)) {
+      const domainData = this.getDomainDataSync(domain);
+      for (const listName of listNames) {
+        const index = domainData[listName].findIndex(rule => rule.id === ruleId);
+        if (index > -1) {
+          return { domain, list: domainData[listName], index };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the domain target a rule is stored under
+   * @param {string} ruleId - Rule id
+   * @param {string} url - Page URL
+   * @returns {string|null} Domain target or null if not found
+   */
+  async getRuleDomain(ruleId, url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainDataSync(domain);
-    return [...domainData.hidden]; // Return copy
+    const location = this.locateRule(ruleId, url);
+    return location ? location.domain : null;
   }
 
+  // === HIDDEN ELEMENTS METHODS ===
+
   /**
-   * Clear all hidden elements for current domain
+   * Add hide rule for current domain
+   * If a rule with the same selector exists, only its mode and scope are updated
+   * @param {string} selector - Selector of the hidden element
+   * @param {string} url - URL to get domain from
+   * @param {Object|null} fingerprint - Structural fingerprint used to re-match the element later
+   * @param {string} mode - One of RuleModel.HIDE_MODES
+   * @param {Object|null|undefined} scope - UrlScope, null for the whole domain, undefined to keep an existing rule's scope
+   * @param {string|null} target - Domain target to store the rule under, defaults to the URL's host
+   * @returns {Object} Stored rule
    */
-  async clearHiddenElements(url = window.location.href) {
+  async addHiddenElement(selector, url = window.location.href, fingerprint = null, mode = RuleModel.DEFAULT_HIDE_MODE, scope = undefined, target = null) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
+    const domain = target || this.getCurrentDomain(url);
     const domainData = this.getDomainDataSync(domain);
     
-    const count = domainData.hidden.length;
-    domainData.hidden = [];
+    const index = domainData.hidden.findIndex(rule => rule.selector === selector);
+    if (index > -1) {
+      const existing = domainData.hidden[index];
+      const scopeChanged = scope !== undefined && JSON.stringify(existing.scope || null) !== JSON.stringify(scope);
+      if (existing.mode !== mode || scopeChanged) {
+        domainData.hidden[index] = RuleModel.update(existing, scopeChanged ? { mode, scope } : { mode });
+        await this.saveToStorage();
+      }
+      return { ...domainData.hidden[index] };
+    }
+    
+    const rule = RuleModel.create(selector, RuleModel.ACTIONS.HIDE, { fingerprint, mode, ...(scope ? { scope } : {}) });
+    domainData.hidden.push(rule);
     await this.saveToStorage();
-    console.log('✅ Cleared', count, 'hidden elements for domain:', domain);
-    return count;
+    console.log('✅ Added hidden rule:', rule.id, selector, 'for domain:', domain);
+    return { ...rule };
   }
 
-  // === INVALIDATED CSS METHODS ===
-
   /**
-   * Add invalidated CSS selector for current domain
+   * Remove hide rule by id for current domain
+   * @param {string} ruleId - Rule id
+   * @param {string} url - URL to get domain from
+   * @returns {Object|null} Removed rule or null if not found
    */
-  async addInvalidatedCSS(selector, url = window.location.href) {
+  async removeHiddenRule(ruleId, url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainData(domain);
-    
-    if (!domainData.invalidatedCSS.includes(selector)) {
-      domainData.invalidatedCSS.push(selector);
+    const location = this.locateRule(ruleId, url, ['hidden']);
+    if (location) {
+      const [removed] = location.list.splice(location.index, 1);
       await this.saveToStorage();
-      console.log('✅ Added invalidated CSS:', selector, 'for domain:', domain);
+      console.log('✅ Removed hidden rule:', ruleId, 'for domain:', location.domain);
+      return removed;
     }
+    return null;
   }
 
   /**
-   * Remove invalidated CSS selector for current domain
+   * Get all hide rules for current domain, including those of targets covering it
+   * @param {string} url - URL to get domain from
+   * @returns {Array<Object>} Copies of the hide rules
    */
-  async removeInvalidatedCSS(selector, url = window.location.href) {
+  async getHiddenRules(url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainData(domain);
-    
-    const index = domainData.invalidatedCSS.indexOf(selector);
-    if (index > -1) {
-      domainData.invalidatedCSS.splice(index, 1);
-      await this.saveToStorage();
-      console.log('✅ Removed invalidated CSS:', selector, 'for domain:', domain);
-      return true;
-    }
-    return false;
+    return this.getApplicableRules('hidden', url);
   }
 
   /**
-   * Get all invalidated CSS selectors for current domain
+   * Get a single hide rule by id for current domain
+   * @param {string} ruleId - Rule id
+   * @param {string} url - URL to get domain from
+   * @returns {Object|null} Copy of the rule or null
    */
-  async getInvalidatedCSS(url = window.location.href) {
+  async getHiddenRule(ruleId, url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainData(domain);
-    return [...domainData.invalidatedCSS]; // Return copy
+    const location = this.locateRule(ruleId, url, ['hidden']);
+    return location ? { ...location.list[location.index] } : null;
   }
 
   /**
-   * Clear all invalidated CSS for current domain
+   * Clear all hidden elements for current domain, including those of targets covering it
+   * Shared rules are switched off for the domain instead (see clearApplicableList)
    */
-  async clearInvalidatedCSS(url = window.location.href) {
+  async clearHiddenElements(url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainData(domain);
-    
-    const count = domainData.invalidatedCSS.length;
-    domainData.invalidatedCSS = [];
+    const count = this.clearApplicableList('hidden', url);
     await this.saveToStorage();
-    console.log('✅ Cleared', count, 'invalidated CSS for domain:', domain);
+    console.log('✅ Cleared', count, 'hidden elements for:', this.getCurrentDomain(url));
     return count;
   }
 
-  // === REMOVED CLASSES METHODS ===
-
   /**
-   * Add removed class for current domain
+   * Re-bind a hide rule to a new selector, keeping its id and position
+   * @param {string} ruleId - Id of the rule that no longer matches
+   * @param {string} newSelector - Selector of the re-matched element
+   * @param {Object|null} fingerprint - Fingerprint of the re-matched element
+   * @param {string} url - URL to get domain from
+   * @returns {boolean} True if the rule was re-bound
    */
-  async addRemovedClass(className, url = window.location.href) {
+  async rebindHiddenRule(ruleId, newSelector, fingerprint = null, url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainDataSync(domain);
+    const location = this.locateRule(ruleId, url, ['hidden']);
+    if (!location) return false;
     
-    if (!domainData.removedElements.includes(className)) {
-      domainData.removedElements.push(className);
-      await this.saveToStorage();
-      console.log('✅ Added removed class:', className, 'for domain:', domain);
+    const { domain, list, index } = location;
+    const oldSelector = list[index].selector;
+    
+    if (list.some(rule => rule.selector === newSelector)) {
+      // Another rule already covers the element, just drop the stale one
+      list.splice(index, 1);
+    } else {
+      list[index] = RuleModel.update(list[index], {
+        selector: newSelector,
+        fingerprint: fingerprint || list[index].fingerprint
+      });
     }
+    
+    await this.saveToStorage();
+    console.log('✅ Re-bound hidden rule:', ruleId, oldSelector, '→', newSelector, 'for domain:', domain);
+    return true;
+  }
+
+  /**
+   * Update fields of a hide or removal rule (note, enabled...)
+   * Disabling a rule keeps it, and its id, so undo and re-enabling bring back the same rule
+   * @param {string} ruleId - Rule id
+   * @param {Object} changes - Fields to change
+   * @param {string} url - URL to get domain from
+   * @returns {Object|null} Updated rule or null if not found
+   */
+  async updateRule(ruleId, changes, url = window.location.href) {
+    await this.ensureInitialized();
+    
+    const location = this.locateRule(ruleId, url);
+    if (!location) return null;
+    
+    const { domain, list, index } = location;
+    list[index] = RuleModel.update(list[index], changes);
+    await this.saveToStorage();
+    console.log('✅ Updated rule:', ruleId, 'for domain:', domain);
+    return { ...list[index] };
   }
 
+  // === REMOVAL RULES METHODS ===
+
   /**
-   * Remove removed class for current domain
+   * Add or refresh a removal rule for current domain
+   * Rules are unique per selector; re-adding one updates its type and count
+   * @param {string} selector - Removed selector
+   * @param {string} type - Removal type (class, id, complex)
+   * @param {number} count - Number of elements affected
+   * @param {string} url - URL to get domain from
+   * @param {Object|null|undefined} scope - UrlScope, null for the whole domain, undefined to keep an existing rule's scope
+   * @param {string|null} target - Domain target to store the rule under, defaults to the URL's host
+   * @returns {Object} Stored rule
    */
-  async removeRemovedClass(className, url = window.location.href) {
+  async addRemovalRule(selector, type, count = 0, url = window.location.href, scope = undefined, target = null) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
+    const domain = target || this.getCurrentDomain(url);
     const domainData = this.getDomainDataSync(domain);
     
-    const index = domainData.removedElements.indexOf(className);
+    const index = domainData.removedElements.findIndex(rule => rule.selector === selector);
+    let rule;
     if (index > -1) {
-      domainData.removedElements.splice(index, 1);
+      rule = RuleModel.update(domainData.removedElements[index], scope !== undefined ? { type, count, scope } : { type, count });
+      domainData.removedElements[index] = rule;
+    } else {
+      rule = RuleModel.create(selector, RuleModel.ACTIONS.REMOVE, { type, count, ...(scope ? { scope } : {}) });
+      domainData.removedElements.push(rule);
+    }
+    
+    await this.saveToStorage();
+    console.log('✅ Stored removal rule:', rule.id, selector, 'for domain:', domain);
+    return { ...rule };
+  }
+
+  /**
+   * Remove a removal rule by id for current domain
+   * @param {string} ruleId - Rule id
+   * @param {string} url - URL to get domain from
+   * @returns {Object|null} Removed rule or null if not found
+   */
+  async removeRemovalRule(ruleId, url = window.location.href) {
+    await this.ensureInitialized();
+    
+    const location = this.locateRule(ruleId, url, ['removedElements']);
+    if (location) {
+      const [removed] = location.list.splice(location.index, 1);
       await this.saveToStorage();
-      console.log('✅ Removed removed class:', className, 'for domain:', domain);
-      return true;
+      console.log('✅ Removed removal rule:', ruleId, 'for domain:', location.domain);
+      return removed;
     }
-    return false;
+    return null;
   }
 
   /**
-   * Get all removed classes for current domain
+   * Get all removal rules for current domain, including those of targets covering it
+   * @param {string} url - URL to get domain from
+   * @returns {Array<Object>} Copies of the removal rules
    */
-  async getRemovedClasses(url = window.location.href) {
+  async getRemovalRules(url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainDataSync(domain);
-    return [...domainData.removedElements]; // Return copy
+    return this.getApplicableRules('removedElements', url);
   }
 
   /**
-   * Clear all removed classes for current domain
+   * Clear all removal rules for current domain, including those of targets covering it
+   * Shared rules are switched off for the domain instead (see clearApplicableList)
+   * @param {string} url - URL to get domain from
+   * @returns {number} Number of cleared rules
    */
-  async clearRemovedClasses(url = window.location.href) {
+  async clearRemovalRules(url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
+    const count = this.clearApplicableList('removedElements', url);
+    await this.saveToStorage();
+    console.log('✅ Cleared', count, 'removal rules for:', this.getCurrentDomain(url));
+    return count;
+  }
+
+  /**
+   * Empty one rule list for a URL, without saving
+   * Only the URL's own host bucket is emptied: rules of global, wildcard and group
+   * targets also apply to other sites, so they are kept and switched off for the host
+   * @param {string} listName - 'hidden' or 'removedElements'
+   * @param {string} url - Page URL
+   * @returns {number} Number of rules cleared or switched off
+   */
+  clearApplicableList(listName, url) {
+    const disabledIds = this.getDisabledGlobalRuleIds(url);
+    const hostData = this.getDomainDataSync(this.getCurrentDomain(url));
+    
+    let count = 0;
+    this.getApplicableDomains(url).forEach(domain => {
+      const domainData = this.getDomainDataSync(domain);
+      if (DomainModel.isSharedTarget(domain)) {
+        domainData[listName].filter(rule => !disabledIds.has(rule.id)).forEach(rule => {
+          hostData.disabledGlobalRules.push(rule.id);
+          count++;
+        });
+        return;
+      }
+      count += domainData[listName].length;
+      domainData[listName] = [];
+    });
+    return count;
+  }
+
+  // === EXCEPTION RULES METHODS ===
+
+  /**
+   * Add an exception (allow) rule for current domain
+   * If a rule with the same selector exists, only its scope is updated
+   * @param {string} selector - Selector of the elements to leave alone
+   * @param {string} url - URL to get domain from
+   * @param {Object|null|undefined} scope - UrlScope, null for the whole domain, undefined to keep an existing rule's scope
+   * @param {string|null} target - Domain target to store the rule under, defaults to the URL's host
+   * @returns {Object} Stored rule
+   */
+  async addExceptionRule(selector, url = window.location.href, scope = undefined, target = null) {
+    await this.ensureInitialized();
+    
+    const domain = target || this.getCurrentDomain(url);
     const domainData = this.getDomainDataSync(domain);
     
-    const count = domainData.removedElements.length;
-    domainData.removedElements = [];
+    const index = domainData.exceptions.findIndex(rule => rule.selector === selector);
+    if (index > -1) {
+      const existing = domainData.exceptions[index];
+      if (scope !== undefined && JSON.stringify(existing.scope || null) !== JSON.stringify(scope)) {
+        domainData.exceptions[index] = RuleModel.update(existing, { scope });
+        await this.saveToStorage();
+      }
+      return { ...domainData.exceptions[index] };
+    }
+    
+    const rule = RuleModel.create(selector, RuleModel.ACTIONS.ALLOW, scope ? { scope } : {});
+    domainData.exceptions.push(rule);
     await this.saveToStorage();
-    console.log('✅ Cleared', count, 'removed classes for domain:', domain);
-    return count;
+    console.log('✅ Added exception rule:', rule.id, selector, 'for domain:', domain);
+    return { ...rule };
+  }
+
+  /**
+   * Remove an exception rule by id for current domain
+   * @param {string} ruleId - Rule id
+   * @param {string} url - URL to get domain from
+   * @returns {Object|null} Removed rule or null if not found
+   */
+  async removeExceptionRule(ruleId, url = window.location.href) {
+    await this.ensureInitialized();
+    
+    const location = this.locateRule(ruleId, url, ['exceptions']);
+    if (location) {
+      const [removed] = location.list.splice(location.index, 1);
+      await this.saveToStorage();
+      console.log('✅ Removed exception rule:', ruleId, 'for domain:', location.domain);
+      return removed;
+    }
+    return null;
+  }
+
+  /**
+   * Get all exception rules for current domain, including those of targets covering it
+   * @param {string} url - URL to get domain from
+   * @returns {Array<Object>} Copies of the exception rules
+   */
+  async getExceptionRules(url = window.location.href) {
+    await this.ensureInitialized();
+    
+    return this.getApplicableRules('exceptions', url);
   }
 
   // === DOM ATTRIBUTES REMOVER METHODS ===
@@ -298,10 +873,7 @@ class StorageManager {
   async saveDomainData(domain, data) {
     await this.ensureInitialized();
     
-    this.cache.set(domain, {
-      hidden: data.hidden || [],
-      removedElements: data.removedElements || []
-    });
+    this.cache.set(domain, StorageManager.toDomainData(data));
     
     await this.saveToStorage();
     console.log('✅ Saved domain data for:', domain);
@@ -315,16 +887,13 @@ class StorageManager {
   async getDomainData(domain) {
     await this.ensureInitialized();
     
-    if (!this.cache.has(domain)) {
-      this.cache.set(domain, {
-        hidden: [],
-        removedElements: []
-      });
-    }
+    const domainData = this.getDomainDataSync(domain);
     
     return {
-      hidden: [...this.cache.get(domain).hidden],
-      removedElements: [...this.cache.get(domain).removedElements]
+      hidden: domainData.hidden.map(rule => ({ ...rule })),
+      removedElements: domainData.removedElements.map(rule => ({ ...rule })),
+      exceptions: domainData.exceptions.map(rule => ({ ...rule })),
+      disabledGlobalRules: [...domainData.disabledGlobalRules]
     };
   }
 
@@ -336,9 +905,7 @@ class StorageManager {
   async getHiddenCount(url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainDataSync(domain);
-    return domainData.hidden.length;
+    return this.getApplicableRules('hidden', url).length;
   }
 
   // === UTILITY METHODS ===
@@ -349,16 +916,216 @@ class StorageManager {
   async getCounts(url = window.location.href) {
     await this.ensureInitialized();
     
-    const domain = this.getCurrentDomain(url);
-    const domainData = this.getDomainData(domain);
-    
     return {
-      hidden: domainData.hidden.length,
-      invalidatedCSS: domainData.invalidatedCSS.length,
-      removedClasses: domainData.removedElements.length
+      hidden: this.getApplicableRules('hidden', url).length,
+      removedElements: this.getApplicableRules('removedElements', url).length,
+      exceptions: this.getApplicableRules('exceptions', url).length
     };
   }
 
+  /**
+   * Get copies of every domain's rules (used for export)
+   * @returns {Object} { domain: { hidden, removedElements, exceptions?, disabledGlobalRules? } }
+   */
+  async getAllDomainData() {
+    await this.ensureInitialized();
+    
+    const data = {};
+    this.cache.forEach((domainData, domain) => {
+      data[domain] = {
+        hidden: domainData.hidden.map(rule => ({ ...rule })),
+        removedElements: domainData.removedElements.map(rule => ({ ...rule })),
+        ...(domainData.exceptions.length > 0 ? { exceptions: domainData.exceptions.map(rule => ({ ...rule })) } : {}),
+        ...(domainData.disabledGlobalRules.length > 0 ? { disabledGlobalRules: [...domainData.disabledGlobalRules] } : {})
+      };
+    });
+    return data;
+  }
+
+  /**
+   * Overwrite the rules of several domains at once (used for import)
+   * Domains not present in the object are left untouched, and so are the
+   * exception rules and global rule exceptions of domains given without them
+   * @param {Object} domains - { domain: { hidden, removedElements, exceptions?, disabledGlobalRules? } }
+   */
+  async setDomainsData(domains) {
+    await this.ensureInitialized();
+    
+    Object.entries(domains).forEach(([domain, domainData]) => {
+      const existing = this.cache.get(domain);
+      this.cache.set(domain, StorageManager.toDomainData({
+        ...domainData,
+        exceptions: domainData.exceptions || (existing ? existing.exceptions : []),
+        disabledGlobalRules: domainData.disabledGlobalRules || (existing ? existing.disabledGlobalRules : [])
+      }));
+    });
+    
+    await this.saveToStorage();
+    console.log('✅ Imported rules for', Object.keys(domains).length, 'domains');
+  }
+
+  /**
+   * Replace the rules of some domains and delete others with a single write (used by sync)
+   * Unlike setDomainsData, lists missing from the given data are emptied
+   * @param {Object} domains - { domain: { hidden, removedElements, exceptions?, disabledGlobalRules? } }
+   * @param {Array<string>} removedDomains - Domains to delete
+   */
+  async replaceDomainsData(domains, removedDomains = []) {
+    await this.ensureInitialized();
+    
+    Object.entries(domains).forEach(([domain, domainData]) => {
+      this.cache.set(domain, StorageManager.toDomainData(domainData));
+    });
+    removedDomains.forEach(domain => this.cache.delete(domain));
+    
+    await this.saveToStorage();
+    console.log('✅ Replaced rules of', Object.keys(domains).length, 'domains, removed', removedDomains.length);
+  }
+
+  /**
+   * Add hide rules for several domains with a single write (used for filter list import)
+   * Selectors that already have a rule in their domain are skipped
+   * @param {Object} domainSelectors - { domain: [selectors] }
+   * @returns {{added: number, existing: number}} Counts of new and already stored selectors
+   */
+  async addHiddenRules(domainSelectors) {
+    await this.ensureInitialized();
+
+    let added = 0;
+    let existing = 0;
+    Object.entries(domainSelectors).forEach(([domain, selectors]) => {
+      const domainData = this.getDomainDataSync(domain);
+      selectors.forEach(selector => {
+        if (domainData.hidden.some(rule => rule.selector === selector)) {
+          existing++;
+          return;
+        }
+        domainData.hidden.push(RuleModel.create(selector, RuleModel.ACTIONS.HIDE, {
+          fingerprint: null,
+          mode: RuleModel.DEFAULT_HIDE_MODE
+        }));
+        added++;
+      });
+    });
+
+    if (added > 0) {
+      await this.saveToStorage();
+    }
+    console.log('✅ Added', added, 'hidden rules from filter list,', existing, 'already stored');
+    return { added, existing };
+  }
+
+  // === SETTINGS METHODS ===
+
+  /**
+   * Default extension settings
+   */
+  static DEFAULT_SETTINGS = {
+    syncEnabled: false, // Mirror rules to chrome.storage.sync (see SyncStorageBackend)
+    paused: false,      // HideThis applies no rules anywhere
+    pausedSites: []     // Domain targets where HideThis applies no rules at all
+  };
+
+  /**
+   * Get extension settings merged over the defaults
+   * @returns {Object} Settings
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get([this.SETTINGS_KEY]);
+    return { ...StorageManager.DEFAULT_SETTINGS, ...(result[this.SETTINGS_KEY] || {}) };
+  }
+
+  /**
+   * Update extension settings
+   * @param {Object} changes - Settings to change
+   * @returns {Object} Updated settings
+   */
+  async updateSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await chrome.storage.local.set({ [this.SETTINGS_KEY]: settings });
+    console.log('⚙️ Updated settings:', changes);
+    return settings;
+  }
+
+  /**
+   * Checks if settings pause HideThis on a host, globally or for its site
+   * @param {Object} settings - Settings merged over the defaults
+   * @param {string} hostname - Host to check
+   * @returns {boolean} True if no rules apply to the host
+   */
+  static isPausedFor(settings, hostname) {
+    return !!settings.paused || settings.pausedSites.some(target => DomainModel.matchesTarget(target, hostname));
+  }
+
+  /**
+   * Checks if HideThis is paused on a URL, globally or for its site
+   * Content scripts call this before restoring any rule
+   * @param {string} url - Page URL
+   * @returns {boolean} True if no rules apply to the URL
+   */
+  async isPaused(url = window.location.href) {
+    return StorageManager.isPausedFor(await this.getSettings(), this.getCurrentDomain(url));
+  }
+
+  /**
+   * Subscribe to HideThis being paused or resumed on a URL
+   * @param {Function} listener - Called with the new paused state, only when it changes
+   * @param {string} url - Page URL
+   * @returns {Function} Unsubscribe function
+   */
+  async subscribePause(listener, url = window.location.href) {
+    const hostname = this.getCurrentDomain(url);
+    let paused = await this.isPaused(url);
+    
+    const handler = (changes, areaName) => {
+      if (areaName !== 'local' || !changes[this.SETTINGS_KEY]) return;
+      
+      const settings = { ...StorageManager.DEFAULT_SETTINGS, ...(changes[this.SETTINGS_KEY].newValue || {}) };
+      const nowPaused = StorageManager.isPausedFor(settings, hostname);
+      if (nowPaused === paused) return;
+      
+      paused = nowPaused;
+      try {
+        listener(paused);
+      } catch (error) {
+        console.error('❌ Error in pause listener:', error);
+      }
+    };
+    chrome.storage.onChanged.addListener(handler);
+    
+    return () => chrome.storage.onChanged.removeListener(handler);
+  }
+
+  /**
+   * Checks if HideThis is paused for a URL's site, ignoring the global switch
+   * @param {string} url - Page URL
+   * @returns {boolean} True if a paused target covers the URL's host
+   */
+  async isSitePaused(url = window.location.href) {
+    const { pausedSites } = await this.getSettings();
+    const hostname = this.getCurrentDomain(url);
+    return pausedSites.some(target => DomainModel.matchesTarget(target, hostname));
+  }
+
+  /**
+   * Pause or resume HideThis on a URL's site
+   * Resuming drops every paused target covering the host, not only the host itself
+   * @param {boolean} paused - True to pause
+   * @param {string} url - Page URL
+   * @returns {Array<string>} Updated paused targets
+   */
+  async setSitePaused(paused, url = window.location.href) {
+    const { pausedSites } = await this.getSettings();
+    const hostname = this.getCurrentDomain(url);
+    const updated = paused
+      ? [...new Set([...pausedSites, hostname])]
+      : pausedSites.filter(target => !DomainModel.matchesTarget(target, hostname));
+    
+    await this.updateSettings({ pausedSites: updated });
+    console.log(`⏸️ HideThis ${paused ? 'paused' : 'resumed'} on:`, hostname);
+    return updated;
+  }
+
   /**
    * Get all domains with data
    */
@@ -389,7 +1156,8 @@ class StorageManager {
     await this.ensureInitialized();
     
     this.cache.clear();
-    await chrome.storage.local.remove([this.STORAGE_KEY]);
+    await chrome.storage.local.remove([this.STORAGE_KEY, this.VERSION_KEY]);
+    this.readOnly = false;
     console.log('✅ Cleared all HideThis data');
   }
 
@@ -410,21 +1178,19 @@ class StorageManager {
     
     const domains = Array.from(this.cache.keys());
     let totalHidden = 0;
-    let totalInvalidated = 0;
-    let totalRemovedClasses = 0;
+    let totalRemovedElements = 0;
     
     domains.forEach(domain => {
       const data = this.cache.get(domain);
       totalHidden += data.hidden.length;
-      totalInvalidated += data.invalidatedCSS.length;
-      totalRemovedClasses += data.removedElements.length;
+      totalRemovedElements += data.removedElements.length;
     });
     
     return {
       domains: domains.length,
+      schemaVersion: StorageMigrations.CURRENT_VERSION,
       totalHidden,
-      totalInvalidated,
-      totalRemovedClasses,
+      totalRemovedElements,
       domainList: domains
     };
   }
@@ -0,0 +1,193 @@
+/**
+ * StorageMigrations - Upgrades stored hidethis_data payloads step by step
+ * The schema version lives next to the data under hidethis_schema_version.
+ * Data stored before versioning existed is treated as version 0
+ *
+ * Each migration receives the whole payload ({ "domain.com": {...} }) at the
+ * previous version and returns it at its own version. Migrations must be pure:
+ * they work on a copy and never touch chrome.storage themselves
+ */
+class StorageMigrations {
+  /**
+   * Storage key holding the schema version of hidethis_data
+   */
+  static VERSION_KEY = 'hidethis_schema_version';
+
+  /**
+   * Ordered migration steps, one per schema version
+   */
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Rename removedClasses to removedElements and drop invalidatedCSS',
+      migrate: data => StorageMigrations.mapDomains(data, domainData => {
+        const { removedClasses, invalidatedCSS, ...rest } = domainData;
+
+        const removedElements = [...(rest.removedElements || [])];
+        (removedClasses || []).forEach(entry => {
+          const selector = typeof entry === 'string' ? entry : entry && entry.selector;
+          if (!selector || removedElements.some(item => (item.selector || item) === selector)) return;
+
+          removedElements.push({
+            selector,
+            type: StorageMigrations.getSelectorType(selector),
+            count: 0,
+            timestamp: Date.now()
+          });
+        });
+
+        return {
+          ...rest,
+          hidden: (rest.hidden || []).filter(selector => typeof selector === 'string'),
+          removedElements
+        };
+      })
+    },
+    {
+      version: 2,
+      description: 'Store hidden and removal entries as rule objects with ids',
+      migrate: data => StorageMigrations.mapDomains(data, (domainData, domain) => {
+        const { fingerprints = {}, ...rest } = domainData;
+
+        const hidden = (rest.hidden || []).map((entry, index) => {
+          if (RuleModel.isRule(entry)) return entry;
+          return RuleModel.create(entry, RuleModel.ACTIONS.HIDE, {
+            id: StorageMigrations.legacyRuleId(domain, RuleModel.ACTIONS.HIDE, index, entry),
+            fingerprint: fingerprints[entry] || null
+          });
+        });
+
+        const removedElements = (rest.removedElements || []).map((entry, index) => {
+          if (RuleModel.isRule(entry)) return entry;
+
+          const selector = typeof entry === 'string' ? entry : entry.selector;
+          const rule = RuleModel.create(selector, RuleModel.ACTIONS.REMOVE, {
+            id: StorageMigrations.legacyRuleId(domain, RuleModel.ACTIONS.REMOVE, index, selector),
+            type: entry.type || StorageMigrations.getSelectorType(selector),
+            count: entry.count || 0
+          });
+          if (entry.timestamp) {
+            rule.createdAt = entry.timestamp;
+            rule.updatedAt = entry.timestamp;
+          }
+          return rule;
+        });
+
+        return { ...rest, hidden, removedElements };
+      })
+    },
+    {
+      version: 3,
+      description: 'Give every hide rule a hide mode',
+      migrate: data => StorageMigrations.mapDomains(data, domainData => ({
+        ...domainData,
+        hidden: (domainData.hidden || []).map(rule => ({
+          ...rule,
+          mode: RuleModel.isHideMode(rule.mode) ? rule.mode : RuleModel.DEFAULT_HIDE_MODE
+        }))
+      }))
+    }
+  ];
+
+  /**
+   * Latest schema version
+   */
+  static get CURRENT_VERSION() {
+    return this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+  }
+
+  /**
+   * Checks if a payload was stored by a newer build than this one
+   * Such payloads can be read but must not be migrated or overwritten
+   * @param {number} version - Stored schema version
+   * @returns {boolean} True if the version is newer than CURRENT_VERSION
+   */
+  static isNewer(version) {
+    return version > this.CURRENT_VERSION;
+  }
+
+  /**
+   * Runs every migration newer than the given version
+   * @param {Object} data - Stored hidethis_data payload
+   * @param {number} fromVersion - Schema version the payload is stored at
+   * @returns {{data: Object, version: number, applied: Array<number>}} Migrated payload
+   * @throws {Error} If the payload is newer than this build or a step fails
+   */
+  static run(data, fromVersion = 0) {
+    if (this.isNewer(fromVersion)) {
+      throw new Error(`Stored schema version ${fromVersion} is newer than supported version ${this.CURRENT_VERSION}`);
+    }
+
+    // Work on a copy so a failing step leaves the caller's payload untouched
+    let migrated = JSON.parse(JSON.stringify(data || {}));
+    const applied = [];
+
+    this.MIGRATIONS
+      .filter(step => step.version > fromVersion)
+      .forEach(step => {
+        try {
+          migrated = step.migrate(migrated);
+          applied.push(step.version);
+        } catch (error) {
+          throw new Error(`Migration to schema version ${step.version} failed: ${error.message}`);
+        }
+      });
+
+    return { data: migrated, version: this.CURRENT_VERSION, applied };
+  }
+
+  /**
+   * Applies a function to every domain entry of a payload
+   * @param {Object} data - hidethis_data payload
+   * @param {Function} fn - Receives domain data and domain, returns new domain data
+   * @returns {Object} New payload
+   */
+  static mapDomains(data, fn) {
+    const result = {};
+    Object.entries(data).forEach(([domain, domainData]) => {
+      result[domain] = fn(domainData || {}, domain);
+    });
+    return result;
+  }
+
+  /**
+   * Derives the id of a rule made from an entry stored before rules had ids
+   * Several tabs may migrate the same payload at once, so they must agree on
+   * the ids: these hash where the entry was stored instead of being random
+   * @param {string} domain - Domain the entry is stored under
+   * @param {string} action - One of RuleModel.ACTIONS
+   * @param {number} index - Position of the entry in its list
+   * @param {string} selector - Entry selector
+   * @returns {string} UUID-shaped id
+   */
+  static legacyRuleId(domain, action, index, selector) {
+    const key = `${domain}\n${action}\n${index}\n${selector}`;
+    const hex = [0x811c9dc5, 0x9e3779b9, 0x85ebca6b, 0xc2b2ae35].map(seed => {
+      let hash = seed;
+      for (let i = 0; i < key.length; i++) {
+        hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    }).join('');
+
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Guesses the removal type from a selector
+   * @param {string} selector - Removed selector
+   * @returns {string} Removal type (class, id, complex)
+   */
+  static getSelectorType(selector) {
+    if (/^\.[\w-]+$/.test(selector)) return 'class';
+    if (/^#[\w-]+$/.test(selector)) return 'id';
+    return 'complex';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageMigrations;
+} else if (typeof window !== 'undefined') {
+  window.StorageMigrations = StorageMigrations;
+}
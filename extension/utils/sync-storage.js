@@ -0,0 +1,556 @@
+/**
+ * SyncStorageBackend - Mirrors hidethis_data between chrome.storage.local and chrome.storage.sync
+ * Local rules are read and written through a StorageManager, so they are migrated like any
+ * other payload and sync writes are told apart from those of the tabs
+ *
+ * Remote layout (chrome.storage.sync), one set of items per domain:
+ *   hts:<domain>:meta  → { chunks, length, updatedAt, omitted, schemaVersion }
+ *   hts:<domain>:<n>   → Nth chunk of the domain's JSON payload { hidden, removedElements, exceptions? }
+ *
+ * Remote payloads are migrated from their schemaVersion (see StorageMigrations) before merging.
+ * Domains written by a newer build are left alone on both sides until this one is updated
+ *
+ * Conflicts are resolved per rule: the copy with the newest updatedAt wins. Deletions are
+ * detected against the set of rule ids seen at the last successful sync (the "base"), so a
+ * rule missing on one side is only dropped if both sides had it before. Shared rules switched
+ * off for a domain (disabledGlobalRules) are merged the same way, by id
+ */
+class SyncStorageBackend {
+  /**
+   * chrome.storage.sync limits (with some headroom)
+   */
+  static LIMITS = {
+    QUOTA_BYTES_PER_ITEM: 8000,   // Chrome: 8192
+    QUOTA_BYTES: 95000,           // Chrome: 102400
+    MAX_ITEMS: 480                // Chrome: 512
+  };
+
+  /**
+   * Delay before pushing local changes, to stay under the write-rate limits
+   */
+  static PUSH_DELAY = 5000;
+
+  static CHUNK_PREFIX = 'hts:';
+  static META_SUFFIX = 'meta';
+  static BASE_KEY = 'hidethis_sync_base';
+  static STATUS_KEY = 'hidethis_sync_status';
+  static DATA_KEY = 'hidethis_data';
+
+  /**
+   * Prefix of the base entries recording switched off shared rules, apart from the domain's own rule ids
+   */
+  static DISABLED_BASE_PREFIX = 'disabled:';
+
+  /**
+   * Schema version of remote payloads written before meta items carried one
+   */
+  static UNVERSIONED_SCHEMA_VERSION = 2;
+
+  /**
+   * Sync status values stored under STATUS_KEY
+   */
+  static STATUS = {
+    OK: 'ok',
+    PARTIAL: 'partial',   // Some domains didn't fit in the quota and stay local only
+    ERROR: 'error',
+    DISABLED: 'disabled'
+  };
+
+  /**
+   * @param {StorageManager} storageManager - Manager local rules are read from and written to
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.unsubscribe = null;
+    this.pushTimer = null;
+    this.syncing = false;
+    this.pendingSync = false;
+  }
+
+  /**
+   * Schedules a sync after local changes, coalescing bursts of writes
+   */
+  schedulePush() {
+    clearTimeout(this.pushTimer);
+    this.pushTimer = setTimeout(() => this.sync(), SyncStorageBackend.PUSH_DELAY);
+  }
+
+  /**
+   * Runs a full two-way sync: reads both sides, merges and writes back whatever changed
+   * Never throws; failures are recorded in the sync status and local data is left untouched
+   * @returns {Object} Sync status
+   */
+  async sync() {
+    if (this.syncing) {
+      this.pendingSync = true;
+      return null;
+    }
+
+    this.syncing = true;
+    let status;
+    try {
+      status = await this.runSync();
+    } catch (error) {
+      console.error('❌ [Sync] Sync failed:', error);
+      status = this.createStatus(SyncStorageBackend.STATUS.ERROR, { message: error.message });
+    } finally {
+      this.syncing = false;
+    }
+
+    await chrome.storage.local.set({ [SyncStorageBackend.STATUS_KEY]: status });
+
+    if (this.pendingSync) {
+      this.pendingSync = false;
+      this.schedulePush();
+    }
+    return status;
+  }
+
+  /**
+   * Sync implementation
+   * @returns {Object} Sync status
+   */
+  async runSync() {
+    // Keep the manager's cache current with the tabs' writes between syncs
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.storageManager.subscribe(() => {});
+    }
+
+    const local = await this.storageManager.getAllDomainData();
+    const baseResult = await chrome.storage.local.get([SyncStorageBackend.BASE_KEY]);
+    const base = baseResult[SyncStorageBackend.BASE_KEY] || { lastSyncAt: 0, domains: {} };
+
+    const remote = await this.readRemote();
+
+    const merged = {};
+    const preserved = []; // Remote domains we can't read, left as they are
+    const domains = new Set([...Object.keys(local), ...Object.keys(remote.domains), ...remote.omitted, ...remote.newer]);
+    domains.forEach(domain => {
+      // Domains of a newer build can't be merged; the local copy, if any, stays as it is
+      if (remote.newer.includes(domain)) {
+        preserved.push(domain);
+        if (local[domain]) merged[domain] = local[domain];
+        return;
+      }
+
+      // Omitted domains (over quota or incomplete) carry no information
+      if (remote.omitted.includes(domain) && !local[domain]) {
+        preserved.push(domain);
+        return;
+      }
+
+      const remoteData = remote.omitted.includes(domain) ? local[domain] : remote.domains[domain];
+      merged[domain] = SyncStorageBackend.mergeDomain(
+        local[domain],
+        remoteData,
+        base.domains[domain] || [],
+        base.lastSyncAt
+      );
+    });
+
+    // Drop domains left without rules or global rule exceptions
+    Object.keys(merged).forEach(domain => {
+      if (merged[domain].hidden.length === 0 && merged[domain].removedElements.length === 0 &&
+          !merged[domain].exceptions && !merged[domain].disabledGlobalRules) {
+        delete merged[domain];
+      }
+    });
+
+    // Only domains the remote changed are written, so rules the tabs saved meanwhile are kept
+    const changed = {};
+    Object.entries(merged).forEach(([domain, domainData]) => {
+      if (JSON.stringify(domainData) !== JSON.stringify(local[domain])) changed[domain] = domainData;
+    });
+    const removed = Object.keys(local).filter(domain => !merged[domain]);
+    if (Object.keys(changed).length > 0 || removed.length > 0) {
+      await this.storageManager.replaceDomainsData(changed, removed);
+      console.log('🔄 [Sync] Applied remote changes to local rules');
+    }
+
+    const writable = {};
+    Object.entries(merged).forEach(([domain, domainData]) => {
+      if (!preserved.includes(domain)) writable[domain] = domainData;
+    });
+    const { omitted } = await this.writeRemote(writable, remote, preserved);
+
+    const now = Date.now();
+    const newBase = { lastSyncAt: now, domains: {} };
+    Object.entries(merged).forEach(([domain, domainData]) => {
+      if (omitted.includes(domain) || preserved.includes(domain)) {
+        // Not on the remote, keep the previous base so nothing is treated as deleted
+        newBase.domains[domain] = base.domains[domain] || [];
+        return;
+      }
+      newBase.domains[domain] = SyncStorageBackend.baseIds(domainData);
+    });
+    await chrome.storage.local.set({ [SyncStorageBackend.BASE_KEY]: newBase });
+
+    return omitted.length > 0
+      ? this.createStatus(SyncStorageBackend.STATUS.PARTIAL, { omitted })
+      : this.createStatus(SyncStorageBackend.STATUS.OK);
+  }
+
+  /**
+   * Reads, reassembles and migrates all remote domains
+   * @returns {{domains: Object, omitted: Array<string>, newer: Array<string>, items: Object}} Remote data and raw items
+   */
+  async readRemote() {
+    const all = await chrome.storage.sync.get(null);
+    const metaPattern = new RegExp(`^${SyncStorageBackend.CHUNK_PREFIX}(.+):${SyncStorageBackend.META_SUFFIX}$`);
+
+    const domains = {};
+    const omitted = [];
+    const newer = [];
+    Object.keys(all).forEach(key => {
+      const match = key.match(metaPattern);
+      if (!match) return;
+
+      const domain = match[1];
+      const meta = all[key];
+      const schemaVersion = meta.schemaVersion || SyncStorageBackend.UNVERSIONED_SCHEMA_VERSION;
+      if (StorageMigrations.isNewer(schemaVersion)) {
+        console.warn(`⚠️ [Sync] ${domain} was synced with schema v${schemaVersion}, left untouched`);
+        newer.push(domain);
+        return;
+      }
+      if (meta.omitted) {
+        omitted.push(domain);
+        return;
+      }
+
+      let json = '';
+      for (let i = 0; i < meta.chunks; i++) {
+        const chunk = all[SyncStorageBackend.getChunkKey(domain, i)];
+        json += typeof chunk === 'string' ? chunk : '';
+      }
+
+      // Another device may be halfway through writing this domain (or a write failed);
+      // treat it like an omitted domain so it is neither merged nor deleted this round
+      if (json.length !== meta.length) {
+        console.warn('⚠️ [Sync] Incomplete remote data for', domain);
+        omitted.push(domain);
+        return;
+      }
+      domains[domain] = StorageMigrations.run({ [domain]: JSON.parse(json) }, schemaVersion).data[domain];
+    });
+
+    return { domains, omitted, newer, items: all };
+  }
+
+  /**
+   * Writes merged data to chrome.storage.sync, chunked and within quota
+   * Chunks are written before their meta items, and stale items removed last
+   * @param {Object} data - Merged domain data
+   * @param {Object} remote - Previously read remote data
+   * @param {Array<string>} preserved - Remote domains to keep untouched
+   * @returns {{omitted: Array<string>}} Domains that didn't fit
+   */
+  async writeRemote(data, remote, preserved = []) {
+    const { items, omitted } = SyncStorageBackend.buildRemoteItems(data);
+    const isPreserved = key => preserved.some(domain => key.startsWith(SyncStorageBackend.getChunkKey(domain, '')));
+
+    const changedChunks = {};
+    const changedMeta = {};
+    Object.entries(items).forEach(([key, value]) => {
+      if (JSON.stringify(remote.items[key]) === JSON.stringify(value)) return;
+      if (key.endsWith(`:${SyncStorageBackend.META_SUFFIX}`)) {
+        changedMeta[key] = value;
+      } else {
+        changedChunks[key] = value;
+      }
+    });
+
+    const staleKeys = Object.keys(remote.items).filter(key =>
+      key.startsWith(SyncStorageBackend.CHUNK_PREFIX) && !(key in items) && !isPreserved(key)
+    );
+
+    // Only write what changed, writes count against the sync rate limits
+    const changedCount = Object.keys(changedChunks).length + Object.keys(changedMeta).length;
+    if (changedCount === 0 && staleKeys.length === 0) return { omitted };
+
+    try {
+      if (Object.keys(changedChunks).length > 0) {
+        await chrome.storage.sync.set(changedChunks);
+      }
+      if (Object.keys(changedMeta).length > 0) {
+        await chrome.storage.sync.set(changedMeta);
+      }
+      if (staleKeys.length > 0) {
+        await chrome.storage.sync.remove(staleKeys);
+      }
+    } catch (error) {
+      // Quota or rate limit: local data stays the source of truth until the next attempt
+      throw new Error(`chrome.storage.sync write failed: ${error.message}`);
+    }
+
+    console.log(`☁️ [Sync] Wrote ${changedCount} items, removed ${staleKeys.length}`);
+    return { omitted };
+  }
+
+  /**
+   * Stops syncing and records the disabled state (remote data is kept for other devices)
+   */
+  async disable() {
+    clearTimeout(this.pushTimer);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    await chrome.storage.local.set({
+      [SyncStorageBackend.STATUS_KEY]: this.createStatus(SyncStorageBackend.STATUS.DISABLED)
+    });
+  }
+
+  /**
+   * Creates a status record
+   * @param {string} state - One of STATUS
+   * @param {Object} extra - Additional fields (message, omitted)
+   * @returns {Object} Status
+   */
+  createStatus(state, extra = {}) {
+    return { state, updatedAt: Date.now(), ...extra };
+  }
+
+  // === PURE HELPERS ===
+
+  /**
+   * Merges one domain's rules from both sides
+   * @param {Object|undefined} local - Local domain data
+   * @param {Object|undefined} remote - Remote domain data
+   * @param {Array<string>} baseIds - Entries present on both sides at the last sync (see baseIds)
+   * @param {number} lastSyncAt - Time of the last sync
+   * @returns {Object} Merged domain data { hidden, removedElements, exceptions?, disabledGlobalRules? }
+   */
+  static mergeDomain(local, remote, baseIds, lastSyncAt) {
+    const base = new Set(baseIds);
+    const disabledGlobalRules = this.mergeIds(
+      local?.disabledGlobalRules || [],
+      remote?.disabledGlobalRules || [],
+      new Set(baseIds.filter(id => id.startsWith(this.DISABLED_BASE_PREFIX)).map(id => id.substring(this.DISABLED_BASE_PREFIX.length)))
+    );
+    const exceptions = this.mergeRules(local?.exceptions || [], remote?.exceptions || [], base, lastSyncAt);
+    return {
+      hidden: this.mergeRules(local?.hidden || [], remote?.hidden || [], base, lastSyncAt),
+      removedElements: this.mergeRules(local?.removedElements || [], remote?.removedElements || [], base, lastSyncAt),
+      ...(exceptions.length > 0 ? { exceptions } : {}),
+      ...(disabledGlobalRules.length > 0 ? { disabledGlobalRules } : {})
+    };
+  }
+
+  /**
+   * Get the base entries of a domain: its rule ids and its switched off shared rules
+   * @param {Object} domainData - Stored domain data
+   * @returns {Array<string>} Base entries
+   */
+  static baseIds(domainData) {
+    return [
+      ...this.allRules(domainData).map(rule => rule.id),
+      ...(domainData.disabledGlobalRules || []).map(id => `${this.DISABLED_BASE_PREFIX}${id}`)
+    ];
+  }
+
+  /**
+   * Merges two id lists
+   * Ids carry no timestamps: one present on a single side is kept if it's new since the base,
+   * and dropped if the other side removed it
+   * @param {Array<string>} localIds - Local ids
+   * @param {Array<string>} remoteIds - Remote ids
+   * @param {Set<string>} base - Ids at last sync
+   * @returns {Array<string>} Merged ids, local order first
+   */
+  static mergeIds(localIds, remoteIds, base) {
+    const local = new Set(localIds);
+    const remote = new Set(remoteIds);
+    return [...new Set([...localIds, ...remoteIds])]
+      .filter(id => (local.has(id) && remote.has(id)) || !base.has(id));
+  }
+
+  /**
+   * Get every rule of a domain, exception rules included
+   * @param {Object} domainData - Stored domain data
+   * @returns {Array<Object>} Rules
+   */
+  static allRules(domainData) {
+    return [...domainData.hidden, ...domainData.removedElements, ...(domainData.exceptions || [])];
+  }
+
+  /**
+   * Merges two rule lists by id, newest updatedAt wins
+   * A rule present only on one side is kept if it's new since the base,
+   * and dropped if the other side deleted it (unless it was edited after the last sync)
+   * @param {Array<Object>} localRules - Local rules
+   * @param {Array<Object>} remoteRules - Remote rules
+   * @param {Set<string>} base - Rule ids at last sync
+   * @param {number} lastSyncAt - Time of the last sync
+   * @returns {Array<Object>} Merged rules, local order first
+   */
+  static mergeRules(localRules, remoteRules, base, lastSyncAt) {
+    const remoteById = new Map(remoteRules.map(rule => [rule.id, rule]));
+    const localIds = new Set(localRules.map(rule => rule.id));
+    const result = [];
+
+    localRules.forEach(localRule => {
+      const remoteRule = remoteById.get(localRule.id);
+      if (remoteRule) {
+        if ((remoteRule.updatedAt || 0) > (localRule.updatedAt || 0)) {
+          // The remote copy may have had its fingerprint stripped to fit the quota
+          result.push(remoteRule.fingerprint || !localRule.fingerprint
+            ? remoteRule
+            : { ...remoteRule, fingerprint: localRule.fingerprint });
+        } else {
+          result.push(localRule);
+        }
+      } else if (!base.has(localRule.id) || (localRule.updatedAt || 0) > lastSyncAt) {
+        result.push(localRule);
+      }
+    });
+
+    remoteRules.forEach(remoteRule => {
+      if (localIds.has(remoteRule.id)) return;
+      if (!base.has(remoteRule.id) || (remoteRule.updatedAt || 0) > lastSyncAt) {
+        result.push(remoteRule);
+      }
+    });
+
+    // The same element picked on two devices gives two ids for one selector; keep the newest
+    const bySelector = new Map();
+    result.forEach(rule => {
+      const existing = bySelector.get(rule.selector);
+      if (!existing || (rule.updatedAt || 0) > (existing.updatedAt || 0)) {
+        bySelector.set(rule.selector, rule);
+      }
+    });
+    return result.filter(rule => bySelector.get(rule.selector) === rule);
+  }
+
+  /**
+   * Splits domain data into sync items that respect the per-item and total quotas
+   * Fingerprints are dropped first when space runs out, then the least recently
+   * updated domains are left out (only their meta item is written, marked omitted)
+   * @param {Object} data - Domain data
+   * @returns {{items: Object, omitted: Array<string>}} Items to write
+   */
+  static buildRemoteItems(data) {
+    const domains = Object.entries(data)
+      .map(([domain, domainData]) => ({
+        domain,
+        domainData,
+        updatedAt: Math.max(0, ...this.allRules(domainData).map(rule => rule.updatedAt || 0))
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    const build = stripFingerprints => {
+      const items = {};
+      const omitted = [];
+      let totalBytes = 0;
+      let totalItems = 0;
+
+      domains.forEach(({ domain, domainData, updatedAt }) => {
+        const payload = stripFingerprints ? this.stripFingerprints(domainData) : domainData;
+        const json = JSON.stringify(payload);
+        const chunks = this.splitIntoChunks(domain, json);
+        const metaKey = this.getMetaKey(domain);
+        const meta = { chunks: chunks.length, length: json.length, updatedAt, omitted: false, schemaVersion: StorageMigrations.CURRENT_VERSION };
+        const bytes = chunks.reduce((sum, chunk, i) => sum + this.getItemBytes(this.getChunkKey(domain, i), chunk), 0) +
+                      this.getItemBytes(metaKey, meta);
+
+        if (totalBytes + bytes > this.LIMITS.QUOTA_BYTES || totalItems + chunks.length + 1 > this.LIMITS.MAX_ITEMS) {
+          const omittedMeta = { chunks: 0, length: 0, updatedAt, omitted: true, schemaVersion: StorageMigrations.CURRENT_VERSION };
+          omitted.push(domain);
+          items[metaKey] = omittedMeta;
+          totalBytes += this.getItemBytes(metaKey, omittedMeta);
+          totalItems++;
+          return;
+        }
+
+        chunks.forEach((chunk, i) => {
+          items[this.getChunkKey(domain, i)] = chunk;
+        });
+        items[metaKey] = meta;
+        totalBytes += bytes;
+        totalItems += chunks.length + 1;
+      });
+
+      return { items, omitted };
+    };
+
+    const full = build(false);
+    return full.omitted.length === 0 ? full : build(true);
+  }
+
+  /**
+   * Splits a JSON string so each chunk fits QUOTA_BYTES_PER_ITEM once stored
+   * @param {string} domain - Domain (part of the key size)
+   * @param {string} json - Serialized domain data
+   * @returns {Array<string>} Chunks
+   */
+  static splitIntoChunks(domain, json) {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < json.length) {
+      const key = this.getChunkKey(domain, chunks.length);
+      let size = this.LIMITS.QUOTA_BYTES_PER_ITEM - key.length;
+      let chunk = json.slice(offset, offset + size);
+
+      // Escaped quotes and multi-byte characters make the stored item larger than the slice
+      while (this.getItemBytes(key, chunk) > this.LIMITS.QUOTA_BYTES_PER_ITEM) {
+        size = Math.floor(size * 0.9);
+        chunk = json.slice(offset, offset + size);
+      }
+
+      chunks.push(chunk);
+      offset += chunk.length;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Removes fingerprints from a domain's rules to save sync space
+   * @param {Object} domainData - Domain data
+   * @returns {Object} Copy without fingerprints
+   */
+  static stripFingerprints(domainData) {
+    return {
+      ...domainData,
+      hidden: domainData.hidden.map(({ fingerprint, ...rule }) => rule)
+    };
+  }
+
+  /**
+   * Gets the key of a domain chunk
+   * @param {string} domain - Domain
+   * @param {number} index - Chunk number
+   * @returns {string} Storage key
+   */
+  static getChunkKey(domain, index) {
+    return `${this.CHUNK_PREFIX}${domain}:${index}`;
+  }
+
+  /**
+   * Gets the key of a domain's meta item
+   * @param {string} domain - Domain
+   * @returns {string} Storage key
+   */
+  static getMetaKey(domain) {
+    return `${this.CHUNK_PREFIX}${domain}:${this.META_SUFFIX}`;
+  }
+
+  /**
+   * Gets the bytes chrome.storage.sync counts for an item (key + JSON value)
+   * @param {string} key - Item key
+   * @param {*} value - Item value
+   * @returns {number} Size in bytes
+   */
+  static getItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncStorageBackend;
+} else if (typeof window !== 'undefined') {
+  window.SyncStorageBackend = SyncStorageBackend;
+}
@@ -0,0 +1,178 @@
+/**
+ * UrlScope - Limits a rule to some of the pages of its domain
+ * A scope is { type, value }. Rules without a scope apply to the whole domain.
+ * exact and prefix compare the URL path, glob and regex are tested against the
+ * path plus query string (the domain is already the rule's storage bucket)
+ */
+class UrlScope {
+  /**
+   * Scope types
+   */
+  static TYPES = {
+    DOMAIN: 'domain',  // Every page of the domain
+    EXACT: 'exact',    // One path, e.g. /watch
+    PREFIX: 'prefix',  // Every path starting with the value, e.g. /shorts/
+    GLOB: 'glob',      // * matches any text, ? one character, e.g. /watch?v=*
+    REGEX: 'regex'     // JavaScript regular expression source
+  };
+
+  /**
+   * Checks if a rule applies to a URL
+   * @param {Object} rule - Stored rule, with an optional scope
+   * @param {string} url - URL to test
+   * @returns {boolean} True if the rule applies
+   */
+  static matchesRule(rule, url = window.location.href) {
+    return this.matches(rule.scope, url);
+  }
+
+  /**
+   * Keeps the rules that apply to a URL
+   * @param {Array<Object>} rules - Stored rules
+   * @param {string} url - URL to test
+   * @returns {Array<Object>} Rules in scope
+   */
+  static filterRules(rules, url = window.location.href) {
+    return rules.filter(rule => this.matchesRule(rule, url));
+  }
+
+  /**
+   * Checks if a scope matches a URL
+   * Invalid scopes match nothing, so a broken pattern never widens to the whole domain
+   * @param {Object|null} scope - { type, value }, or null for the whole domain
+   * @param {string} url - URL to test
+   * @returns {boolean} True if the URL is in scope
+   */
+  static matches(scope, url) {
+    if (!scope || scope.type === this.TYPES.DOMAIN) return true;
+    if (!this.isValid(scope)) return false;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    const path = parsed.pathname;
+    const pathAndQuery = path + parsed.search;
+
+    switch (scope.type) {
+      case this.TYPES.EXACT:
+        return this.trimTrailingSlash(path) === this.trimTrailingSlash(scope.value);
+      case this.TYPES.PREFIX:
+        return path.startsWith(scope.value);
+      case this.TYPES.GLOB:
+        return this.globToRegExp(scope.value).test(pathAndQuery);
+      case this.TYPES.REGEX:
+        return new RegExp(scope.value).test(pathAndQuery);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validates a scope
+   * @param {*} scope - Value to check
+   * @returns {boolean} True if scope is null or a well-formed scope
+   */
+  static isValid(scope) {
+    if (scope === null || scope === undefined) return true;
+    if (typeof scope !== 'object' || !Object.values(this.TYPES).includes(scope.type)) return false;
+    if (scope.type === this.TYPES.DOMAIN) return true;
+    if (typeof scope.value !== 'string' || !scope.value) return false;
+
+    if (scope.type === this.TYPES.EXACT || scope.type === this.TYPES.PREFIX) {
+      return scope.value.startsWith('/');
+    }
+    if (scope.type === this.TYPES.REGEX) {
+      try {
+        new RegExp(scope.value);
+      } catch (error) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Builds a scope from user input
+   * @param {string} type - One of UrlScope.TYPES
+   * @param {string} value - Path or pattern
+   * @returns {Object|null} Scope, or null for the whole domain
+   * @throws {Error} If the scope is invalid
+   */
+  static create(type, value = '') {
+    if (!type || type === this.TYPES.DOMAIN) return null;
+
+    const scope = { type, value: value.trim() };
+    if (!this.isValid(scope)) {
+      throw new Error(`Alcance inválido (${type}): ${value}`);
+    }
+    return scope;
+  }
+
+  /**
+   * Suggests a value for each scope type from a URL, to prefill the picker
+   * @param {string} type - One of UrlScope.TYPES
+   * @param {string} url - Current page URL
+   * @returns {string} Suggested path or pattern
+   */
+  static suggestValue(type, url = window.location.href) {
+    const { pathname } = new URL(url);
+    const firstSegment = pathname.split('/').filter(Boolean)[0];
+    const section = firstSegment ? `/${firstSegment}` : '/';
+
+    switch (type) {
+      case this.TYPES.EXACT:
+        return pathname;
+      case this.TYPES.PREFIX:
+        return section;
+      case this.TYPES.GLOB:
+        return `${section}*`;
+      case this.TYPES.REGEX:
+        return `^${this.escapeRegExp(section)}`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Describes a scope for lists in the popup
+   * @param {Object|null} scope - Scope to describe
+   * @returns {string} Spanish description
+   */
+  static describe(scope) {
+    if (!scope || scope.type === this.TYPES.DOMAIN) {
+      return Constants.SCOPE_LABELS.domain;
+    }
+    return `${Constants.SCOPE_LABELS[scope.type] || scope.type}: ${scope.value}`;
+  }
+
+  /**
+   * Converts a glob pattern to an anchored regular expression
+   * @param {string} glob - Pattern with * and ? wildcards
+   * @returns {RegExp} Equivalent regular expression
+   */
+  static globToRegExp(glob) {
+    const source = glob
+      .split('*')
+      .map(part => part.split('?').map(text => this.escapeRegExp(text)).join('.'))
+      .join('.*');
+    return new RegExp(`^${source}$`);
+  }
+
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static trimTrailingSlash(path) {
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlScope;
+} else if (typeof window !== 'undefined') {
+  window.UrlScope = UrlScope;
+}